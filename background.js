@@ -1,6 +1,7 @@
 /**
  * Background Service Worker - Handles AI API communication
- * Supports multiple AI providers: Groq, Gemini, OpenAI, and Grok
+ * Supports multiple AI providers: Groq, Gemini, OpenAI, Grok, and any
+ * OpenAI-compatible custom endpoint (Ollama, LM Studio, llama.cpp server)
  */
 
 // ============================================================================
@@ -11,40 +12,221 @@ const CONFIG = {
   groq: {
     name: 'Meta Llama (Groq)',
     model: 'llama-3.3-70b-versatile',
+    models: ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant', 'meta-llama/llama-4-scout-17b-16e-instruct', 'gemma2-9b-it', 'mixtral-8x7b-32768'],
     maxTokens: 1500,
     temperature: 0.7,
-    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
-    storageKey: 'groqApiKey'
+    contextTokens: 6000, // Free tier has a low tokens-per-minute limit
+    api: 'openai',
+    endpoint: 'https://api.groq.com/openai/v1/chat/completions'
   },
   gemini: {
     name: 'Google Gemini',
     model: 'gemini-1.5-flash',
+    models: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-2.0-flash', 'gemini-2.5-flash', 'gemini-2.5-pro'],
     maxTokens: 1500,
     temperature: 0.7,
-    endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent',
-    storageKey: 'geminiApiKey'
+    contextTokens: 30000,
+    api: 'gemini',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta/models' // + /{model}:generateContent
   },
   openai: {
     name: 'OpenAI ChatGPT',
     model: 'gpt-4o-mini',
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1'],
     maxTokens: 1500,
     temperature: 0.7,
-    endpoint: 'https://api.openai.com/v1/chat/completions',
-    storageKey: 'openaiApiKey'
+    contextTokens: 16000,
+    api: 'openai',
+    endpoint: 'https://api.openai.com/v1/chat/completions'
   },
   grok: {
     name: 'xAI Grok',
     model: 'grok-2-latest',
+    models: ['grok-2-latest', 'grok-2-vision-latest', 'grok-3', 'grok-3-mini'],
     maxTokens: 1500,
     temperature: 0.7,
-    endpoint: 'https://api.x.ai/v1/chat/completions',
-    storageKey: 'grokApiKey'
+    contextTokens: 16000,
+    api: 'openai',
+    endpoint: 'https://api.x.ai/v1/chat/completions'
+  },
+  custom: {
+    name: 'Custom Endpoint',
+    model: '', // User-defined
+    models: [],
+    maxTokens: 1500,
+    temperature: 0.7,
+    contextTokens: 3000, // Local models often run with a small context window
+    api: 'openai',
+    endpoint: '', // Built from the user-defined base URL
+    apiKeyOptional: true // Local servers usually don't need a key
   }
 };
 
 // Default model
 const DEFAULT_MODEL = 'groq';
 
+// Page content token budgets for models that differ from their provider's contextTokens
+const MODEL_CONTEXT_TOKENS = {
+  'llama-3.1-8b-instant': 4000,
+  'gemini-1.5-pro': 60000,
+  'gemini-2.5-pro': 60000,
+  'gpt-4o': 24000,
+  'gpt-4.1': 24000
+};
+
+// Models that accept image input (Gemini models all do)
+const VISION_MODEL_PATTERN = /gpt-4o|gpt-4\.1|gpt-5|vision|grok-4|llama-4|llava|moondream|gemma3|qwen2?\.?5?-?vl|pixtral|minicpm-v/i;
+
+// Used when the user hasn't set a custom system prompt
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant that analyzes webpage content. Be concise and direct.';
+
+// ============================================================================
+// SETTINGS STORAGE
+// ============================================================================
+
+// Bump when the stored settings shape changes (see migrateSettings)
+const SETTINGS_VERSION = 2;
+
+// Flat keys used before settings were stored per provider (version 1)
+const LEGACY_SETTINGS_KEYS = {
+  apiKeys: {
+    groq: 'groqApiKey',
+    gemini: 'geminiApiKey',
+    openai: 'openaiApiKey',
+    grok: 'grokApiKey',
+    custom: 'customApiKey'
+  },
+  customBaseUrl: 'customBaseUrl',
+  customModel: 'customModel',
+  customHeaders: 'customHeaders'
+};
+
+/**
+ * Load settings from storage, migrating older formats first
+ * @returns {Promise<Object>} - { selectedModel, providerSettings }
+ */
+async function loadSettings() {
+  const stored = await chrome.storage.local.get(['settingsVersion', 'selectedModel', 'providerSettings']);
+  
+  if (stored.settingsVersion !== SETTINGS_VERSION) {
+    return migrateSettings();
+  }
+  
+  return {
+    selectedModel: CONFIG[stored.selectedModel] ? stored.selectedModel : DEFAULT_MODEL,
+    providerSettings: stored.providerSettings || {}
+  };
+}
+
+/**
+ * Move flat version 1 keys (groqApiKey, customBaseUrl...) into per-provider settings
+ * @returns {Promise<Object>} - Migrated { selectedModel, providerSettings }
+ */
+async function migrateSettings() {
+  const legacyKeys = [
+    ...Object.values(LEGACY_SETTINGS_KEYS.apiKeys),
+    LEGACY_SETTINGS_KEYS.customBaseUrl,
+    LEGACY_SETTINGS_KEYS.customModel,
+    LEGACY_SETTINGS_KEYS.customHeaders
+  ];
+  const stored = await chrome.storage.local.get(['selectedModel', 'providerSettings', ...legacyKeys]);
+  const providerSettings = stored.providerSettings || {};
+  
+  for (const [provider, key] of Object.entries(LEGACY_SETTINGS_KEYS.apiKeys)) {
+    if (stored[key]) {
+      providerSettings[provider] = { ...providerSettings[provider], apiKey: stored[key] };
+    }
+  }
+  
+  if (stored.customBaseUrl || stored.customModel) {
+    providerSettings.custom = {
+      ...providerSettings.custom,
+      baseUrl: stored.customBaseUrl || '',
+      model: stored.customModel || '',
+      headers: stored.customHeaders || {}
+    };
+  }
+  
+  const settings = {
+    selectedModel: CONFIG[stored.selectedModel] ? stored.selectedModel : DEFAULT_MODEL,
+    providerSettings
+  };
+  
+  await chrome.storage.local.set({ settingsVersion: SETTINGS_VERSION, ...settings });
+  await chrome.storage.local.remove(legacyKeys);
+  
+  return settings;
+}
+
+/**
+ * Get one provider's settings with defaults filled in
+ * @param {Object} providerSettings - Stored settings for all providers
+ * @param {string} model - Provider ID (key in CONFIG)
+ * @returns {Object} - { apiKey, model, temperature, maxTokens, systemPrompt, baseUrl, headers }
+ */
+function getProviderSettings(providerSettings, model) {
+  const config = CONFIG[model];
+  return {
+    apiKey: '',
+    model: config.model,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+    systemPrompt: '',
+    baseUrl: '',
+    headers: {},
+    ...providerSettings[model]
+  };
+}
+
+/**
+ * Validate and store one provider's settings, and make it the selected provider
+ * @param {string} model - Provider ID (key in CONFIG)
+ * @param {Object} settings - Settings from the popup
+ */
+async function saveProviderSettings(model, settings = {}) {
+  const config = CONFIG[model];
+  const { providerSettings } = await loadSettings();
+  
+  const temperature = parseFloat(settings.temperature);
+  const maxTokens = parseInt(settings.maxTokens, 10);
+  
+  providerSettings[model] = {
+    apiKey: (settings.apiKey || '').trim(),
+    model: (settings.model || '').trim() || config.model,
+    temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : config.temperature,
+    maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : config.maxTokens,
+    systemPrompt: (settings.systemPrompt || '').trim()
+  };
+  
+  if (model === 'custom') {
+    providerSettings.custom.baseUrl = normalizeBaseUrl(settings.baseUrl);
+    providerSettings.custom.headers = settings.headers || {};
+  }
+  
+  await chrome.storage.local.set({
+    settingsVersion: SETTINGS_VERSION,
+    selectedModel: model,
+    providerSettings
+  });
+}
+
+/**
+ * Make a provider the selected one, keeping its saved settings
+ * @param {string} model - Provider ID (key of CONFIG)
+ * @returns {Promise<boolean>} - Whether the provider is ready to use (has an API key or doesn't need one)
+ */
+async function selectProvider(model) {
+  const { providerSettings } = await loadSettings();
+  
+  await chrome.storage.local.set({
+    settingsVersion: SETTINGS_VERSION,
+    selectedModel: model,
+    providerSettings
+  });
+  
+  return Boolean(providerSettings[model]?.apiKey || CONFIG[model].apiKeyOptional);
+}
+
 // ============================================================================
 // MESSAGE HANDLING
 // ============================================================================
@@ -61,38 +243,172 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
-  // Handle settings storage (model + API key)
+  // Handle settings storage (selected provider + its settings)
   if (request.action === 'saveSettings') {
-    const { model, apiKey } = request;
-    const config = CONFIG[model];
-    if (!config) {
+    const { model, settings } = request;
+    if (!CONFIG[model]) {
       sendResponse({ success: false, error: 'Invalid model' });
       return true;
     }
-    chrome.storage.local.set({ 
-      selectedModel: model,
-      [config.storageKey]: apiKey 
-    })
+    saveProviderSettings(model, settings)
       .then(() => sendResponse({ success: true }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
   
-  // Handle settings retrieval
+  // Handle provider switching without touching its settings (the /model command)
+  if (request.action === 'selectModel') {
+    if (!CONFIG[request.model]) {
+      sendResponse({ success: false, error: 'Invalid model' });
+      return true;
+    }
+    selectProvider(request.model)
+      .then(configured => sendResponse({ success: true, name: CONFIG[request.model].name, configured }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Relay an embedded frame's content (or selection, for the overlay) to the top
+  // frame of its tab, which merges it (content.js)
+  if (request.action === 'frameContent' || request.action === 'frameSelection') {
+    if (sender.tab && sender.frameId > 0) {
+      chrome.tabs.sendMessage(sender.tab.id, { ...request, frameId: sender.frameId }, { frameId: 0 })
+        .catch(() => {
+          // Top frame not ready yet - it asks for frame content when it loads
+        });
+    }
+    return false;
+  }
+  
+  // The top frame just loaded - ask the tab's embedded frames to report again
+  if (request.action === 'requestFrameContent') {
+    if (sender.tab) {
+      chrome.tabs.sendMessage(sender.tab.id, { action: 'reportFrameContent' }).catch(() => {});
+    }
+    return false;
+  }
+  
+  // Handle settings retrieval (request.model picks a provider other than the selected one)
   if (request.action === 'getSettings') {
-    chrome.storage.local.get(['selectedModel', 'groqApiKey', 'geminiApiKey', 'openaiApiKey', 'grokApiKey'])
-      .then(result => {
-        const model = request.model || result.selectedModel || DEFAULT_MODEL;
+    loadSettings()
+      .then(({ selectedModel, providerSettings }) => {
+        const model = CONFIG[request.model] ? request.model : selectedModel;
         const config = CONFIG[model];
         sendResponse({ 
           success: true, 
           model: model,
-          apiKey: result[config.storageKey] || ''
+          settings: getProviderSettings(providerSettings, model),
+          defaults: {
+            model: config.model,
+            models: config.models,
+            temperature: config.temperature,
+            maxTokens: config.maxTokens,
+            systemPrompt: DEFAULT_SYSTEM_PROMPT
+          }
         });
       })
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
+  
+  // Handle selection action retrieval (context menu entries that run instantly)
+  if (request.action === 'getSelectionActions') {
+    loadSelectionActions()
+      .then(actions => sendResponse({ success: true, actions, defaults: DEFAULT_SELECTION_ACTIONS }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Handle selection action storage (rebuilds the context menu)
+  if (request.action === 'saveSelectionActions') {
+    saveSelectionActions(request.actions)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Handle viewport screenshots from the popup
+  if (request.action === 'captureScreenshot') {
+    captureTab(request.tabId)
+      .then(image => sendResponse({ success: true, image }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Handle a region selected on the page by the content script
+  if (request.action === 'captureRegion' && sender.tab) {
+    handleRegionCapture(request.region, sender.tab)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Handle structured data extraction (JSON validated against a schema)
+  if (request.action === 'extractData') {
+    extractStructuredData(request)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Handle model listing from the provider's API (GET /models)
+  if (request.action === 'listModels') {
+    listEndpointModels(request)
+      .then(models => sendResponse({ success: true, models }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+});
+
+// Streaming tasks the popup can start over a port, by port name
+const STREAM_HANDLERS = {
+  queryAIStream: streamAIQuery,
+  summarizePage: summarizePage
+};
+
+/**
+ * Listen for streaming query connections from the popup
+ * The popup sends { action: 'start', ... } to begin and { action: 'stop' } to abort;
+ * the port receives { type: 'chunk' | 'progress' | 'done' | 'error' } messages back
+ * ('done' carries the sections of the page that were sent as context and the model that answered)
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  const handler = STREAM_HANDLERS[port.name];
+  if (!handler) return;
+  
+  let controller = null;
+  let connected = true;
+  
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+  
+  port.onMessage.addListener((message) => {
+    if (message.action === 'start') {
+      controller = new AbortController();
+      const onChunk = text => post({ type: 'chunk', text });
+      const onProgress = progress => post({ type: 'progress', ...progress });
+      handler(message, onChunk, controller.signal, onProgress)
+        .then(result => post({ type: 'done', context: result.context, cached: !!result.cached, model: result.model }))
+        .catch(error => {
+          if (error.name === 'AbortError') {
+            post({ type: 'done', stopped: true });
+          } else {
+            post({ type: 'error', error: error.message });
+          }
+        });
+    }
+    
+    if (message.action === 'stop' && controller) {
+      controller.abort();
+    }
+  });
+  
+  // Popup closed - no one is listening anymore
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    if (controller) controller.abort();
+  });
 });
 
 // ============================================================================
@@ -102,47 +418,216 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 /**
  * Main function to handle AI queries using selected provider
  * @param {Object} request - Request object containing query, page content, and chat history
+ * @param {AbortSignal} [signal] - Optionally aborts the underlying fetch
  * @returns {Promise<string>} - AI response
  */
-async function handleAIQuery(request) {
-  const { query, pageContent, chatHistory = [] } = request;
+async function handleAIQuery(request, signal) {
+  const { model, config, apiKey } = await getActiveProvider();
+  const input = await prepareVisionInput(request, config);
+  const { url, options } = buildProviderRequest(model, config, apiKey, input, false);
   
-  // Get selected model and API key from storage
-  const storage = await chrome.storage.local.get(['selectedModel', 'groqApiKey', 'geminiApiKey', 'openaiApiKey', 'grokApiKey']);
-  const model = storage.selectedModel || DEFAULT_MODEL;
-  const config = CONFIG[model];
-  const apiKey = storage[config.storageKey];
+  const response = await fetch(url, { ...options, signal });
+  await ensureResponseOk(response);
+  
+  const data = await response.json();
+  let responseText;
+  
+  if (config.api === 'gemini') {
+    responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  } else {
+    responseText = data.choices?.[0]?.message?.content;
+  }
+  
+  if (!responseText) {
+    throw new Error('No response generated. Try a different question.');
+  }
+  
+  return responseText;
+}
+
+/**
+ * Streams an AI response token by token using the selected provider
+ * @param {Object} request - Request object containing query, page content, and chat history
+ * @param {Function} onChunk - Called with each new piece of response text
+ * @param {AbortSignal} signal - Aborts the underlying fetch when triggered
+ * @returns {Promise<Object>} - { text, context, model } once the stream ends (context lists included
+ *   sections, model is { provider, name } for the chat record)
+ */
+async function streamAIQuery(request, onChunk, signal) {
+  const { model, config, apiKey } = await getActiveProvider();
+  const input = await prepareVisionInput(request, config);
+  const { url, options, context } = buildProviderRequest(model, config, apiKey, input, true);
+  
+  const response = await fetch(url, { ...options, signal });
+  await ensureResponseOk(response);
+  
+  let responseText = '';
   
-  if (!apiKey) {
+  await readEventStream(response, (event) => {
+    let text;
+    if (config.api === 'gemini') {
+      text = (event.candidates?.[0]?.content?.parts || [])
+        .map(part => part.text || '')
+        .join('');
+    } else {
+      text = event.choices?.[0]?.delta?.content;
+    }
+    
+    if (text) {
+      responseText += text;
+      onChunk(text);
+    }
+  });
+  
+  if (!responseText) {
+    throw new Error('No response generated. Try a different question.');
+  }
+  
+  return { text: responseText, context, model: { provider: config.name, name: config.model } };
+}
+
+/**
+ * Gets the selected provider along with its config and stored API key
+ * @returns {Promise<Object>} - { model, config, apiKey }
+ */
+async function getActiveProvider() {
+  const { selectedModel, providerSettings } = await loadSettings();
+  const model = selectedModel;
+  const settings = getProviderSettings(providerSettings, model);
+  
+  const config = {
+    ...CONFIG[model],
+    model: settings.model,
+    temperature: settings.temperature,
+    maxTokens: settings.maxTokens,
+    contextTokens: MODEL_CONTEXT_TOKENS[settings.model] || CONFIG[model].contextTokens,
+    systemPrompt: settings.systemPrompt || DEFAULT_SYSTEM_PROMPT
+  };
+  
+  if (model === 'custom') {
+    if (!settings.baseUrl || !settings.model) {
+      throw new Error('Custom endpoint is not configured. Please add a base URL and model in Settings.');
+    }
+    config.endpoint = `${settings.baseUrl}/chat/completions`;
+    config.headers = settings.headers;
+  }
+  
+  if (!settings.apiKey && !config.apiKeyOptional) {
     throw new Error(`API key not configured for ${config.name}. Please add your API key in Settings.`);
   }
   
-  // Build the context prompt (page content - sent only on first message)
-  const contextPrompt = buildContextPrompt(pageContent);
+  return { model, config, apiKey: settings.apiKey };
+}
+
+/**
+ * Lists the models offered by a provider's API
+ * @param {Object} request - { model, apiKey, baseUrl, headers } (baseUrl/headers for custom only)
+ * @returns {Promise<string[]>} - Sorted model IDs
+ */
+async function listEndpointModels(request) {
+  const config = CONFIG[request.model] || CONFIG.custom;
   
-  // Build current query prompt
-  const queryPrompt = buildQueryPrompt(query, pageContent);
+  if (config.api === 'gemini') {
+    if (!request.apiKey) {
+      throw new Error('Please enter your API key first');
+    }
+    const response = await fetch(`${config.endpoint}?key=${request.apiKey}`);
+    await ensureResponseOk(response);
+    
+    const data = await response.json();
+    return (data.models || [])
+      .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+      .map(m => m.name.replace(/^models\//, ''))
+      .sort();
+  }
+  
+  const baseUrl = config.endpoint
+    ? config.endpoint.replace(/\/chat\/completions$/, '')
+    : normalizeBaseUrl(request.baseUrl);
+  if (!baseUrl) {
+    throw new Error('Please enter a base URL first');
+  }
+  
+  const response = await fetch(`${baseUrl}/models`, {
+    headers: buildOpenAIHeaders(request.apiKey, request.headers)
+  });
+  await ensureResponseOk(response);
+  
+  const data = await response.json();
+  const models = (data.data || data.models || [])
+    .map(m => m.id || m.name)
+    .filter(Boolean);
+  
+  if (models.length === 0) {
+    throw new Error('No models returned by this endpoint');
+  }
+  
+  return models.sort();
+}
+
+/**
+ * Normalizes a user-entered base URL (trims whitespace and trailing slashes)
+ * @param {string} baseUrl - Base URL such as http://localhost:11434/v1
+ * @returns {string} - Normalized base URL
+ */
+function normalizeBaseUrl(baseUrl) {
+  return (baseUrl || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Builds request headers for OpenAI-compatible endpoints
+ * @param {string} apiKey - API key (optional for custom endpoints)
+ * @param {Object} extraHeaders - Additional user-defined headers
+ * @returns {Object} - Headers object
+ */
+function buildOpenAIHeaders(apiKey, extraHeaders = {}) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...extraHeaders
+  };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+/**
+ * Builds the fetch URL and options for a provider
+ * @param {string} model - Provider ID (key in CONFIG)
+ * @param {Object} config - Provider configuration
+ * @param {string} apiKey - Provider API key
+ * @param {Object} request - Request object containing query, page content, and chat history
+ * @param {boolean} stream - Whether to request a streamed (SSE) response
+ * @returns {Object} - { url, options } ready to pass to fetch, plus the page context summary
+ */
+function buildProviderRequest(model, config, apiKey, request, stream) {
+  const { query, pageContent, chatHistory = [], focus, pages, responseSchema } = request;
+  
+  // A selection or image picked from the context menu leads; the page becomes secondary context
+  const focusPrompt = focus ? buildFocusPrompt(focus) : '';
+  const rankingQuery = focus ? `${query} ${focus.selection || focus.image?.alt || ''}` : query;
+  const budgetTokens = Math.max(config.contextTokens - estimateTokens(focusPrompt), 0);
+  
+  // Build the context prompt, sent with every request as the system instruction
+  // Sections are ranked against the current question and packed into the model's budget
+  const { prompt: pagePrompt, context } = pages?.length > 1
+    ? buildMultiPageContextPrompt(pages, rankingQuery, budgetTokens)
+    : buildContextPrompt(pageContent, rankingQuery, budgetTokens);
+  const contextPrompt = focus
+    ? `${focusPrompt}\n\nThe rest of the page, as secondary context:\n\n${pagePrompt}`
+    : pagePrompt;
   
-  // Make API request based on provider
-  let response, data, responseText;
+  // Images go to every model that can see them
+  const images = supportsVision(config) ? collectImages(pageContent, focus) : [];
   
-  if (model === 'gemini') {
+  // Build current query prompt
+  const queryPrompt = buildQueryPrompt(query, pageContent, images.length);
+  
+  if (config.api === 'gemini') {
     // Gemini uses a different API format
     // Build conversation contents array
     const contents = [];
     
-    // Add system context as first user message if no history
-    if (chatHistory.length === 0) {
-      contents.push({
-        role: 'user',
-        parts: [{ text: `You are a helpful assistant analyzing this webpage. Be concise and direct.\n\n${contextPrompt}` }]
-      });
-      contents.push({
-        role: 'model',
-        parts: [{ text: 'I understand. I\'ll help you analyze this webpage content. What would you like to know?' }]
-      });
-    }
-    
     // Add chat history
     for (const msg of chatHistory) {
       contents.push({
@@ -151,26 +636,18 @@ async function handleAIQuery(request) {
       });
     }
     
-    // Build current message parts
+    // Build current message parts (the page context and any selection are in the system instruction)
     const parts = [{ text: queryPrompt }];
     
-    // Add images for vision analysis (Gemini supports vision)
-    const imagesWithBase64 = (pageContent.images || [])
-      .filter(img => img.base64)
-      .slice(0, 5); // Limit to 5 images
-    
-    if (imagesWithBase64.length > 0) {
-      for (const img of imagesWithBase64) {
-        const match = img.base64.match(/^data:([^;]+);base64,(.+)$/);
-        if (match) {
-          parts.push({
-            inline_data: {
-              mime_type: match[1],
-              data: match[2]
-            }
-          });
+    // Add images for vision analysis
+    for (const image of images) {
+      const match = image.match(/^data:([^;]+);base64,(.+)$/);
+      parts.push({
+        inline_data: {
+          mime_type: match[1],
+          data: match[2]
         }
-      }
+      });
     }
     
     // Add current query
@@ -179,98 +656,147 @@ async function handleAIQuery(request) {
       parts: parts
     });
     
-    response = await fetch(`${config.endpoint}?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: contents,
-        generationConfig: {
-          maxOutputTokens: config.maxTokens,
-          temperature: config.temperature
-        }
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMsg = errorData.error?.message || `API request failed: ${response.status}`;
-      throw new Error(errorMsg);
-    }
+    // Streaming uses a separate method and server-sent events
+    const url = stream
+      ? `${config.endpoint}/${config.model}:streamGenerateContent?alt=sse&key=${apiKey}`
+      : `${config.endpoint}/${config.model}:generateContent?key=${apiKey}`;
     
-    data = await response.json();
-    responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
-  } else {
-    // OpenAI-compatible format (Groq, OpenAI, Grok)
-    // Build messages array
-    const messages = [
-      {
-        role: 'system',
-        content: `You are a helpful assistant that analyzes webpage content. Be concise and direct.\n\n${contextPrompt}`
+    return {
+      url,
+      context,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          // Like the OpenAI-style system message: the sections ranked for this
+          // question and the provider's system prompt go with every turn
+          systemInstruction: {
+            parts: [{ text: `${config.systemPrompt}\n\n${contextPrompt}` }]
+          },
+          contents: contents,
+          generationConfig: {
+            maxOutputTokens: config.maxTokens,
+            temperature: config.temperature,
+            // Structured extraction asks for JSON matching a schema
+            ...(responseSchema && {
+              responseMimeType: 'application/json',
+              responseSchema: toGeminiSchema(responseSchema)
+            })
+          }
+        })
       }
-    ];
-    
-    // Add chat history
-    for (const msg of chatHistory) {
-      messages.push({
-        role: msg.role,
-        content: msg.content
-      });
+    };
+  }
+  
+  // OpenAI-compatible format (Groq, OpenAI, Grok, custom endpoints)
+  // Build messages array
+  const messages = [
+    {
+      role: 'system',
+      content: `${config.systemPrompt}\n\n${contextPrompt}`
     }
-    
-    // Add current query
+  ];
+  
+  // Add chat history
+  for (const msg of chatHistory) {
     messages.push({
-      role: 'user',
-      content: queryPrompt
+      role: msg.role,
+      content: msg.content
     });
-    
-    response = await fetch(config.endpoint, {
+  }
+  
+  // Add current query (as text and image parts for vision models)
+  messages.push({
+    role: 'user',
+    content: images.length > 0
+      ? [
+        { type: 'text', text: queryPrompt },
+        ...images.map(image => ({ type: 'image_url', image_url: { url: image } }))
+      ]
+      : queryPrompt
+  });
+  
+  return {
+    url: config.endpoint,
+    context,
+    options: {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
+      headers: buildOpenAIHeaders(apiKey, config.headers),
       body: JSON.stringify({
         model: config.model,
         messages: messages,
         max_tokens: config.maxTokens,
-        temperature: config.temperature
+        temperature: config.temperature,
+        stream: stream,
+        // Structured extraction asks for JSON matching a schema
+        ...(responseSchema && { response_format: buildResponseFormat(model, responseSchema) })
       })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMsg = errorData.error?.message || `API request failed: ${response.status}`;
-      throw new Error(errorMsg);
     }
-    
-    data = await response.json();
-    responseText = data.choices?.[0]?.message?.content;
+  };
+}
+
+/**
+ * Throws a readable error if the provider returned a non-2xx response
+ * @param {Response} response - Fetch response
+ */
+async function ensureResponseOk(response) {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMsg = errorData.error?.message || `API request failed: ${response.status}`;
+    throw new Error(errorMsg);
   }
+}
+
+/**
+ * Reads a server-sent events stream and passes each parsed JSON event to a callback
+ * @param {Response} response - Fetch response with an SSE body
+ * @param {Function} onEvent - Called with each parsed `data:` payload
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
   
-  if (!responseText) {
-    throw new Error('No response generated. Try a different question.');
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    
+    // Keep the last (possibly incomplete) line in the buffer
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return;
+      
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (e) {
+        continue; // Skip malformed events
+      }
+      onEvent(event);
+    }
   }
-  
-  return responseText;
 }
 
 /**
- * Builds context prompt with page content (used in system message)
+ * Builds context prompt with the page sections most relevant to the query
  * @param {Object} pageContent - Extracted page content
- * @returns {string} - Formatted context
+ * @param {string} query - User's question (used to rank sections)
+ * @param {number} budgetTokens - Token budget for page content
+ * @returns {Object} - { prompt, context: { includedSections, omittedSections } }
  */
-function buildContextPrompt(pageContent) {
+function buildContextPrompt(pageContent, query, budgetTokens) {
   let prompt = `Webpage: ${pageContent.title}\nURL: ${pageContent.url}\n\n`;
   
-  // Content summary
-  const maxContentLength = 10000; // ~2500 tokens
-  let content = pageContent.textContent || '';
-  if (content.length > maxContentLength) {
-    content = content.substring(0, maxContentLength) + '...';
-  }
-  
   // Add structure summary (headings)
   if (pageContent.structuredContent?.headings?.length > 0) {
     const headings = pageContent.structuredContent.headings
@@ -280,40 +806,1053 @@ function buildContextPrompt(pageContent) {
     prompt += `Topics: ${headings}\n\n`;
   }
   
-  prompt += `Content:\n${content}`;
+  // Split into section-aware chunks and keep the best matches that fit the budget
+  const chunks = chunkPageContent(pageContent);
+  const selected = selectChunks(chunks, query, budgetTokens);
   
-  return prompt;
-}
-
-/**
- * Builds query prompt for current user message
- * @param {string} query - User's question
- * @param {Object} pageContent - Extracted page content
- * @returns {string} - Formatted query
- */
-function buildQueryPrompt(query, pageContent) {
-  let prompt = query;
+  const allSections = uniqueHeadings(chunks);
+  const includedSections = uniqueHeadings(selected);
+  const omittedSections = allSections.filter(heading => !includedSections.includes(heading));
   
-  // Add image info if relevant to query
-  if (pageContent.images?.length > 0) {
-    const imagesWithBase64 = pageContent.images.filter(img => img.base64);
-    const imgDescs = pageContent.images
-      .slice(0, 5)
-      .filter(img => img.alt)
-      .map(img => img.alt)
-      .join('; ');
-    
-    if (imagesWithBase64.length > 0) {
-      prompt += `\n\n[${imagesWithBase64.length} images attached]`;
+  if (selected.length < chunks.length) {
+    prompt += `Note: This page is too long to include in full. Only the parts most relevant to the question are shown below, from these sections: ${includedSections.join(', ')}.`;
+    if (omittedSections.length > 0) {
+      const more = omittedSections.length > 20 ? ` and ${omittedSections.length - 20} more` : '';
+      prompt += ` Omitted sections: ${omittedSections.slice(0, 20).join(', ')}${more}.`;
     }
-    if (imgDescs) {
-      prompt += `\nImage descriptions: ${imgDescs}`;
+    prompt += ' If the answer may depend on content that was not included, say so.\n\n';
+  }
+  
+  // Render selected chunks in page order, marking gaps between them
+  let content = '';
+  let previous = null;
+  for (const chunk of selected) {
+    if (previous && chunk.index !== previous.index + 1) {
+      content += '[...]\n\n';
+    }
+    if (!previous || chunk.heading !== previous.heading || chunk.index !== previous.index + 1) {
+      content += `## ${chunk.heading}\n`;
     }
+    content += `${chunk.text}\n\n`;
+    previous = chunk;
+  }
+  
+  prompt += `Content:\n${content.trim()}`;
+  
+  // Passages tagged by the content script (e.g. "[s12]") can be cited and clicked
+  if (/\[s\d+\]/.test(content)) {
+    prompt += '\n\nPassages above are tagged with IDs like [s12]. After each claim, cite the passage(s) it is based on using those exact tags, e.g. [s12] or [s12, s15]. Only cite tags that appear in the content.';
+  }
+  
+  // PDF text is tagged with its page number (e.g. "[p12]") by the popup
+  if (/\[p\d+\]/.test(content)) {
+    prompt += '\n\nThis is a PDF document and each paragraph above is tagged with its page, like [p12]. After each claim, cite the page(s) it is based on using those exact tags, e.g. [p12] or [p12, p15]. Only cite tags that appear in the content.';
+  }
+  
+  return {
+    prompt,
+    context: {
+      includedSections: selected.length < chunks.length ? includedSections : [],
+      omittedSections: selected.length < chunks.length ? omittedSections : []
+    }
+  };
+}
+
+/**
+ * Builds a labeled context prompt from several tabs, splitting the budget between them
+ * @param {Array} pages - Extracted page contents, each with a label (e.g. "Tab 2")
+ * @param {string} query - User's question (used to rank each page's sections)
+ * @param {number} budgetTokens - Token budget for all pages together
+ * @returns {Object} - { prompt, context: { includedSections, omittedSections, tabs } }
+ */
+function buildMultiPageContextPrompt(pages, query, budgetTokens) {
+  const pageBudget = Math.floor(budgetTokens / pages.length);
+  
+  const sections = pages.map(page => {
+    // Source and PDF page tags are only unique within a page and can't be clicked across tabs
+    const untagged = {
+      ...page,
+      textContent: (page.textContent || '').replace(/\[[sp]\d+\] ?/g, '')
+    };
+    const { prompt } = buildContextPrompt(untagged, query, pageBudget);
+    return `=== [${page.label}] ${page.title} ===\n${prompt}`;
+  });
+  
+  const labels = pages.map(page => `[${page.label}]`).join(', ');
+  const prompt = `The user is comparing ${pages.length} open browser tabs: ${labels}. ` +
+    'Answer using all of them. After each claim, name the tab it came from using its exact label, e.g. [Tab 2]. ' +
+    'If the tabs disagree or one is missing information, say so.\n\n' +
+    sections.join('\n\n');
+  
+  return {
+    prompt,
+    context: {
+      includedSections: [],
+      omittedSections: [],
+      tabs: pages.map(page => ({ label: page.label, title: page.title, url: page.url }))
+    }
+  };
+}
+
+/**
+ * Builds the prompt for text or an image the user picked from the context menu
+ * @param {Object} focus - { selection, before, after } or { image: { src, alt, caption }, before, after }
+ * @returns {string} - Formatted focus prompt
+ */
+function buildFocusPrompt(focus) {
+  let prompt;
+  
+  if (focus.image?.screenshot) {
+    prompt = 'The user attached a screenshot of what they see on this page - it is the main subject of the question.';
+  } else if (focus.image) {
+    prompt = 'The user is asking about an image on this page - it is the main subject of the question.';
+    prompt += `\nImage URL: ${focus.image.src}`;
+    if (focus.image.alt) prompt += `\nAlt text: ${focus.image.alt}`;
+    if (focus.image.caption) prompt += `\nCaption: ${focus.image.caption}`;
+  } else {
+    prompt = `The user selected this text on the page - it is the main subject of the question:\n"""\n${focus.selection}\n"""`;
+  }
+  
+  if (focus.before || focus.after) {
+    prompt += `\n\nText around it on the page:\n...${focus.before || ''} [${focus.image ? 'IMAGE' : 'SELECTION'}] ${focus.after || ''}...`;
   }
   
   return prompt;
 }
 
+/**
+ * Builds query prompt for current user message
+ * @param {string} query - User's question
+ * @param {Object} pageContent - Extracted page content
+ * @param {number} attachedImages - Number of images sent with the message
+ * @returns {string} - Formatted query
+ */
+function buildQueryPrompt(query, pageContent, attachedImages) {
+  let prompt = query;
+  
+  if (attachedImages > 0) {
+    prompt += `\n\n[${attachedImages} images attached]`;
+  }
+  
+  // Add image info if relevant to query
+  if (pageContent.images?.length > 0) {
+    const imgDescs = pageContent.images
+      .slice(0, 5)
+      .filter(img => img.alt)
+      .map(img => img.alt)
+      .join('; ');
+    
+    if (imgDescs) {
+      prompt += `\nImage descriptions: ${imgDescs}`;
+    }
+  }
+  
+  return prompt;
+}
+
+// ============================================================================
+// VISION INPUT
+// ============================================================================
+
+// Images sent with each message
+const MAX_VISION_IMAGES = 5;
+
+// Larger images are scaled down before sending (keeps requests small and cheap)
+const IMAGE_MAX_DIMENSION = 1024;
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+
+// Fetched images by URL, kept while the service worker is alive
+const imageCache = new Map();
+const IMAGE_CACHE_LIMIT = 30;
+
+/**
+ * Whether the selected model accepts images
+ * @param {Object} config - Active provider config
+ * @returns {boolean}
+ */
+function supportsVision(config) {
+  return config.api === 'gemini' || VISION_MODEL_PATTERN.test(config.model);
+}
+
+/**
+ * Fill in images the content script couldn't read (cross-origin images taint its canvas)
+ * @param {Object} request - Query request with pageContent and optional focus
+ * @param {Object} config - Active provider config
+ * @returns {Promise<Object>} - Request with base64 filled in where possible
+ */
+async function prepareVisionInput(request, config) {
+  const { pageContent, focus } = request;
+  
+  if (!supportsVision(config)) {
+    if (focus?.image?.screenshot) {
+      throw new Error(`${config.model} can't read images. Pick a vision model in Settings (e.g. gpt-4o-mini, gemini-2.0-flash or grok-2-vision-latest).`);
+    }
+    return request;
+  }
+  
+  const resolve = async (image) => {
+    if (image.base64) return image;
+    const base64 = await fetchImageAsDataUrl(image.src).catch(() => null);
+    return { ...image, base64 };
+  };
+  
+  // Only the picked image matters when the user asked about one
+  if (focus?.image) {
+    return { ...request, focus: { ...focus, image: await resolve(focus.image) } };
+  }
+  
+  const images = await mapWithConcurrency((pageContent.images || []).slice(0, MAX_VISION_IMAGES), 3, resolve);
+  return { ...request, pageContent: { ...pageContent, images } };
+}
+
+/**
+ * Collect the data URLs to send with a message: the picked image, or the page's images
+ * @param {Object} pageContent - Extracted page content
+ * @param {Object} [focus] - Selection or image the question is about
+ * @returns {string[]} - Image data URLs
+ */
+function collectImages(pageContent, focus) {
+  const candidates = focus?.image
+    ? [focus.image]
+    : (pageContent.images || []);
+  
+  return candidates
+    .map(image => image.base64)
+    .filter(base64 => /^data:image\/[^;]+;base64,/.test(base64 || ''))
+    .slice(0, MAX_VISION_IMAGES);
+}
+
+/**
+ * Download an image with the extension's host permissions and encode it for the API
+ * @param {string} src - Image URL
+ * @returns {Promise<string>} - JPEG data URL, scaled down to IMAGE_MAX_DIMENSION
+ */
+async function fetchImageAsDataUrl(src) {
+  if (imageCache.has(src)) return imageCache.get(src);
+  
+  const response = await fetch(src);
+  if (!response.ok) {
+    throw new Error(`Image request failed: ${response.status}`);
+  }
+  
+  const blob = await response.blob();
+  if (!blob.type.startsWith('image/') || blob.type.includes('svg') || blob.size > IMAGE_MAX_BYTES) {
+    throw new Error('Unsupported image');
+  }
+  
+  const dataUrl = await encodeImage(await createImageBitmap(blob));
+  
+  imageCache.set(src, dataUrl);
+  if (imageCache.size > IMAGE_CACHE_LIMIT) {
+    imageCache.delete(imageCache.keys().next().value);
+  }
+  
+  return dataUrl;
+}
+
+/**
+ * Scale an image (or part of it) down and encode it as a JPEG data URL
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @param {Object} [crop] - { x, y, width, height } in image pixels
+ * @returns {Promise<string>} - JPEG data URL
+ */
+async function encodeImage(bitmap, crop = { x: 0, y: 0, width: bitmap.width, height: bitmap.height }) {
+  const scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(crop.width, crop.height));
+  const width = Math.max(1, Math.round(crop.width * scale));
+  const height = Math.max(1, Math.round(crop.height * scale));
+  
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  
+  // JPEG has no transparency - use white instead of black behind transparent PNGs
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(bitmap, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+  bitmap.close();
+  
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  
+  // btoa needs a binary string; build it in chunks to stay under the argument limit
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  
+  return `data:image/jpeg;base64,${btoa(binary)}`;
+}
+
+/**
+ * Screenshot the visible part of a tab, optionally cropped to a region
+ * @param {number} tabId - Tab to capture (must be the active tab of its window)
+ * @param {Object} [region] - { x, y, width, height, devicePixelRatio } in CSS pixels
+ * @returns {Promise<string>} - JPEG data URL
+ */
+async function captureTab(tabId, region) {
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.active) {
+    throw new Error('Switch to the page first - only the visible tab can be captured.');
+  }
+  
+  const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  const bitmap = await createImageBitmap(await (await fetch(screenshot)).blob());
+  
+  if (!region) {
+    return encodeImage(bitmap);
+  }
+  
+  const ratio = region.devicePixelRatio || 1;
+  return encodeImage(bitmap, {
+    x: Math.round(region.x * ratio),
+    y: Math.round(region.y * ratio),
+    width: Math.round(region.width * ratio),
+    height: Math.round(region.height * ratio)
+  });
+}
+
+/**
+ * Capture a region the user dragged out on the page and hand it to the assistant
+ * @param {Object} region - { x, y, width, height, devicePixelRatio } in CSS pixels
+ * @param {chrome.tabs.Tab} tab - Tab the region was selected in
+ */
+async function handleRegionCapture(region, tab) {
+  const base64 = await captureTab(tab.id, region);
+  
+  await chrome.storage.session.set({
+    pendingContext: {
+      tabId: tab.id,
+      focus: { image: { src: tab.url, screenshot: true, alt: 'Selected region of the page', base64 } },
+      prompt: '',
+      expiresAt: Date.now() + PENDING_CONTEXT_TTL
+    }
+  });
+  
+  // The action popup closed when the page was clicked - reopen it if nothing else is showing
+  const views = await chrome.runtime.getContexts?.({ contextTypes: ['SIDE_PANEL', 'POPUP', 'TAB'] });
+  if (views && views.length === 0) {
+    chrome.action.openPopup().catch(() => {});
+  }
+}
+
+// ============================================================================
+// STRUCTURED EXTRACTION
+// ============================================================================
+
+// First try plus repair rounds when the reply doesn't match the schema
+const EXTRACTION_MAX_ATTEMPTS = 3;
+
+// Schema keywords Gemini's responseSchema accepts (an OpenAPI subset)
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+/**
+ * Extracts data from a page as JSON, asking the model to repair replies that don't validate
+ * @param {Object} request - { pageContent, schema } where schema is a JSON Schema
+ * @param {AbortSignal} [signal] - Optionally aborts the underlying fetches
+ * @returns {Promise<Object>} - { data, attempts }
+ */
+async function extractStructuredData(request, signal) {
+  const { pageContent, schema } = request;
+  
+  // Providers need an object at the root, so lists are wrapped as { items: [...] }
+  const wrapped = schema.type === 'array';
+  const responseSchema = wrapped
+    ? { type: 'object', properties: { items: schema }, required: ['items'] }
+    : schema;
+  
+  // Source tags would end up inside the values, and images aren't needed
+  const content = {
+    ...pageContent,
+    textContent: (pageContent.textContent || '').replace(/\[[sp]\d+\] ?/g, ''),
+    images: []
+  };
+  
+  const chatHistory = [];
+  let query = `Extract data from this page as JSON matching this JSON Schema:\n${JSON.stringify(responseSchema, null, 2)}\n\n` +
+    'Use only information found on the page and don\'t invent values; use null where a value is missing and null is allowed. Reply with the JSON only.';
+  let errors = [];
+  
+  for (let attempt = 1; attempt <= EXTRACTION_MAX_ATTEMPTS; attempt++) {
+    const reply = await handleAIQuery({ query, pageContent: content, chatHistory, responseSchema }, signal);
+    
+    let data;
+    try {
+      data = parseJsonReply(reply);
+      errors = validateJson(data, responseSchema);
+    } catch (error) {
+      errors = [`the reply is not valid JSON (${error.message})`];
+    }
+    
+    if (errors.length === 0) {
+      return { data: wrapped ? data.items : data, attempts: attempt };
+    }
+    
+    // Show the model its reply and what's wrong with it
+    chatHistory.push({ role: 'user', content: query }, { role: 'assistant', content: reply });
+    query = `That JSON doesn't match the schema:\n- ${errors.slice(0, 10).join('\n- ')}\n\nReply with the corrected JSON only.`;
+  }
+  
+  throw new Error(`No valid data after ${EXTRACTION_MAX_ATTEMPTS} attempts: ${errors.slice(0, 3).join('; ')}`);
+}
+
+/**
+ * Parses JSON from a model reply, ignoring code fences and text around it
+ * @param {string} text - Model reply
+ * @returns {*} - Parsed value
+ */
+function parseJsonReply(text) {
+  const unfenced = text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  const start = unfenced.search(/[[{]/);
+  const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+  
+  if (start === -1 || end < start) {
+    throw new Error('no JSON found');
+  }
+  
+  return JSON.parse(unfenced.slice(start, end + 1));
+}
+
+/**
+ * Validates a value against the JSON Schema keywords used for extraction
+ * (type, enum, properties, required, items, nullable)
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Location of the value, for error messages
+ * @returns {string[]} - Readable errors (empty when valid)
+ */
+function validateJson(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  
+  const types = [].concat(schema.type || []);
+  if (value === null && (schema.nullable || types.includes('null'))) return [];
+  
+  if (types.length > 0 && !types.some(type => matchesJsonType(value, type))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+  
+  const errors = [];
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+  
+  if (matchesJsonType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateJson(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`)));
+  }
+  
+  return errors;
+}
+
+/**
+ * Checks a value against a single JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean}
+ */
+function matchesJsonType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+/**
+ * Builds the OpenAI-style response_format for a schema
+ * OpenAI enforces the schema itself; other compatible APIs get JSON mode plus the schema in the prompt
+ * @param {string} model - Provider key
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - response_format value
+ */
+function buildResponseFormat(model, schema) {
+  if (model === 'openai') {
+    return { type: 'json_schema', json_schema: { name: 'extraction', schema: schema, strict: false } };
+  }
+  return { type: 'json_object' };
+}
+
+/**
+ * Converts a JSON Schema to Gemini's responseSchema format
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - Gemini schema (upper-case types, "null" types become nullable)
+ */
+function toGeminiSchema(schema) {
+  const result = {};
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  }
+  
+  const types = [].concat(schema.type || []);
+  const type = types.find(name => name !== 'null');
+  delete result.type;
+  if (type) result.type = type.toUpperCase();
+  if (types.includes('null')) result.nullable = true;
+  
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) {
+    result.items = toGeminiSchema(schema.items);
+  }
+  
+  return result;
+}
+
+// ============================================================================
+// MAP-REDUCE SUMMARIZATION
+// ============================================================================
+
+// Parallel requests while summarizing parts (keeps free tiers under their rate limits)
+const SUMMARY_CONCURRENCY = 3;
+
+// Extra summarize rounds allowed when the partial summaries still don't fit
+const SUMMARY_MAX_ROUNDS = 3;
+
+// Pages cached per URL (oldest are dropped first)
+const SUMMARY_CACHE_LIMIT = 20;
+
+/**
+ * Summarizes a page of any length: each part is summarized in parallel (map),
+ * then the partial summaries are merged in a final streamed pass (reduce)
+ * @param {Object} request - { query, pageContent } where pageContent is the full page
+ * @param {Function} onChunk - Called with each new piece of the final answer
+ * @param {AbortSignal} signal - Aborts all requests when triggered
+ * @param {Function} onProgress - Called with { done, total } as parts finish
+ * @returns {Promise<Object>} - { text, cached }
+ */
+async function summarizePage(request, onChunk, signal, onProgress) {
+  const { query, pageContent } = request;
+  const { model, config } = await getActiveProvider();
+  
+  // Repeat requests for an unchanged page are answered from the cache
+  const cacheKey = `${model}:${config.model}:${query}`;
+  const contentHash = hashString(pageContent.textContent || '');
+  const cached = await getCachedSummary(pageContent.url, cacheKey, contentHash);
+  if (cached) {
+    onChunk(cached);
+    return { text: cached, cached: true };
+  }
+  
+  // Leave room for the instructions around each part
+  const budget = Math.floor(config.contextTokens * 0.9);
+  let chunks = chunkPageContent(pageContent);
+  let round = 0;
+  
+  // Map: summarize parts until everything fits in one final request
+  while (chunks.reduce((sum, chunk) => sum + estimateTokens(chunk.text), 0) > budget) {
+    if (round++ >= SUMMARY_MAX_ROUNDS) {
+      throw new Error('This page is too long to summarize with the selected model.');
+    }
+    
+    const parts = groupChunks(chunks, budget);
+    let done = 0;
+    onProgress({ done, total: parts.length, round });
+    
+    const summaries = await mapWithConcurrency(parts, SUMMARY_CONCURRENCY, async (part, i, partSignal) => {
+      const summary = await handleAIQuery({
+        query: `Summarize part ${i + 1} of ${parts.length} of this page. Keep key facts, names, numbers and conclusions, and keep the [s#] passage tags and [p#] page tags of the facts you keep. Use concise bullet points.`,
+        pageContent: { title: pageContent.title, url: pageContent.url, textContent: part }
+      }, signal ? AbortSignal.any([signal, partSignal]) : partSignal);
+      onProgress({ done: ++done, total: parts.length, round });
+      return summary;
+    });
+    
+    chunks = summaries.map((summary, i) => ({ index: i, heading: `Part ${i + 1}`, text: summary }));
+  }
+  
+  // Reduce: answer the original request from the partial summaries (or the whole page)
+  const reducedContent = round === 0
+    ? pageContent
+    : {
+        title: pageContent.title,
+        url: pageContent.url,
+        textContent: chunks.map(chunk => `## ${chunk.heading}\n${chunk.text}`).join('\n\n')
+      };
+  const finalQuery = round === 0
+    ? query
+    : `The content below is a set of summaries of consecutive parts of a long page. Using them, respond to this request: ${query}`;
+  
+  const { text, model: modelInfo } = await streamAIQuery({ query: finalQuery, pageContent: reducedContent }, onChunk, signal);
+  await cacheSummary(pageContent.url, cacheKey, contentHash, text);
+  
+  return { text, cached: false, model: modelInfo };
+}
+
+/**
+ * Groups chunks into consecutive parts that each fit the token budget
+ * @param {Array<Object>} chunks - Chunks from chunkPageContent
+ * @param {number} budgetTokens - Token budget per part
+ * @returns {string[]} - Part texts with "## heading" lines
+ */
+function groupChunks(chunks, budgetTokens) {
+  const parts = [];
+  let current = [];
+  let used = 0;
+  
+  for (const chunk of chunks) {
+    const text = `## ${chunk.heading}\n${chunk.text}`;
+    const cost = estimateTokens(text);
+    if (current.length > 0 && used + cost > budgetTokens) {
+      parts.push(current.join('\n\n'));
+      current = [];
+      used = 0;
+    }
+    current.push(text);
+    used += cost;
+  }
+  if (current.length > 0) parts.push(current.join('\n\n'));
+  
+  return parts;
+}
+
+/**
+ * Runs an async worker over items with at most `limit` running at once.
+ * The first failure aborts the workers still running (through the signal they
+ * get) and no further items are started
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index, signal) => result
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const controller = new AbortController();
+  let next = 0;
+  
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !controller.signal.aborted) {
+      const i = next++;
+      try {
+        results[i] = await worker(items[i], i, controller.signal);
+      } catch (error) {
+        controller.abort();
+        throw error;
+      }
+    }
+  });
+  
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Looks up a cached summary for a page
+ * @param {string} url - Page URL
+ * @param {string} cacheKey - Provider, model and request
+ * @param {string} contentHash - Hash of the page text the summary was built from
+ * @returns {Promise<string|null>} - Cached summary, or null when missing or stale
+ */
+async function getCachedSummary(url, cacheKey, contentHash) {
+  const { summaryCache = {} } = await chrome.storage.local.get('summaryCache');
+  const entry = summaryCache[url]?.summaries?.[cacheKey];
+  return entry && entry.contentHash === contentHash ? entry.text : null;
+}
+
+/**
+ * Stores a summary for a page, dropping the oldest pages past SUMMARY_CACHE_LIMIT
+ * @param {string} url - Page URL
+ * @param {string} cacheKey - Provider, model and request
+ * @param {string} contentHash - Hash of the page text the summary was built from
+ * @param {string} text - Summary text
+ */
+async function cacheSummary(url, cacheKey, contentHash, text) {
+  const { summaryCache = {} } = await chrome.storage.local.get('summaryCache');
+  
+  const page = summaryCache[url] || { summaries: {} };
+  page.summaries[cacheKey] = { text, contentHash };
+  page.updatedAt = Date.now();
+  summaryCache[url] = page;
+  
+  const urls = Object.keys(summaryCache)
+    .sort((a, b) => summaryCache[b].updatedAt - summaryCache[a].updatedAt);
+  for (const staleUrl of urls.slice(SUMMARY_CACHE_LIMIT)) {
+    delete summaryCache[staleUrl];
+  }
+  
+  await chrome.storage.local.set({ summaryCache });
+}
+
+/**
+ * Hashes a string (djb2) - used to detect page changes, not for security
+ * @param {string} text - Text to hash
+ * @returns {string} - Hash as a base-36 string
+ */
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `${(hash >>> 0).toString(36)}:${text.length}`;
+}
+
+// ============================================================================
+// CONTEXT CHUNKING AND RETRIEVAL
+// ============================================================================
+
+// Target chunk size (~375 tokens) - small enough to rank, large enough to keep context
+const CHUNK_TARGET_CHARS = 1500;
+
+// Rough token estimate for English text
+const CHARS_PER_TOKEN = 4;
+
+// BM25 tuning parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Common words ignored when ranking
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for',
+  'from', 'how', 'in', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'page', 'tell', 'that',
+  'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you'
+]);
+
+/**
+ * Estimates the number of tokens in a string
+ * @param {string} text - Text to measure
+ * @returns {number} - Approximate token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Splits page text into section-aware chunks
+ * Headings come from Markdown-style "## " lines or structuredContent.headings
+ * @param {Object} pageContent - Extracted page content
+ * @returns {Array<Object>} - Chunks { index, heading, text } in page order
+ */
+function chunkPageContent(pageContent) {
+  const headingTexts = new Set((pageContent.structuredContent?.headings || []).map(h => h.text));
+  const lines = (pageContent.textContent || '').split('\n');
+  
+  // Group lines into sections
+  const sections = [];
+  let current = { heading: 'Introduction', lines: [] };
+  
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    
+    const markdownHeading = line.match(/^#{1,6}\s+(.+)$/);
+    const heading = markdownHeading ? markdownHeading[1] : (headingTexts.has(line) ? line : null);
+    
+    if (heading) {
+      if (current.lines.length > 0) sections.push(current);
+      current = { heading, lines: [] };
+    } else {
+      current.lines.push(...splitLongLine(line));
+    }
+  }
+  if (current.lines.length > 0) sections.push(current);
+  
+  // Pack each section's lines into chunks of roughly CHUNK_TARGET_CHARS
+  const chunks = [];
+  for (const section of sections) {
+    let buffer = [];
+    let length = 0;
+    
+    for (const line of section.lines) {
+      if (buffer.length > 0 && length + line.length > CHUNK_TARGET_CHARS) {
+        chunks.push({ index: chunks.length, heading: section.heading, text: buffer.join('\n') });
+        buffer = [];
+        length = 0;
+      }
+      buffer.push(line);
+      length += line.length + 1;
+    }
+    
+    if (buffer.length > 0) {
+      chunks.push({ index: chunks.length, heading: section.heading, text: buffer.join('\n') });
+    }
+  }
+  
+  return chunks;
+}
+
+/**
+ * Splits a line longer than the chunk size at sentence boundaries
+ * @param {string} line - Line of page text
+ * @returns {string[]} - One or more pieces
+ */
+function splitLongLine(line) {
+  if (line.length <= CHUNK_TARGET_CHARS) return [line];
+  
+  const pieces = [];
+  let piece = '';
+  for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+    if (piece && piece.length + sentence.length > CHUNK_TARGET_CHARS) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece = piece ? `${piece} ${sentence}` : sentence;
+  }
+  if (piece) pieces.push(piece);
+  
+  return pieces;
+}
+
+/**
+ * Lowercases and splits text into ranking terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Terms without stopwords
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Scores chunks against a query with BM25
+ * @param {Array<Object>} chunks - Chunks from chunkPageContent
+ * @param {string} query - User's question
+ * @returns {number[]} - Score per chunk (0 when no query term matches)
+ */
+function rankChunks(chunks, query) {
+  const queryTerms = [...new Set(tokenize(query || ''))];
+  if (queryTerms.length === 0) return chunks.map(() => 0);
+  
+  const docs = chunks.map(chunk => tokenize(`${chunk.heading} ${chunk.text}`));
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+  
+  // Number of chunks containing each term
+  const docFreq = new Map();
+  for (const doc of docs) {
+    for (const term of new Set(doc)) {
+      docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+  }
+  
+  return docs.map(doc => {
+    const termFreq = new Map();
+    for (const term of doc) {
+      termFreq.set(term, (termFreq.get(term) || 0) + 1);
+    }
+    
+    let score = 0;
+    for (const term of queryTerms) {
+      const freq = termFreq.get(term);
+      if (!freq) continue;
+      
+      const df = docFreq.get(term);
+      const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+      score += idf * (freq * (BM25_K1 + 1)) /
+        (freq + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+    }
+    return score;
+  });
+}
+
+/**
+ * Picks the chunks to send: the opening chunk, then the best matches, within the budget
+ * Falls back to page order when the query matches nothing (e.g. "summarize")
+ * @param {Array<Object>} chunks - Chunks from chunkPageContent
+ * @param {string} query - User's question
+ * @param {number} budgetTokens - Token budget for page content
+ * @returns {Array<Object>} - Selected chunks in page order
+ */
+function selectChunks(chunks, query, budgetTokens) {
+  const scores = rankChunks(chunks, query);
+  const order = chunks.map((chunk, i) => i);
+  
+  if (scores.some(score => score > 0)) {
+    // The opening chunk usually defines the topic, so keep it first
+    order.sort((a, b) => (a === 0 ? -1 : b === 0 ? 1 : scores[b] - scores[a] || a - b));
+  }
+  
+  const selected = [];
+  let used = 0;
+  for (const i of order) {
+    const cost = estimateTokens(chunks[i].text) + estimateTokens(chunks[i].heading);
+    if (used + cost > budgetTokens) continue;
+    selected.push(i);
+    used += cost;
+  }
+  
+  return selected
+    .sort((a, b) => a - b)
+    .map(i => chunks[i]);
+}
+
+/**
+ * Lists section headings in order without repeats
+ * @param {Array<Object>} chunks - Chunks with a heading
+ * @returns {string[]} - Unique headings
+ */
+function uniqueHeadings(chunks) {
+  return [...new Set(chunks.map(chunk => chunk.heading))];
+}
+
+// ============================================================================
+// CONTEXT MENUS
+// ============================================================================
+
+// Selection actions that run as soon as they're picked
+const DEFAULT_SELECTION_ACTIONS = [
+  { title: 'Explain', prompt: 'Explain the selected text in plain terms, using the page for context.' },
+  { title: 'Translate to English', prompt: 'Translate the selected text into English.' },
+  { title: 'Simplify', prompt: 'Rewrite the selected text in simpler words, keeping its meaning.' }
+];
+
+// Image entries (only run instantly when a prompt is given)
+const IMAGE_ACTIONS = [
+  { id: 'image:ask', title: 'Ask PageSage about this image', prompt: '' },
+  { id: 'image:describe', title: 'Describe this image', prompt: 'Describe this image and how it relates to the page.' }
+];
+
+// Pending selections older than this are ignored by the popup
+const PENDING_CONTEXT_TTL = 60 * 1000;
+
+/**
+ * Load the user's selection actions
+ * @returns {Promise<Array>} - [{ title, prompt }]
+ */
+async function loadSelectionActions() {
+  const { selectionActions } = await chrome.storage.local.get('selectionActions');
+  return Array.isArray(selectionActions) ? selectionActions : DEFAULT_SELECTION_ACTIONS;
+}
+
+/**
+ * Save the user's selection actions and rebuild the context menu
+ * @param {Array} actions - [{ title, prompt }]
+ */
+async function saveSelectionActions(actions) {
+  if (!Array.isArray(actions) || actions.some(action => !action.title || !action.prompt)) {
+    throw new Error('Each action needs a title and a prompt');
+  }
+  await chrome.storage.local.set({ selectionActions: actions });
+  await setupContextMenus();
+}
+
+/**
+ * Create the context menu entries for selected text and images
+ */
+async function setupContextMenus() {
+  const actions = await loadSelectionActions();
+  await chrome.contextMenus.removeAll();
+  
+  chrome.contextMenus.create({ id: 'pagesage', title: 'PageSage', contexts: ['selection', 'image'] });
+  chrome.contextMenus.create({ id: 'ask', parentId: 'pagesage', title: 'Ask PageSage about this', contexts: ['selection'] });
+  
+  actions.forEach((action, index) => {
+    chrome.contextMenus.create({ id: `action:${index}`, parentId: 'pagesage', title: action.title, contexts: ['selection'] });
+  });
+  
+  for (const action of IMAGE_ACTIONS) {
+    chrome.contextMenus.create({ id: action.id, parentId: 'pagesage', title: action.title, contexts: ['image'] });
+  }
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id) return;
+  
+  // Must be called before any await to keep the user gesture
+  openAssistant(tab);
+  
+  handleContextMenuClick(info, tab).catch(() => {
+    // Page can't be scripted (e.g. chrome:// pages)
+  });
+});
+
+/**
+ * Open the assistant for a tab: side panel if available, otherwise the popup or a window
+ * @param {chrome.tabs.Tab} tab - Tab the menu was used in
+ */
+function openAssistant(tab) {
+  const openWindow = () => chrome.windows.create({
+    url: chrome.runtime.getURL('popup.html') + '?tabId=' + tab.id,
+    type: 'popup',
+    width: 450,
+    height: 650
+  });
+  
+  if (chrome.sidePanel) {
+    chrome.sidePanel.open({ windowId: tab.windowId }).catch(openWindow);
+  } else if (chrome.action.openPopup) {
+    chrome.action.openPopup().catch(openWindow);
+  } else {
+    openWindow();
+  }
+}
+
+/**
+ * Capture the selection or image with the text around it and hand it to the popup
+ * @param {Object} info - Context menu click info
+ * @param {chrome.tabs.Tab} tab - Tab the menu was used in
+ */
+async function handleContextMenuClick(info, tab) {
+  let prompt = '';
+  if (info.menuItemId.startsWith('action:')) {
+    const actions = await loadSelectionActions();
+    prompt = actions[parseInt(info.menuItemId.split(':')[1], 10)]?.prompt || '';
+  } else {
+    prompt = IMAGE_ACTIONS.find(action => action.id === info.menuItemId)?.prompt || '';
+  }
+  
+  // Surrounding text comes from the content script; fall back to what the menu knows
+  let focus;
+  try {
+    focus = await chrome.tabs.sendMessage(tab.id, {
+      action: 'getSelectionContext',
+      srcUrl: info.mediaType === 'image' ? info.srcUrl : null
+    }, { frameId: info.frameId });
+  } catch (error) {
+    focus = null;
+  }
+  
+  if (!focus) {
+    focus = info.mediaType === 'image'
+      ? { image: { src: info.srcUrl } }
+      : { selection: info.selectionText };
+  }
+  
+  await chrome.storage.session.set({
+    pendingContext: {
+      tabId: tab.id,
+      focus: focus,
+      prompt: prompt,
+      expiresAt: Date.now() + PENDING_CONTEXT_TTL
+    }
+  });
+}
+
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== 'toggle-overlay' || !tab?.id) return;
+  
+  try {
+    await chrome.tabs.sendMessage(tab.id, { action: 'toggleOverlay' });
+  } catch (error) {
+    // Content script not loaded yet (page opened before install) - inject it first
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id, allFrames: true },
+        files: ['content.js']
+      });
+      await chrome.tabs.sendMessage(tab.id, { action: 'toggleOverlay' });
+    } catch (injectionError) {
+      // Page can't be scripted (e.g. chrome:// pages)
+    }
+  }
+});
+
 // ============================================================================
 // INSTALLATION HANDLER
 // ============================================================================
@@ -322,5 +1861,13 @@ chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     // Extension installed
   }
+  
+  // Context menus persist across restarts, but are dropped on install and update
+  setupContextMenus().catch(() => {});
+  
+  if (details.reason === 'update') {
+    // Move settings saved by older versions into the current format
+    loadSettings().catch(() => {});
+  }
 });
 
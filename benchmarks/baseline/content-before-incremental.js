@@ -0,0 +1,922 @@
+// Baseline for benchmarks/incremental-extraction.html: content.js as it was before
+// incremental extraction, which re-ran extractAllContent() over the whole page on
+// every scroll and every mutation batch. Kept verbatim - do not edit.
+
+/**
+ * Content Script - Auto-extracts ALL text from webpages including scrolled content
+ * Optimized for Wikipedia and article-style pages
+ * Runs automatically on every page visit and captures lazy-loaded content
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+// Store all extracted content (accumulates as user scrolls)
+let extractedContent = {
+  title: '',
+  url: '',
+  textContent: '',
+  images: [],
+  structuredContent: { headings: [], lists: [], tables: [], paragraphs: [] },
+  extractedAt: '',
+  scrollPositions: [],
+  isComplete: false
+};
+
+// Track previously seen text to avoid duplicates
+let seenTextBlocks = new Set();
+
+// Stable source IDs for extracted blocks, so answers can cite and scroll to them
+let sourceElements = new Map(); // id -> element
+let elementSourceIds = new WeakMap(); // element -> id
+let sourceIdCounter = 0;
+
+// ============================================================================
+// AUTO-EXTRACTION ON PAGE LOAD
+// ============================================================================
+
+/**
+ * Initialize extraction when page loads
+ */
+function initAutoExtraction() {
+  // Initial extraction
+  extractedContent.title = document.title;
+  extractedContent.url = window.location.href;
+  extractedContent.extractedAt = new Date().toISOString();
+  
+  // Detect site type and extract accordingly
+  extractAllContent();
+  
+  // Set up scroll listener for lazy-loaded content
+  setupScrollListener();
+  
+  // Set up mutation observer for dynamically added content
+  setupMutationObserver();
+}
+
+// Run on DOM ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initAutoExtraction);
+} else {
+  // Wait for the rest of this script - the extractors use constants declared below
+  queueMicrotask(initAutoExtraction);
+}
+
+// Also run after full page load (images, etc.)
+window.addEventListener('load', () => {
+  setTimeout(extractAllContent, 1000);
+});
+
+// ============================================================================
+// SCROLL-BASED EXTRACTION
+// ============================================================================
+
+let scrollTimeout = null;
+let lastScrollPosition = 0;
+
+function setupScrollListener() {
+  window.addEventListener('scroll', () => {
+    if (scrollTimeout) clearTimeout(scrollTimeout);
+    
+    scrollTimeout = setTimeout(() => {
+      const currentPosition = window.scrollY;
+      
+      if (Math.abs(currentPosition - lastScrollPosition) > 100) {
+        extractAllContent();
+        lastScrollPosition = currentPosition;
+        
+        extractedContent.scrollPositions.push({
+          position: currentPosition,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if ((window.innerHeight + window.scrollY) >= document.body.offsetHeight - 100) {
+        extractedContent.isComplete = true;
+      }
+    }, 200);
+  });
+}
+
+// ============================================================================
+// MUTATION OBSERVER FOR DYNAMIC CONTENT
+// ============================================================================
+
+function setupMutationObserver() {
+  const observer = new MutationObserver((mutations) => {
+    let hasNewContent = false;
+    
+    mutations.forEach(mutation => {
+      if (mutation.addedNodes.length > 0) {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            const text = node.textContent?.trim();
+            if (text && text.length > 50) {
+              hasNewContent = true;
+            }
+          }
+        });
+      }
+    });
+    
+    if (hasNewContent) {
+      setTimeout(extractAllContent, 500);
+    }
+  });
+  
+  observer.observe(document.body, {
+    childList: true,
+    subtree: true
+  });
+}
+
+// ============================================================================
+// AUTO-SCROLL FUNCTION
+// ============================================================================
+
+async function autoScrollPage() {
+  const scrollStep = window.innerHeight * 0.8;
+  const maxScrolls = 50;
+  let scrollCount = 0;
+  
+  return new Promise((resolve) => {
+    const scrollInterval = setInterval(() => {
+      window.scrollBy(0, scrollStep);
+      scrollCount++;
+      
+      if ((window.innerHeight + window.scrollY) >= document.body.offsetHeight - 50 
+          || scrollCount >= maxScrolls) {
+        clearInterval(scrollInterval);
+        window.scrollTo(0, 0);
+        extractedContent.isComplete = true;
+        resolve();
+      }
+    }, 300);
+  });
+}
+
+// ============================================================================
+// MAIN CONTENT EXTRACTION - OPTIMIZED FOR ARTICLES
+// ============================================================================
+
+/**
+ * Extract all content from the page
+ * Uses multiple strategies to capture everything
+ */
+function extractAllContent() {
+  // Find the main content area
+  const mainContent = findMainContent();
+  
+  if (mainContent) {
+    // Extract from main content area (better for Wikipedia, articles)
+    extractFromElement(mainContent);
+  } else {
+    // Fallback: extract from entire body
+    extractFromBody();
+  }
+  
+  // Always update structured content
+  updateStructuredContent();
+  updateImages();
+  
+  extractedContent.extractedAt = new Date().toISOString();
+}
+
+/**
+ * Find the main content area of the page
+ * Known selectors (Wikipedia, Medium, news sites, etc.) are tried first as a fast path,
+ * then every block on the page is scored Readability-style
+ */
+function findMainContent() {
+  return findMainContentBySelector() || findMainContentByScore();
+}
+
+/**
+ * Fast path: find the main content area with known selectors
+ */
+function findMainContentBySelector() {
+  // Priority selectors for main content
+  const contentSelectors = [
+    // Wikipedia
+    '#mw-content-text',
+    '#bodyContent',
+    '.mw-parser-output',
+    // Generic article selectors
+    'article',
+    '[role="main"]',
+    'main',
+    '.article-content',
+    '.post-content',
+    '.entry-content',
+    '.content-area',
+    '#content',
+    '.main-content',
+    // Medium
+    '.postArticle-content',
+    // News sites
+    '.story-body',
+    '.article-body'
+  ];
+  
+  for (const selector of contentSelectors) {
+    const el = document.querySelector(selector);
+    if (el && el.textContent.trim().length > 500) {
+      return el;
+    }
+  }
+  
+  return null;
+}
+
+// Inline elements rendered as part of the surrounding paragraph
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'i',
+  'img', 'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong',
+  'sub', 'sup', 'time', 'u', 'var', 'wbr'
+]);
+
+// Elements skipped entirely while walking the content
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'button', 'input', 'select', 'textarea', 'hr']);
+
+/**
+ * Extract content from a specific element (main content area)
+ * Walks the element once in document order and outputs Markdown, so paragraphs
+ * stay under their own headings
+ */
+function extractFromElement(element) {
+  walkBlocks(element);
+}
+
+/**
+ * Walk the children of a block element in document order
+ * Runs of text and inline elements between blocks become their own paragraph
+ */
+function walkBlocks(container) {
+  let inlineRun = [];
+  
+  const flushInline = () => {
+    if (inlineRun.length === 0) return;
+    addParagraph(container, inlineRun);
+    inlineRun = [];
+  };
+  
+  container.childNodes.forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      inlineRun.push(node);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    
+    const tagName = node.tagName.toLowerCase();
+    if (SKIPPED_TAGS.has(tagName) || isBoilerplateElement(node)) return;
+    
+    if (INLINE_TAGS.has(tagName)) {
+      inlineRun.push(node);
+      return;
+    }
+    
+    flushInline();
+    addBlock(node, tagName);
+  });
+  
+  flushInline();
+}
+
+/**
+ * Output one block-level element as Markdown
+ */
+function addBlock(element, tagName) {
+  switch (tagName) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      const text = cleanText(element.textContent);
+      if (text && !isDuplicate(text)) {
+        addText(`\n${'#'.repeat(parseInt(tagName[1]))} ${text}\n`);
+      }
+      break;
+    }
+    
+    case 'p':
+      addParagraph(element, Array.from(element.childNodes));
+      break;
+    
+    case 'ul':
+    case 'ol':
+      addList(element, 0);
+      break;
+    
+    case 'table': {
+      const tableText = extractTableText(element);
+      if (tableText && !isDuplicate(tableText)) {
+        addText(`\n[${getSourceId(element)}]\n${tableText}\n`);
+      }
+      break;
+    }
+    
+    case 'pre': {
+      const code = element.textContent.replace(/\n+$/, '');
+      if (code.trim() && !isDuplicate(code)) {
+        addText(`\n[${getSourceId(element)}]\n\`\`\`${getCodeLanguage(element)}\n${code}\n\`\`\`\n`);
+      }
+      break;
+    }
+    
+    case 'blockquote': {
+      const text = cleanText(renderInline(Array.from(element.childNodes)));
+      if (text.length > 20 && !isDuplicate(text)) {
+        addText(`> ${tagText(element, text)}`);
+      }
+      break;
+    }
+    
+    case 'dl':
+      element.querySelectorAll(':scope > dt, :scope > dd, :scope > div > dt, :scope > div > dd').forEach(item => {
+        const text = cleanText(renderInline(Array.from(item.childNodes)));
+        if (!text || isDuplicate(text)) return;
+        addText(item.tagName.toLowerCase() === 'dt' ? `**${text}**` : tagText(item, text));
+      });
+      break;
+    
+    default:
+      // Generic containers (div, section, figure...) - look inside
+      walkBlocks(element);
+  }
+}
+
+/**
+ * Output a paragraph from a list of inline nodes
+ */
+function addParagraph(element, nodes) {
+  const markdown = cleanText(renderInline(nodes));
+  const text = cleanText(nodes.map(node => node.textContent).join(''));
+  
+  if (text.length > 20 && !isDuplicate(text)) {
+    addText(tagText(element, markdown));
+    extractedContent.structuredContent.paragraphs.push(text);
+  }
+}
+
+/**
+ * Output a list as Markdown, indenting nested lists
+ */
+function addList(list, depth) {
+  const ordered = list.tagName.toLowerCase() === 'ol';
+  let number = parseInt(list.getAttribute('start')) || 1;
+  
+  list.querySelectorAll(':scope > li').forEach(li => {
+    if (isBoilerplateElement(li)) return;
+    
+    // Direct content only - nested lists are output separately below
+    const inlineNodes = Array.from(li.childNodes).filter(node => {
+      return node.nodeType !== Node.ELEMENT_NODE || !['ul', 'ol'].includes(node.tagName.toLowerCase());
+    });
+    const markdown = cleanText(renderInline(inlineNodes));
+    const text = cleanText(inlineNodes.map(node => node.textContent).join(''));
+    
+    const marker = ordered ? `${number++}.` : '-';
+    if (text.length > 3 && !isDuplicate(text)) {
+      addText(`${'  '.repeat(depth)}${marker} ${tagText(li, markdown)}`);
+    }
+    
+    li.querySelectorAll(':scope > ul, :scope > ol').forEach(nested => addList(nested, depth + 1));
+  });
+}
+
+/**
+ * Render inline nodes as Markdown (links, bold, italic, inline code)
+ */
+function renderInline(nodes) {
+  return nodes.map(node => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    
+    const tagName = node.tagName.toLowerCase();
+    if (SKIPPED_TAGS.has(tagName) || tagName === 'img') return '';
+    if (tagName === 'br') return ' ';
+    
+    const inner = renderInline(Array.from(node.childNodes));
+    const text = inner.trim();
+    if (!text) return inner;
+    
+    switch (tagName) {
+      case 'a': {
+        const href = node.getAttribute('href') || '';
+        // Keep real links; in-page anchors and javascript: links are just text
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return inner;
+        return `[${text}](${node.href})`;
+      }
+      case 'strong':
+      case 'b':
+        return `**${text}**`;
+      case 'em':
+      case 'i':
+        return `*${text}*`;
+      case 'code':
+      case 'kbd':
+      case 'samp':
+        return `\`${node.textContent.trim()}\``;
+      default:
+        return inner;
+    }
+  }).join('');
+}
+
+/**
+ * Get a code block's language from "language-xx" / "lang-xx" classes
+ */
+function getCodeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const classes = `${getClassName(pre)} ${code ? getClassName(code) : ''}`;
+  const match = classes.match(/(?:language|lang)-([\w+#-]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Fallback: Extract from entire document body
+ */
+function extractFromBody() {
+  const walker = document.createTreeWalker(
+    document.body,
+    NodeFilter.SHOW_TEXT,
+    {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent) return NodeFilter.FILTER_REJECT;
+        
+        // Skip unwanted elements
+        const tagName = parent.tagName.toLowerCase();
+        if (['script', 'style', 'noscript', 'iframe', 'svg', 'nav', 'footer', 'header'].includes(tagName)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        
+        // Skip cookie banners, sidebars, comment widgets, etc.
+        if (isBoilerplate(parent, document.body)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        
+        // Skip hidden elements
+        const style = window.getComputedStyle(parent);
+        if (style.display === 'none' || style.visibility === 'hidden') {
+          return NodeFilter.FILTER_REJECT;
+        }
+        
+        // Only accept substantial text
+        const text = node.textContent.trim();
+        if (text.length < 10) return NodeFilter.FILTER_REJECT;
+        
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    }
+  );
+  
+  while (walker.nextNode()) {
+    const text = cleanText(walker.currentNode.textContent);
+    if (text.length > 10 && !isDuplicate(text)) {
+      addText(tagText(walker.currentNode.parentElement, text));
+    }
+  }
+}
+
+/**
+ * Clean text by removing extra whitespace
+ */
+function cleanText(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\n+/g, '\n')
+    .trim();
+}
+
+/**
+ * Get direct text content (not from nested children)
+ */
+function getDirectText(element) {
+  let text = '';
+  element.childNodes.forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      text += node.textContent;
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      // Include inline elements like links, spans
+      const tagName = node.tagName.toLowerCase();
+      if (['a', 'span', 'strong', 'em', 'b', 'i', 'sup', 'sub'].includes(tagName)) {
+        text += node.textContent;
+      }
+    }
+  });
+  return cleanText(text);
+}
+
+/**
+ * Extract a table as a GFM Markdown table (first row is the header)
+ */
+function extractTableText(table) {
+  const rows = [];
+  Array.from(table.rows).forEach((tr, i) => {
+    if (i > 20) return; // Limit rows
+    
+    const cells = Array.from(tr.cells).map(cell => {
+      const text = cleanText(cell.textContent).replace(/\|/g, '\\|');
+      return text.length < 200 ? text : text.substring(0, 200) + '...'; // Trim cells with too much content
+    });
+    
+    if (cells.some(Boolean)) {
+      rows.push(cells);
+    }
+  });
+  
+  if (rows.length === 0) return '';
+  
+  // Pad rows so every row has the same number of columns
+  const columns = Math.max(...rows.map(cells => cells.length));
+  const lines = rows.map(cells => {
+    const padded = cells.concat(Array(columns - cells.length).fill(''));
+    return `| ${padded.join(' | ')} |`;
+  });
+  lines.splice(1, 0, `|${' --- |'.repeat(columns)}`);
+  
+  return lines.join('\n');
+}
+
+/**
+ * Check if text is duplicate
+ */
+function isDuplicate(text) {
+  const hash = hashText(text);
+  if (seenTextBlocks.has(hash)) {
+    return true;
+  }
+  seenTextBlocks.add(hash);
+  return false;
+}
+
+/**
+ * Add text to extracted content
+ */
+function addText(text) {
+  extractedContent.textContent += text + '\n';
+}
+
+/**
+ * Prefix text with the source ID of the element it came from, e.g. "[s12] text"
+ */
+function tagText(element, text) {
+  return `[${getSourceId(element)}] ${text}`;
+}
+
+/**
+ * Get (or assign) the stable source ID of an element
+ */
+function getSourceId(element) {
+  let id = elementSourceIds.get(element);
+  if (!id) {
+    id = `s${++sourceIdCounter}`;
+    elementSourceIds.set(element, id);
+    sourceElements.set(id, element);
+  }
+  return id;
+}
+
+/**
+ * Scroll to a cited element and briefly highlight it
+ * @returns {boolean} - Whether the element is still on the page
+ */
+function highlightSource(id) {
+  const element = sourceElements.get(id);
+  if (!element || !element.isConnected) return false;
+  
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  
+  // Inline styles so the highlight works without injecting a stylesheet
+  const { outline, backgroundColor, transition } = element.style;
+  element.style.transition = 'background-color 0.3s, outline 0.3s';
+  element.style.outline = '3px solid #667eea';
+  element.style.backgroundColor = 'rgba(102, 126, 234, 0.2)';
+  
+  setTimeout(() => {
+    element.style.outline = outline;
+    element.style.backgroundColor = backgroundColor;
+    element.style.transition = transition;
+  }, 2500);
+  
+  return true;
+}
+
+/**
+ * Simple hash function for deduplication
+ */
+function hashText(text) {
+  let hash = 0;
+  const sample = text.substring(0, 100);
+  for (let i = 0; i < sample.length; i++) {
+    hash = ((hash << 5) - hash) + sample.charCodeAt(i);
+    hash |= 0;
+  }
+  return hash;
+}
+
+/**
+ * Update structured content (headings, lists)
+ */
+function updateStructuredContent() {
+  // Extract headings with hierarchy
+  extractedContent.structuredContent.headings = [];
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    const text = cleanText(heading.textContent);
+    if (text && text.length < 200) {
+      const existing = extractedContent.structuredContent.headings.find(h => h.text === text);
+      if (!existing) {
+        extractedContent.structuredContent.headings.push({
+          level: parseInt(heading.tagName[1]),
+          text: text
+        });
+      }
+    }
+  });
+  
+  // Extract lists
+  extractedContent.structuredContent.lists = [];
+  document.querySelectorAll('ul, ol').forEach((list, idx) => {
+    if (idx >= 10) return;
+    
+    const items = [];
+    list.querySelectorAll(':scope > li').forEach((li, liIdx) => {
+      if (liIdx >= 20) return;
+      const text = getDirectText(li);
+      if (text.length > 5 && text.length < 500) {
+        items.push(text);
+      }
+    });
+    
+    if (items.length > 0) {
+      extractedContent.structuredContent.lists.push({
+        type: list.tagName.toLowerCase(),
+        items: items
+      });
+    }
+  });
+}
+
+/**
+ * Update images array
+ */
+function updateImages() {
+  const existingSrcs = new Set(extractedContent.images.map(img => img.src));
+  
+  document.querySelectorAll('img').forEach(img => {
+    if (img.naturalWidth < 100 || img.naturalHeight < 100) return;
+    if (!img.src || existingSrcs.has(img.src)) return;
+    if (img.src.includes('pixel') || img.src.includes('tracking')) return;
+    
+    const imageData = {
+      src: img.src,
+      alt: img.alt || '',
+      title: img.title || '',
+      width: img.naturalWidth,
+      height: img.naturalHeight
+    };
+    
+    try {
+      imageData.base64 = getImageBase64(img);
+    } catch (e) {
+      // Cross-origin - skip base64
+    }
+    
+    extractedContent.images.push(imageData);
+  });
+}
+
+/**
+ * Converts an image element to base64 string
+ */
+function getImageBase64(img) {
+  try {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    
+    const MAX_DIMENSION = 512;
+    let width = img.naturalWidth;
+    let height = img.naturalHeight;
+    
+    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+      const ratio = Math.min(MAX_DIMENSION / width, MAX_DIMENSION / height);
+      width *= ratio;
+      height *= ratio;
+    }
+    
+    canvas.width = width;
+    canvas.height = height;
+    ctx.drawImage(img, 0, 0, width, height);
+    
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================================================
+// READABILITY-STYLE CONTENT SCORING
+// ============================================================================
+
+// Class/id patterns for page furniture that is never the main content
+const UNLIKELY_CANDIDATES = /-ad-|advert|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|disqus|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+
+// Class/id patterns that rescue an otherwise unlikely candidate
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+
+// Class/id patterns that raise or lower a candidate's score
+const POSITIVE_CLASSES = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_CLASSES = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|cookie|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements that never hold main content
+const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'footer', 'form', 'dialog', 'script', 'style', 'noscript', 'template']);
+
+/**
+ * Find the main content area by scoring blocks on text density, link density
+ * and class/id heuristics (the approach used by Mozilla's Readability)
+ */
+function findMainContentByScore() {
+  const candidates = new Map(); // element -> score
+  
+  document.body.querySelectorAll('p, pre, td, blockquote').forEach(node => {
+    if (isBoilerplate(node, document.body)) return;
+    
+    const text = cleanText(node.textContent);
+    if (text.length < 25) return;
+    
+    // One point for the block, one per comma, one per 100 chars (up to 3)
+    const score = 1 + text.split(',').length - 1 + Math.min(Math.floor(text.length / 100), 3);
+    
+    // Parent gets the full score, grandparent half, great-grandparent a sixth
+    let ancestor = node.parentElement;
+    for (let level = 0; level < 3 && ancestor && ancestor !== document.documentElement; level++) {
+      if (!candidates.has(ancestor)) {
+        candidates.set(ancestor, getInitialScore(ancestor));
+      }
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      candidates.set(ancestor, candidates.get(ancestor) + score / divider);
+      ancestor = ancestor.parentElement;
+    }
+  });
+  
+  // Link-heavy blocks (menus, link lists) lose most of their score
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach((score, element) => {
+    const finalScore = score * (1 - getLinkDensity(element));
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  });
+  
+  if (best && cleanText(best.textContent).length > 250) {
+    return best;
+  }
+  return null;
+}
+
+/**
+ * Starting score for a candidate based on its tag and class/id
+ */
+function getInitialScore(element) {
+  let score = 0;
+  
+  switch (element.tagName.toLowerCase()) {
+    case 'article':
+      score += 10;
+      break;
+    case 'div':
+    case 'section':
+      score += 5;
+      break;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      score += 3;
+      break;
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+    case 'form':
+      score -= 3;
+      break;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      score -= 5;
+      break;
+  }
+  
+  return score + getClassWeight(element);
+}
+
+/**
+ * Score adjustment from class and id names (+25 / -25 each)
+ */
+function getClassWeight(element) {
+  let weight = 0;
+  
+  for (const name of [getClassName(element), element.id]) {
+    if (!name) continue;
+    if (NEGATIVE_CLASSES.test(name)) weight -= 25;
+    if (POSITIVE_CLASSES.test(name)) weight += 25;
+  }
+  
+  return weight;
+}
+
+/**
+ * Share of an element's text that is inside links (0 to 1)
+ */
+function getLinkDensity(element) {
+  const textLength = cleanText(element.textContent).length;
+  if (textLength === 0) return 0;
+  
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += cleanText(link.textContent).length;
+  });
+  
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Check whether a node sits inside boilerplate (navigation, cookie banners,
+ * sidebars, comment widgets...) anywhere between it and the root element
+ */
+function isBoilerplate(node, root) {
+  let element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  
+  while (element && element !== root) {
+    if (isBoilerplateElement(element)) return true;
+    element = element.parentElement;
+  }
+  
+  return false;
+}
+
+/**
+ * Check a single element (not its ancestors) for boilerplate
+ */
+function isBoilerplateElement(element) {
+  const tagName = element.tagName.toLowerCase();
+  if (BOILERPLATE_TAGS.has(tagName)) return true;
+  
+  const role = element.getAttribute('role');
+  if (role === 'navigation' || role === 'complementary' || role === 'banner' || role === 'dialog') return true;
+  if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+  
+  const match = `${getClassName(element)} ${element.id}`;
+  return UNLIKELY_CANDIDATES.test(match) && !MAYBE_CANDIDATES.test(match);
+}
+
+/**
+ * Class name as a string (SVG elements expose an SVGAnimatedString)
+ */
+function getClassName(element) {
+  return typeof element.className === 'string' ? element.className : element.getAttribute('class') || '';
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'extractContent') {
+    // Return accumulated content (truncated for API)
+    sendResponse({
+      ...extractedContent,
+      textContent: extractedContent.textContent.substring(0, 50000)
+    });
+  }
+  
+  if (request.action === 'autoScroll') {
+    autoScrollPage().then(() => {
+      sendResponse({ success: true, message: 'Auto-scroll complete' });
+    });
+    return true;
+  }
+  
+  if (request.action === 'getFullContent') {
+    sendResponse(extractedContent);
+  }
+  
+  if (request.action === 'scrollToSource') {
+    sendResponse({ success: highlightSource(request.id) });
+  }
+  
+  return true;
+});
@@ -0,0 +1,439 @@
+/**
+ * Chat Storage - Per-page conversations in chrome.storage.local
+ * Shared by the popup and the history page. Chats are keyed by a hash of the
+ * normalized page URL, versioned with migrations for data saved by older
+ * releases, and the least recently used ones are evicted before storage fills up
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Bump when the stored format changes, and add a migration to CHAT_MIGRATIONS
+const CHAT_STORAGE_VERSION = 2;
+
+const CHAT_KEY_PREFIX = 'chat_';
+const CHAT_INDEX_KEY = 'chatIndex';
+const CHAT_VERSION_KEY = 'chatStorageVersion';
+
+// Version 1 key -> current key, for migrated chats that never stored their URL
+// (see migrateToHashedKeys). Each moves to its page's key when the page is next opened
+const CHAT_LEGACY_KEYS_KEY = 'chatLegacyKeys';
+
+// storage.local holds 10 MB for everything (settings, summary cache, chats) -
+// chats are evicted once the total would pass this share of it
+const STORAGE_QUOTA_BYTES = chrome.storage.local.QUOTA_BYTES || 10485760;
+const STORAGE_BUDGET_BYTES = Math.floor(STORAGE_QUOTA_BYTES * 0.9);
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid)$/i;
+
+// Resolves once this page has migrated stored chats to the current version
+let chatStorageReady = null;
+
+// Index updates are read-modify-write - this chains them so concurrent saves
+// from the same page don't overwrite each other's entries
+let chatIndexQueue = Promise.resolve();
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Normalize a page URL so the same page always maps to the same chat
+ * (host case, default ports, tracking parameters and #anchors don't matter;
+ * hash routes like #!/inbox or #/settings do)
+ * @param {string} url - Page URL
+ * @returns {string}
+ */
+function normalizeChatUrl(url) {
+  try {
+    const parsed = new URL(url);
+    
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(name)) {
+        parsed.searchParams.delete(name);
+      }
+    }
+    
+    const isHashRoute = parsed.hash.startsWith('#!') || parsed.hash.includes('/');
+    if (!isHashRoute) {
+      parsed.hash = '';
+    }
+    
+    // URL keeps a bare "?" once every parameter is deleted
+    return parsed.href.replace(/\?(?=#|$)/, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Storage key for a page's chat: a SHA-256 hash of the normalized URL, so pages
+ * on the same site never share a key and any URL (including non-Latin ones) works
+ * @param {string} url - Page URL
+ * @returns {Promise<string>}
+ */
+async function getChatKey(url) {
+  const bytes = new TextEncoder().encode(normalizeChatUrl(url));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = [...new Uint8Array(digest)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  
+  // 128 bits is plenty to rule out collisions and keeps keys short
+  return CHAT_KEY_PREFIX + hex.substring(0, 32);
+}
+
+// ============================================================================
+// READING AND WRITING
+// ============================================================================
+
+/**
+ * Read a stored chat, including the plain message arrays saved by older versions
+ * @param {Object|Array} stored - Stored value
+ * @returns {Object} - { url, title, createdAt, updatedAt, model, messages, snapshot }
+ */
+function normalizeChat(stored) {
+  if (Array.isArray(stored)) {
+    return { url: '', title: '', createdAt: null, updatedAt: null, model: null, messages: stored, snapshot: null };
+  }
+  return { model: null, snapshot: null, ...stored, messages: stored.messages || [] };
+}
+
+/**
+ * Run a read-modify-write of the chat index after the ones already queued
+ * @param {Function} update - Async function doing the update
+ * @returns {Promise<*>} - What update returns
+ */
+function updateChatIndex(update) {
+  const result = chatIndexQueue.then(update);
+  // A failed update must not block the ones after it
+  chatIndexQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Load a page's chat and mark it as recently used
+ * @param {string} url - Page URL
+ * @returns {Promise<Object|null>} - Chat, or null if the page has none
+ */
+async function loadChat(url) {
+  await ensureChatStorage();
+  
+  const key = await getChatKey(url);
+  
+  return updateChatIndex(async () => {
+    const stored = await chrome.storage.local.get([key, CHAT_INDEX_KEY]);
+    if (!stored[key]) return adoptLegacyChat(url, key);
+    
+    const index = stored[CHAT_INDEX_KEY] || {};
+    if (index[key]) {
+      index[key].lastAccessedAt = Date.now();
+      await chrome.storage.local.set({ [CHAT_INDEX_KEY]: index });
+    }
+    
+    return normalizeChat(stored[key]);
+  });
+}
+
+/**
+ * Save a page's chat with its metadata, evicting the least recently used chats
+ * if storage would otherwise run out
+ * @param {string} url - Page URL
+ * @param {Object} chat - { title, messages, snapshot, createdAt, updatedAt }
+ * @returns {Promise<Array<string>>} - Keys of chats evicted to make room
+ */
+async function saveChat(url, chat) {
+  await ensureChatStorage();
+  
+  const key = await getChatKey(url);
+  const now = Date.now();
+  const messages = chat.messages || [];
+  const lastModel = [...messages].reverse().find(msg => msg.model)?.model || null;
+  
+  const record = {
+    url: normalizeChatUrl(url),
+    title: chat.title || '',
+    createdAt: chat.createdAt || messages[0]?.timestamp || now,
+    updatedAt: chat.updatedAt || now,
+    model: lastModel,
+    messages,
+    snapshot: chat.snapshot || null
+  };
+  
+  return updateChatIndex(async () => {
+    const { [CHAT_INDEX_KEY]: index = {} } = await chrome.storage.local.get(CHAT_INDEX_KEY);
+    const bytes = getStoredSize(key, record);
+    const evicted = await makeRoom(index, key, bytes);
+    
+    index[key] = {
+      url: record.url,
+      title: record.title,
+      updatedAt: record.updatedAt,
+      lastAccessedAt: now,
+      bytes
+    };
+    
+    await chrome.storage.local.set({ [key]: record, [CHAT_INDEX_KEY]: index });
+    return evicted;
+  });
+}
+
+/**
+ * Delete a page's chat
+ * @param {string} url - Page URL
+ */
+async function deleteChat(url) {
+  await deleteChats([await getChatKey(url)]);
+}
+
+/**
+ * Delete chats by storage key
+ * @param {Array<string>} keys - Keys from getChatKey or listChats
+ */
+async function deleteChats(keys) {
+  if (keys.length === 0) return;
+  await ensureChatStorage();
+  
+  await updateChatIndex(async () => {
+    const { [CHAT_INDEX_KEY]: index = {} } = await chrome.storage.local.get(CHAT_INDEX_KEY);
+    keys.forEach(key => delete index[key]);
+    
+    await chrome.storage.local.remove(keys);
+    await chrome.storage.local.set({ [CHAT_INDEX_KEY]: index });
+  });
+}
+
+/**
+ * Load every stored chat
+ * @returns {Promise<Array>} - Chats with their storage key ({ key, url, title, ... }), newest first
+ */
+async function listChats() {
+  await ensureChatStorage();
+  
+  const stored = await chrome.storage.local.get(null);
+  return Object.entries(stored)
+    .filter(([key]) => key.startsWith(CHAT_KEY_PREFIX))
+    .map(([key, value]) => ({ key, ...normalizeChat(value) }))
+    .filter(chat => chat.messages.length > 0)
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+// ============================================================================
+// QUOTA
+// ============================================================================
+
+/**
+ * Approximate bytes an item takes in storage (Chrome counts the key plus the JSON value)
+ * @param {string} key - Storage key
+ * @param {*} value - Stored value
+ * @returns {number}
+ */
+function getStoredSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Remove the least recently used chats until a write of `bytes` to `key` fits the budget
+ * @param {Object} index - Chat index (updated in place)
+ * @param {string} key - Chat about to be written (never evicted)
+ * @param {number} bytes - Size of the new record
+ * @returns {Promise<Array<string>>} - Evicted keys
+ */
+async function makeRoom(index, key, bytes) {
+  const inUse = await chrome.storage.local.getBytesInUse(null);
+  let excess = inUse - (index[key]?.bytes || 0) + bytes - STORAGE_BUDGET_BYTES;
+  if (excess <= 0) return [];
+  
+  await addMissingIndexEntries(index);
+  
+  const candidates = Object.entries(index)
+    .filter(([candidateKey]) => candidateKey !== key)
+    .sort((a, b) => (a[1].lastAccessedAt || 0) - (b[1].lastAccessedAt || 0));
+  
+  const evicted = [];
+  for (const [candidateKey, entry] of candidates) {
+    if (excess <= 0) break;
+    evicted.push(candidateKey);
+    excess -= entry.bytes || 0;
+    delete index[candidateKey];
+  }
+  
+  if (evicted.length > 0) {
+    await chrome.storage.local.remove(evicted);
+  }
+  return evicted;
+}
+
+/**
+ * Index chats that have no index entry (written by another page at the same
+ * time as this one), so they can be evicted too. They count as least recently used
+ * @param {Object} index - Chat index (updated in place)
+ */
+async function addMissingIndexEntries(index) {
+  const stored = await chrome.storage.local.get(null);
+  
+  for (const [key, value] of Object.entries(stored)) {
+    if (!key.startsWith(CHAT_KEY_PREFIX) || index[key]) continue;
+    
+    const chat = normalizeChat(value);
+    index[key] = {
+      url: chat.url,
+      title: chat.title,
+      updatedAt: chat.updatedAt,
+      lastAccessedAt: 0,
+      bytes: getStoredSize(key, value)
+    };
+  }
+}
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+// Each entry upgrades stored chats from the previous version. Version 1 is
+// everything saved before versioning: `chat_${btoa(url).substring(0, 50)}` keys
+// holding either a plain message array or { url, title, ..., messages }
+const CHAT_MIGRATIONS = {
+  2: migrateToHashedKeys
+};
+
+/**
+ * Run pending migrations once per page
+ * @returns {Promise<void>}
+ */
+function ensureChatStorage() {
+  if (!chatStorageReady) {
+    chatStorageReady = migrateChatStorage().catch(error => {
+      // Let the next call try again
+      chatStorageReady = null;
+      throw error;
+    });
+  }
+  return chatStorageReady;
+}
+
+/**
+ * Upgrade stored chats to CHAT_STORAGE_VERSION
+ */
+async function migrateChatStorage() {
+  const { [CHAT_VERSION_KEY]: version = 1 } = await chrome.storage.local.get(CHAT_VERSION_KEY);
+  
+  for (let next = version + 1; next <= CHAT_STORAGE_VERSION; next++) {
+    await CHAT_MIGRATIONS[next]();
+    await chrome.storage.local.set({ [CHAT_VERSION_KEY]: next });
+  }
+}
+
+/**
+ * Version 2: move chats from truncated-btoa keys to hashed keys and build the index.
+ * Plain arrays never stored their URL, so the best we have is the part of it
+ * the old key encoded (shown in the history page). Those are keyed by their
+ * old key until the page is opened again (see adoptLegacyChat)
+ */
+async function migrateToHashedKeys() {
+  const stored = await chrome.storage.local.get(null);
+  const legacyKeys = Object.keys(stored).filter(key => key.startsWith(CHAT_KEY_PREFIX));
+  const now = Date.now();
+  const migrated = {};
+  const index = {};
+  const unresolved = {};
+  
+  for (const legacyKey of legacyKeys) {
+    const chat = normalizeChat(stored[legacyKey]);
+    if (chat.messages.length === 0) continue;
+    
+    // Pages that share the start of their URL share a decoded prefix, not an old key
+    const url = chat.url || decodeLegacyKey(legacyKey);
+    const key = await getChatKey(chat.url || legacyKey);
+    if (!chat.url) unresolved[legacyKey] = key;
+    
+    const record = {
+      url: normalizeChatUrl(url),
+      title: chat.title || '',
+      createdAt: chat.createdAt || chat.messages[0]?.timestamp || now,
+      updatedAt: chat.updatedAt || chat.messages[chat.messages.length - 1]?.timestamp || now,
+      model: [...chat.messages].reverse().find(msg => msg.model)?.model || null,
+      messages: chat.messages,
+      snapshot: chat.snapshot || null
+    };
+    
+    migrated[key] = record;
+    index[key] = {
+      url: record.url,
+      title: record.title,
+      updatedAt: record.updatedAt,
+      lastAccessedAt: record.updatedAt,
+      bytes: getStoredSize(key, record)
+    };
+  }
+  
+  // Remove first: the new records take about as much room as the old ones
+  await chrome.storage.local.remove(legacyKeys);
+  await chrome.storage.local.set({ ...migrated, [CHAT_INDEX_KEY]: index, [CHAT_LEGACY_KEYS_KEY]: unresolved });
+}
+
+/**
+ * Version 1 key of a page's chat
+ * @param {string} url - Page URL
+ * @returns {string|null} - null for URLs version 1 couldn't store (btoa only takes Latin-1)
+ */
+function getLegacyChatKey(url) {
+  try {
+    return CHAT_KEY_PREFIX + btoa(url).substring(0, 50);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Move a migrated chat that never stored its URL to the key of the page now
+ * being opened, if that page had the chat's version 1 key. Runs inside updateChatIndex
+ * @param {string} url - Page URL
+ * @param {string} key - The page's current key
+ * @returns {Promise<Object|null>} - The chat, or null if the page had none
+ */
+async function adoptLegacyChat(url, key) {
+  const legacyKey = getLegacyChatKey(url);
+  const { [CHAT_LEGACY_KEYS_KEY]: legacyKeys = {} } = await chrome.storage.local.get(CHAT_LEGACY_KEYS_KEY);
+  const oldKey = legacyKeys[legacyKey];
+  if (!legacyKey || !oldKey) return null;
+  
+  const { [oldKey]: stored, [CHAT_INDEX_KEY]: index = {} } = await chrome.storage.local.get([oldKey, CHAT_INDEX_KEY]);
+  delete legacyKeys[legacyKey];
+  
+  // Deleted from the history page since the migration
+  if (!stored) {
+    await chrome.storage.local.set({ [CHAT_LEGACY_KEYS_KEY]: legacyKeys });
+    return null;
+  }
+  
+  const record = { ...stored, url: normalizeChatUrl(url) };
+  index[key] = {
+    ...index[oldKey],
+    url: record.url,
+    lastAccessedAt: Date.now(),
+    bytes: getStoredSize(key, record)
+  };
+  delete index[oldKey];
+  
+  await chrome.storage.local.remove(oldKey);
+  await chrome.storage.local.set({ [key]: record, [CHAT_INDEX_KEY]: index, [CHAT_LEGACY_KEYS_KEY]: legacyKeys });
+  return normalizeChat(record);
+}
+
+/**
+ * Recover the start of a page URL from a version 1 key
+ * @param {string} legacyKey - `chat_` + the first 50 characters of btoa(url)
+ * @returns {string} - The URL's first ~37 characters, or the key itself if it can't be decoded
+ */
+function decodeLegacyKey(legacyKey) {
+  const encoded = legacyKey.substring(CHAT_KEY_PREFIX.length);
+  try {
+    // Only whole 4-character groups decode cleanly
+    return atob(encoded.substring(0, encoded.length - (encoded.length % 4)));
+  } catch (error) {
+    return legacyKey;
+  }
+}
@@ -8,21 +8,80 @@
 // GLOBAL STATE
 // ============================================================================
 
-// Store all extracted content (accumulates as user scrolls)
-let extractedContent = {
-  title: '',
-  url: '',
-  textContent: '',
-  images: [],
-  structuredContent: { headings: [], lists: [], tables: [], paragraphs: [] },
-  extractedAt: '',
-  scrollPositions: [],
-  isComplete: false
-};
+// Store all extracted content (accumulates as user scrolls, reset per SPA route)
+let extractedContent = createEmptyContent();
 
 // Track previously seen text to avoid duplicates
 let seenTextBlocks = new Set();
 
+// Last output of each extracted block, so a block that changes (a counter, a
+// timestamp) is replaced in place when it is re-extracted instead of repeated
+let blockOutputs = new WeakMap(); // element (or first node of an inline run) -> { text, output }
+
+// Main content element found by the last full extraction (null = whole body)
+let mainContentRoot = null;
+
+// Nodes added or changed since the last idle pass (see processPendingNodes)
+let pendingNodes = new Set();
+let idleHandle = null;
+
+// Stable source IDs for extracted blocks, so answers can cite and scroll to them
+// (weak, so elements the page removes can be garbage collected)
+let sourceElements = new Map(); // id -> WeakRef(element)
+let elementSourceIds = new WeakMap(); // element -> id
+
+// Source IDs are derived from the passage text (s0 to s99999), so a passage
+// keeps its ID across reloads and citations in saved chats still find it
+const SOURCE_ID_RANGE = 100000;
+
+// Open shadow roots found so far (web components) - extracted and watched like the page
+let openShadowRoots = new Set();
+let contentObserver = null;
+const MUTATION_OPTIONS = { childList: true, characterData: true, subtree: true };
+
+// Embedded frames run their own copy of this script and report to the top frame,
+// which answers the popup for the whole page
+const isTopFrame = window === window.top;
+let frameContents = new Map(); // frameId -> { url, title, textContent } (top frame only)
+let frameReportTimeout = null;
+
+// ============================================================================
+// EXTRACTION RULES
+// ============================================================================
+// Declared before anything runs: extraction starts synchronously at the end of
+// the AUTO-EXTRACTION section when the script is injected after DOMContentLoaded
+
+// Inline elements rendered as part of the surrounding paragraph
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'i',
+  'img', 'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong',
+  'sub', 'sup', 'time', 'u', 'var', 'wbr'
+]);
+
+// Elements skipped entirely while walking the content
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'button', 'input', 'select', 'textarea', 'hr']);
+
+// Class/id patterns for page furniture that is never the main content
+const UNLIKELY_CANDIDATES = /-ad-|advert|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|disqus|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+
+// Class/id patterns that rescue an otherwise unlikely candidate
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+
+// Class/id patterns that raise or lower a candidate's score
+const POSITIVE_CLASSES = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_CLASSES = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|cookie|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements that never hold main content
+const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'footer', 'dialog', 'script', 'style', 'noscript', 'template']);
+
+// Forms with less text are search boxes, sign-ups and logins. Larger ones can wrap
+// the whole page (ASP.NET WebForms) and are treated like any other container
+const FORM_MAX_CHARS = 200;
+
+const FRAME_MIN_CHARS = 100; // Less is usually an ad, a tracker or a widget
+const FRAME_MAX_CHARS = 20000; // Per frame, so one embed can't crowd out the page
+const FRAME_REPORT_DELAY = 1000; // ms to let extraction settle before reporting
+
 // ============================================================================
 // AUTO-EXTRACTION ON PAGE LOAD
 // ============================================================================
@@ -33,7 +92,7 @@ let seenTextBlocks = new Set();
 function initAutoExtraction() {
   // Initial extraction
   extractedContent.title = document.title;
-  extractedContent.url = window.location.href;
+  extractedContent.url = getRouteUrl();
   extractedContent.extractedAt = new Date().toISOString();
   
   // Detect site type and extract accordingly
@@ -44,6 +103,34 @@ function initAutoExtraction() {
   
   // Set up mutation observer for dynamically added content
   setupMutationObserver();
+  
+  // Start a new extraction session when a single-page app changes route
+  setupNavigationListener();
+  
+  if (isTopFrame) {
+    // Frames that loaded first reported before this frame was listening
+    chrome.runtime.sendMessage({ action: 'requestFrameContent' }).catch(() => {});
+  } else {
+    window.addEventListener('pagehide', () => sendFrameContent(''));
+  }
+}
+
+/**
+ * Create an empty extraction session
+ */
+function createEmptyContent() {
+  return {
+    title: '',
+    url: '',
+    textContent: '',
+    images: [],
+    structuredContent: { headings: [], lists: [], tables: [], paragraphs: [] },
+    extractedAt: '',
+    scrollPositions: [],
+    isComplete: false,
+    // 'application/pdf' in the browser's PDF viewer, whose text the popup reads itself
+    contentType: document.contentType
+  };
 }
 
 // Run on DOM ready
@@ -59,12 +146,16 @@ window.addEventListener('load', () => {
 });
 
 // ============================================================================
-// SCROLL-BASED EXTRACTION
+// SCROLL TRACKING
 // ============================================================================
 
 let scrollTimeout = null;
 let lastScrollPosition = 0;
 
+/**
+ * Track scroll progress. Lazy-loaded text arrives as DOM mutations, so scrolling
+ * itself only refreshes images (lazy images swap their src without adding nodes)
+ */
 function setupScrollListener() {
   window.addEventListener('scroll', () => {
     if (scrollTimeout) clearTimeout(scrollTimeout);
@@ -73,8 +164,8 @@ function setupScrollListener() {
       const currentPosition = window.scrollY;
       
       if (Math.abs(currentPosition - lastScrollPosition) > 100) {
-        extractAllContent();
         lastScrollPosition = currentPosition;
+        requestIdle(updateImages);
         
         extractedContent.scrollPositions.push({
           position: currentPosition,
@@ -90,60 +181,384 @@ function setupScrollListener() {
 }
 
 // ============================================================================
-// MUTATION OBSERVER FOR DYNAMIC CONTENT
+// INCREMENTAL EXTRACTION FOR DYNAMIC CONTENT
 // ============================================================================
 
+/**
+ * Queue added and changed subtrees; they are extracted when the browser is idle
+ */
 function setupMutationObserver() {
-  const observer = new MutationObserver((mutations) => {
-    let hasNewContent = false;
+  contentObserver = new MutationObserver((mutations) => {
+    // SPA routes almost always re-render, so this catches pushState navigation too
+    if (checkForRouteChange()) return;
     
     mutations.forEach(mutation => {
-      if (mutation.addedNodes.length > 0) {
-        mutation.addedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            const text = node.textContent?.trim();
-            if (text && text.length > 50) {
-              hasNewContent = true;
-            }
-          }
-        });
+      if (mutation.type === 'characterData') {
+        queueNode(mutation.target.parentElement);
+        return;
       }
+      
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          queueNode(node);
+        } else if (node.nodeType === Node.TEXT_NODE) {
+          queueNode(node.parentElement);
+        }
+      });
     });
-    
-    if (hasNewContent) {
-      setTimeout(extractAllContent, 500);
-    }
   });
   
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+  contentObserver.observe(document.body, MUTATION_OPTIONS);
+  openShadowRoots.forEach(root => contentObserver.observe(root, MUTATION_OPTIONS));
+}
+
+/**
+ * Queue a node for extraction if it has any text
+ */
+function queueNode(node) {
+  // Shadow hosts have no text of their own - it's in their shadow root
+  if (!node || (!node.textContent?.trim() && !node.shadowRoot)) return;
+  pendingNodes.add(node);
+  
+  if (!idleHandle) {
+    idleHandle = requestIdle(processPendingNodes);
+  }
+}
+
+/**
+ * Run a callback when the browser is idle (at most 2s later)
+ */
+function requestIdle(callback) {
+  if (window.requestIdleCallback) {
+    return window.requestIdleCallback(callback, { timeout: 2000 });
+  }
+  return setTimeout(() => callback({ didTimeout: true, timeRemaining: () => 16 }), 200);
+}
+
+/**
+ * Extract the queued subtrees, yielding back to the page when idle time runs out
+ */
+function processPendingNodes(deadline) {
+  idleHandle = null;
+  
+  // The page swapped out its main content (SPA) - start over with a full pass
+  if (mainContentRoot && !mainContentRoot.isConnected) {
+    pendingNodes.clear();
+    extractAllContent();
+    return;
+  }
+  
+  const root = mainContentRoot || document.body;
+  let processed = 0;
+  
+  for (const node of pendingNodes) {
+    if (processed > 0 && !deadline.didTimeout && deadline.timeRemaining() < 1) break;
+    pendingNodes.delete(node);
+    
+    // Skip nodes that are gone, outside the content, or covered by a queued ancestor
+    if (!node.isConnected || !containsComposed(root, node) || hasPendingAncestor(node)) continue;
+    
+    extractSubtree(node, root);
+    observeShadowRoots(node);
+    processed++;
+  }
+  
+  if (processed > 0) {
+    updateStructuredContent();
+    updateImages();
+    extractedContent.extractedAt = new Date().toISOString();
+    scheduleFrameReport();
+  }
+  
+  if (pendingNodes.size > 0 && !idleHandle) {
+    idleHandle = requestIdle(processPendingNodes);
+  }
+}
+
+/**
+ * Check whether any ancestor of a node is still queued
+ */
+function hasPendingAncestor(node) {
+  for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+    if (pendingNodes.has(parent)) return true;
+  }
+  return false;
+}
+
+/**
+ * Extract a single added or changed subtree
+ */
+function extractSubtree(element, root) {
+  if (element !== root && isBoilerplate(element, root)) return;
+  
+  if (!mainContentRoot) {
+    extractFromBody(element);
+    return;
+  }
+  
+  if (element === root) {
+    walkBlocks(element);
+    return;
+  }
+  
+  const tagName = element.tagName.toLowerCase();
+  if (SKIPPED_TAGS.has(tagName)) return;
+  
+  // Pieces of a larger block are extracted with their block
+  const table = element.closest('table');
+  if (table && containsComposed(root, table)) {
+    addBlock(table, 'table');
+  } else if (tagName === 'li') {
+    addListItem(element, getListDepth(element, root));
+  } else if (INLINE_TAGS.has(tagName) && element.parentElement) {
+    addParagraph(element.parentElement, Array.from(element.parentElement.childNodes));
+  } else {
+    addBlock(element, tagName);
+  }
+}
+
+// ============================================================================
+// SPA NAVIGATION
+// ============================================================================
+
+let routeChangeTimeout = null;
+
+/**
+ * Listen for history and hash navigation. pushState itself can't be observed from
+ * the content script's isolated world, so DOM mutations also check the URL
+ */
+function setupNavigationListener() {
+  window.addEventListener('popstate', checkForRouteChange);
+  window.addEventListener('hashchange', checkForRouteChange);
+  
+  // Navigation API (Chromium) reports pushState/replaceState navigations directly
+  if (window.navigation) {
+    window.navigation.addEventListener('navigatesuccess', checkForRouteChange);
+  }
+}
+
+/**
+ * Start a new extraction session if the route changed
+ * @returns {boolean} - Whether a new session was started
+ */
+function checkForRouteChange() {
+  const url = getRouteUrl();
+  if (url === extractedContent.url) return false;
+  
+  startNewSession(url);
+  return true;
+}
+
+/**
+ * Get the URL of the current route
+ * In-page anchors (#section) are the same page; hash routes (#/inbox, #!/x, #inbox/123) are not
+ */
+function getRouteUrl() {
+  const { origin, pathname, search, hash } = window.location;
+  const isHashRoute = hash.startsWith('#!') || hash.includes('/');
+  return origin + pathname + search + (isHashRoute ? hash : '');
+}
+
+/**
+ * Drop everything extracted from the previous route and extract the new one
+ */
+function startNewSession(url) {
+  extractedContent = createEmptyContent();
+  extractedContent.url = url;
+  extractedContent.title = document.title;
+  extractedContent.extractedAt = new Date().toISOString();
+  
+  seenTextBlocks = new Set();
+  blockOutputs = new WeakMap();
+  sourceElements = new Map();
+  elementSourceIds = new WeakMap();
+  mainContentRoot = null;
+  pendingNodes.clear();
+  lastScrollPosition = window.scrollY;
+  
+  // Give the new route a moment to render before the first pass
+  if (routeChangeTimeout) clearTimeout(routeChangeTimeout);
+  routeChangeTimeout = setTimeout(extractAllContent, 500);
 }
 
 // ============================================================================
-// AUTO-SCROLL FUNCTION
+// FULL-PAGE CAPTURE (AUTO-SCROLL)
 // ============================================================================
 
-async function autoScrollPage() {
-  const scrollStep = window.innerHeight * 0.8;
-  const maxScrolls = 50;
-  let scrollCount = 0;
+const CAPTURE_MAX_SCROLLS = 50;
+const CAPTURE_STEP_DELAY = 300; // ms for lazy content to load after each step
+
+// Aborts the running capture, if any
+let captureController = null;
+
+/**
+ * Find the element that scrolls the page. App layouts often fix the body to the
+ * viewport and scroll an inner container instead - pick the largest one then
+ * @returns {Element} - A scroll container, or the document's scrolling element
+ */
+function getPageScroller() {
+  const root = document.scrollingElement || document.documentElement;
+  const rootOverflow = getComputedStyle(document.body).overflowY;
+  if (root.scrollHeight > root.clientHeight + 50 && rootOverflow !== 'hidden') {
+    return root;
+  }
+  
+  let scroller = root;
+  let largestArea = 0;
+  
+  for (const element of document.body.querySelectorAll('*')) {
+    // Cheap size check first - most elements don't overflow at all
+    if (element.scrollHeight <= element.clientHeight + 50) continue;
+    if (!/(auto|scroll|overlay)/.test(getComputedStyle(element).overflowY)) continue;
+    
+    const rect = element.getBoundingClientRect();
+    const area = rect.width * rect.height;
+    if (area > largestArea) {
+      scroller = element;
+      largestArea = area;
+    }
+  }
+  
+  return scroller;
+}
+
+/**
+ * Whether a scroller is at (or near) its end
+ */
+function isScrolledToEnd(scroller) {
+  return scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 50;
+}
+
+/**
+ * Scroll through the page step by step so lazy-loaded content gets extracted,
+ * then put the scroll position back where the user left it
+ * @param {Object} [options] - { onProgress, signal }: onProgress gets
+ *   { scrolls, maxScrolls, characters } after each step; signal cancels the capture
+ * @returns {Promise<Object>} - { scrolls, characters, isComplete, cancelled }
+ */
+async function autoScrollPage({ onProgress, signal } = {}) {
+  const scroller = getPageScroller();
+  const startTop = scroller.scrollTop;
+  const startLeft = scroller.scrollLeft;
+  let scrolls = 0;
+  let reachedEnd = isScrolledToEnd(scroller);
   
-  return new Promise((resolve) => {
-    const scrollInterval = setInterval(() => {
-      window.scrollBy(0, scrollStep);
-      scrollCount++;
+  try {
+    while (!reachedEnd && scrolls < CAPTURE_MAX_SCROLLS && !signal?.aborted) {
+      scroller.scrollBy(0, scroller.clientHeight * 0.8);
+      scrolls++;
       
-      if ((window.innerHeight + window.scrollY) >= document.body.offsetHeight - 50 
-          || scrollCount >= maxScrolls) {
-        clearInterval(scrollInterval);
-        window.scrollTo(0, 0);
-        extractedContent.isComplete = true;
-        resolve();
+      await new Promise(resolve => setTimeout(resolve, CAPTURE_STEP_DELAY));
+      reachedEnd = isScrolledToEnd(scroller);
+      
+      if (onProgress) {
+        onProgress({ scrolls, maxScrolls: CAPTURE_MAX_SCROLLS, characters: extractedContent.textContent.length });
       }
-    }, 300);
+    }
+  } finally {
+    scroller.scrollTo(startLeft, startTop);
+  }
+  
+  // Pick up whatever loaded during the last steps without waiting for idle time
+  extractAllContent();
+  
+  if (reachedEnd) {
+    extractedContent.isComplete = true;
+  }
+  
+  return {
+    scrolls,
+    characters: extractedContent.textContent.length,
+    isComplete: extractedContent.isComplete,
+    cancelled: !reachedEnd && !!signal?.aborted
+  };
+}
+
+/**
+ * Mark short pages as complete - there is nothing below the fold to load
+ */
+function updateCompleteness() {
+  if (!extractedContent.isComplete && isScrolledToEnd(getPageScroller())) {
+    extractedContent.isComplete = true;
+  }
+}
+
+// ============================================================================
+// EMBEDDED FRAMES
+// ============================================================================
+
+/**
+ * Report this frame's content to the top frame once extraction settles (embedded frames only)
+ */
+function scheduleFrameReport() {
+  if (isTopFrame) return;
+  
+  if (frameReportTimeout) clearTimeout(frameReportTimeout);
+  frameReportTimeout = setTimeout(reportFrameContent, FRAME_REPORT_DELAY);
+}
+
+/**
+ * Report this frame's content. Tiny frames and frames with little text report nothing
+ * Source tags are dropped - citations can only scroll to passages in the top frame
+ */
+function reportFrameContent() {
+  frameReportTimeout = null;
+  
+  const text = extractedContent.textContent.replace(/\[s\d+\]\s?/g, '').trim();
+  const isVisible = window.innerWidth > 50 && window.innerHeight > 50;
+  
+  sendFrameContent(isVisible && text.length >= FRAME_MIN_CHARS ? text.substring(0, FRAME_MAX_CHARS) : '');
+}
+
+/**
+ * Send frame content to the background script, which relays it to the top frame
+ * @param {string} textContent - Frame text ('' removes the frame from the page's content)
+ */
+function sendFrameContent(textContent) {
+  chrome.runtime.sendMessage({
+    action: 'frameContent',
+    url: window.location.href,
+    title: document.title,
+    textContent: textContent
+  }).catch(() => {
+    // Extension was reloaded - this copy of the script is orphaned
+  });
+}
+
+/**
+ * Send this frame's selection to the top frame, which shows the overlay
+ * (relayed by the background script, like frame content)
+ */
+function sendFrameSelection() {
+  const focus = getSelectionContext();
+  if (!focus) return;
+  
+  chrome.runtime.sendMessage({ action: 'frameSelection', focus }).catch(() => {
+    // Extension was reloaded - this copy of the script is orphaned
+  });
+}
+
+/**
+ * The page's content with each embedded frame's content appended under a labeled
+ * heading. Headings inside a frame get the label too, so every section says where it's from
+ * @param {Object} content - Extracted content of the top frame
+ * @returns {Object} - Content with merged textContent and a frames list ({ label, url })
+ */
+function withFrameContent(content) {
+  if (frameContents.size === 0) return content;
+  
+  let text = '';
+  const frames = [];
+  
+  Array.from(frameContents.values()).forEach((frame, index) => {
+    const label = `Frame ${index + 1}: ${frame.title || frame.url}`;
+    const body = frame.textContent.replace(/^(#{1,6})\s+(.+)$/gm, (match, hashes, heading) => `${hashes} ${label} › ${heading}`);
+    
+    text += `\n## Embedded ${label}\n(${frame.url})\n${body}\n`;
+    frames.push({ label, url: frame.url });
   });
+  
+  return { ...content, textContent: content.textContent + text, frames };
 }
 
 // ============================================================================
@@ -155,8 +570,11 @@ async function autoScrollPage() {
  * Uses multiple strategies to capture everything
  */
 function extractAllContent() {
-  // Find the main content area
+  observeShadowRoots(document);
+  
+  // Find the main content area (kept for incremental extraction)
   const mainContent = findMainContent();
+  mainContentRoot = mainContent;
   
   if (mainContent) {
     // Extract from main content area (better for Wikipedia, articles)
@@ -170,14 +588,25 @@ function extractAllContent() {
   updateStructuredContent();
   updateImages();
   
+  // SPAs usually update the title after the route renders
+  extractedContent.title = document.title;
   extractedContent.extractedAt = new Date().toISOString();
+  scheduleFrameReport();
 }
 
 /**
  * Find the main content area of the page
- * Works with Wikipedia, Medium, news sites, etc.
+ * Known selectors (Wikipedia, Medium, news sites, etc.) are tried first as a fast path,
+ * then every block on the page is scored Readability-style
  */
 function findMainContent() {
+  return findMainContentBySelector() || findMainContentByScore();
+}
+
+/**
+ * Fast path: find the main content area with known selectors
+ */
+function findMainContentBySelector() {
   // Priority selectors for main content
   const contentSelectors = [
     // Wikipedia
@@ -213,154 +642,375 @@ function findMainContent() {
 
 /**
  * Extract content from a specific element (main content area)
+ * Walks the element once in document order and outputs Markdown, so paragraphs
+ * stay under their own headings
  */
 function extractFromElement(element) {
-  // Get all paragraphs
-  const paragraphs = element.querySelectorAll('p');
-  paragraphs.forEach(p => {
-    const text = cleanText(p.textContent);
-    if (text.length > 20 && !isDuplicate(text)) {
-      addText(text);
-      extractedContent.structuredContent.paragraphs.push(text);
-    }
-  });
-  
-  // Get all headings
-  element.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(h => {
-    const text = cleanText(h.textContent);
-    if (text && !isDuplicate(text)) {
-      addText(`\n## ${text}\n`);
-    }
-  });
+  walkBlocks(element);
+}
+
+/**
+ * Walk the children of a block element in document order
+ * Runs of text and inline elements between blocks become their own paragraph
+ */
+function walkBlocks(container) {
+  let inlineRun = [];
   
-  // Get all list items
-  element.querySelectorAll('li').forEach(li => {
-    // Skip nested lists - only get direct text
-    const directText = getDirectText(li);
-    if (directText.length > 10 && !isDuplicate(directText)) {
-      addText(`• ${directText}`);
-    }
-  });
+  const flushInline = () => {
+    if (inlineRun.length === 0) return;
+    addParagraph(container, inlineRun);
+    inlineRun = [];
+  };
   
-  // Get table data
-  element.querySelectorAll('table').forEach(table => {
-    const tableText = extractTableText(table);
-    if (tableText && !isDuplicate(tableText)) {
-      addText(tableText);
+  getRenderedChildren(container).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      inlineRun.push(node);
+      return;
     }
-  });
-  
-  // Get blockquotes
-  element.querySelectorAll('blockquote').forEach(bq => {
-    const text = cleanText(bq.textContent);
-    if (text.length > 20 && !isDuplicate(text)) {
-      addText(`> ${text}`);
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    
+    const tagName = node.tagName.toLowerCase();
+    if (SKIPPED_TAGS.has(tagName) || isBoilerplateElement(node)) return;
+    
+    if (INLINE_TAGS.has(tagName)) {
+      inlineRun.push(node);
+      return;
     }
+    
+    flushInline();
+    addBlock(node, tagName);
   });
   
-  // Get definition lists (common in Wikipedia)
-  element.querySelectorAll('dd').forEach(dd => {
-    const text = cleanText(dd.textContent);
-    if (text.length > 20 && !isDuplicate(text)) {
-      addText(text);
-    }
-  });
+  flushInline();
 }
 
 /**
- * Fallback: Extract from entire document body
+ * Output one block-level element as Markdown
  */
-function extractFromBody() {
-  const walker = document.createTreeWalker(
-    document.body,
-    NodeFilter.SHOW_TEXT,
-    {
-      acceptNode: (node) => {
-        const parent = node.parentElement;
-        if (!parent) return NodeFilter.FILTER_REJECT;
-        
-        // Skip unwanted elements
-        const tagName = parent.tagName.toLowerCase();
-        if (['script', 'style', 'noscript', 'iframe', 'svg', 'nav', 'footer', 'header'].includes(tagName)) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        
-        // Skip hidden elements
-        const style = window.getComputedStyle(parent);
-        if (style.display === 'none' || style.visibility === 'hidden') {
-          return NodeFilter.FILTER_REJECT;
-        }
-        
-        // Only accept substantial text
-        const text = node.textContent.trim();
-        if (text.length < 10) return NodeFilter.FILTER_REJECT;
-        
-        return NodeFilter.FILTER_ACCEPT;
+function addBlock(element, tagName) {
+  switch (tagName) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      const text = cleanText(element.textContent);
+      if (text) {
+        addBlockText(element, text, `\n${'#'.repeat(parseInt(tagName[1]))} ${text}\n`);
       }
+      break;
     }
-  );
-  
-  while (walker.nextNode()) {
-    const text = cleanText(walker.currentNode.textContent);
-    if (text.length > 10 && !isDuplicate(text)) {
-      addText(text);
+    
+    case 'p':
+      addParagraph(element, Array.from(element.childNodes));
+      break;
+    
+    case 'ul':
+    case 'ol':
+      addList(element, 0);
+      break;
+    
+    case 'table': {
+      const tableText = extractTableText(element);
+      if (tableText) {
+        addBlockText(element, tableText, `\n[${getSourceId(element)}]\n${tableText}\n`);
+      }
+      break;
+    }
+    
+    case 'pre': {
+      const code = element.textContent.replace(/\n+$/, '');
+      if (code.trim()) {
+        addBlockText(element, code, `\n[${getSourceId(element)}]\n\`\`\`${getCodeLanguage(element)}\n${code}\n\`\`\`\n`);
+      }
+      break;
+    }
+    
+    case 'blockquote': {
+      const text = cleanText(renderInline(Array.from(element.childNodes)));
+      if (text.length > 20) {
+        addBlockText(element, text, `> ${tagText(element, text)}`);
+      }
+      break;
     }
+    
+    case 'dl':
+      element.querySelectorAll(':scope > dt, :scope > dd, :scope > div > dt, :scope > div > dd').forEach(item => {
+        const text = cleanText(renderInline(Array.from(item.childNodes)));
+        if (!text) return;
+        addBlockText(item, text, item.tagName.toLowerCase() === 'dt' ? `**${text}**` : tagText(item, text));
+      });
+      break;
+    
+    default:
+      // Generic containers (div, section, figure...) - look inside
+      walkBlocks(element);
   }
 }
 
 /**
- * Clean text by removing extra whitespace
+ * Output a paragraph from a list of inline nodes
  */
-function cleanText(text) {
-  return text
-    .replace(/\s+/g, ' ')
-    .replace(/\n+/g, '\n')
-    .trim();
+function addParagraph(element, nodes) {
+  const markdown = cleanText(renderInline(nodes));
+  const text = cleanText(getRenderedText(nodes));
+  if (text.length <= 20) return;
+  
+  // A run of inline nodes between blocks is keyed by its first node, so runs
+  // that share a container don't replace each other
+  const key = nodes.length === element.childNodes.length ? element : nodes[0];
+  const previous = blockOutputs.get(key);
+  
+  if (addBlockText(key, text, tagText(element, markdown))) {
+    const paragraphs = extractedContent.structuredContent.paragraphs;
+    const index = previous ? paragraphs.indexOf(previous.text) : -1;
+    if (index >= 0) {
+      paragraphs[index] = text;
+    } else {
+      paragraphs.push(text);
+    }
+  }
 }
 
 /**
- * Get direct text content (not from nested children)
+ * Output a list as Markdown, indenting nested lists
  */
-function getDirectText(element) {
-  let text = '';
-  element.childNodes.forEach(node => {
-    if (node.nodeType === Node.TEXT_NODE) {
-      text += node.textContent;
-    } else if (node.nodeType === Node.ELEMENT_NODE) {
-      // Include inline elements like links, spans
-      const tagName = node.tagName.toLowerCase();
-      if (['a', 'span', 'strong', 'em', 'b', 'i', 'sup', 'sub'].includes(tagName)) {
-        text += node.textContent;
-      }
-    }
+function addList(list, depth) {
+  list.querySelectorAll(':scope > li').forEach(li => {
+    if (isBoilerplateElement(li)) return;
+    addListItem(li, depth);
   });
-  return cleanText(text);
 }
 
 /**
- * Extract text from a table
+ * Output one list item and its nested lists
  */
-function extractTableText(table) {
-  const rows = [];
-  table.querySelectorAll('tr').forEach((tr, i) => {
-    if (i > 20) return; // Limit rows
-    
-    const cells = [];
-    tr.querySelectorAll('th, td').forEach(cell => {
-      const text = cleanText(cell.textContent);
-      if (text.length < 200) { // Skip cells with too much content
-        cells.push(text);
-      }
-    });
-    
-    if (cells.length > 0) {
-      rows.push(cells.join(' | '));
-    }
+function addListItem(li, depth) {
+  const list = li.parentElement;
+  const ordered = list?.tagName.toLowerCase() === 'ol';
+  
+  // Direct content only - nested lists are output separately below
+  const inlineNodes = Array.from(li.childNodes).filter(node => {
+    return node.nodeType !== Node.ELEMENT_NODE || !['ul', 'ol'].includes(node.tagName.toLowerCase());
   });
+  const markdown = cleanText(renderInline(inlineNodes));
+  const text = cleanText(getRenderedText(inlineNodes));
   
-  return rows.join('\n');
-}
-
+  let marker = '-';
+  if (ordered) {
+    const start = parseInt(list.getAttribute('start')) || 1;
+    marker = `${start + Array.from(list.children).filter(child => child.tagName === 'LI').indexOf(li)}.`;
+  }
+  
+  if (text.length > 3) {
+    addBlockText(li, text, `${'  '.repeat(depth)}${marker} ${tagText(li, markdown)}`);
+  }
+  
+  li.querySelectorAll(':scope > ul, :scope > ol').forEach(nested => addList(nested, depth + 1));
+}
+
+/**
+ * Nesting depth of a list item inside the content root (0 = top-level list)
+ */
+function getListDepth(li, root) {
+  let depth = -1;
+  for (let el = li.parentElement; el && el !== root; el = el.parentElement) {
+    const tagName = el.tagName.toLowerCase();
+    if (tagName === 'ul' || tagName === 'ol') depth++;
+  }
+  return Math.max(depth, 0);
+}
+
+/**
+ * Render inline nodes as Markdown (links, bold, italic, inline code)
+ */
+function renderInline(nodes) {
+  return nodes.map(node => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    
+    const tagName = node.tagName.toLowerCase();
+    if (SKIPPED_TAGS.has(tagName) || tagName === 'img') return '';
+    if (tagName === 'br') return ' ';
+    
+    const inner = renderInline(getRenderedChildren(node));
+    const text = inner.trim();
+    if (!text) return inner;
+    
+    switch (tagName) {
+      case 'a': {
+        const href = node.getAttribute('href') || '';
+        // Keep real links; in-page anchors and javascript: links are just text
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return inner;
+        return `[${text}](${node.href})`;
+      }
+      case 'strong':
+      case 'b':
+        return `**${text}**`;
+      case 'em':
+      case 'i':
+        return `*${text}*`;
+      case 'code':
+      case 'kbd':
+      case 'samp':
+        return `\`${node.textContent.trim()}\``;
+      default:
+        return inner;
+    }
+  }).join('');
+}
+
+/**
+ * Get a code block's language from "language-xx" / "lang-xx" classes
+ */
+function getCodeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const classes = `${getClassName(pre)} ${code ? getClassName(code) : ''}`;
+  const match = classes.match(/(?:language|lang)-([\w+#-]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Fallback: Extract from entire document body (or one added subtree of it)
+ */
+function extractFromBody(root = document.body) {
+  // Hidden/boilerplate checks are cached per element - text nodes share parents,
+  // and getComputedStyle is too slow to call for every text node
+  const excluded = new WeakMap();
+  const isExcluded = (element) => {
+    if (!element || element === document.body) return false;
+    if (excluded.has(element)) return excluded.get(element);
+    
+    const tagName = element.tagName.toLowerCase();
+    let result = ['script', 'style', 'noscript', 'iframe', 'svg', 'nav', 'footer', 'header'].includes(tagName)
+      || isBoilerplateElement(element);
+    
+    if (!result) {
+      const style = window.getComputedStyle(element);
+      result = style.display === 'none' || style.visibility === 'hidden';
+    }
+    
+    // Elements at the top of a shadow root inherit their host's visibility
+    result = result || isExcluded(element.parentElement || element.parentNode?.host);
+    excluded.set(element, result);
+    return result;
+  };
+  
+  // Tree walkers stop at shadow roots, so each open one gets its own walk
+  for (const scope of [root, ...getOpenShadowRoots(root)]) {
+    const walker = document.createTreeWalker(
+      scope,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) => {
+          const parent = node.parentElement;
+          if (!parent) return NodeFilter.FILTER_REJECT;
+          
+          // Only accept substantial text
+          const text = node.textContent.trim();
+          if (text.length < 10) return NodeFilter.FILTER_REJECT;
+          
+          // Skip hidden elements, cookie banners, sidebars, comment widgets, etc.
+          if (isExcluded(parent)) return NodeFilter.FILTER_REJECT;
+          
+          return NodeFilter.FILTER_ACCEPT;
+        }
+      }
+    );
+    
+    while (walker.nextNode()) {
+      const text = cleanText(walker.currentNode.textContent);
+      if (text.length > 10) {
+        addBlockText(walker.currentNode, text, tagText(walker.currentNode.parentElement, text));
+      }
+    }
+  }
+}
+
+/**
+ * Clean text by removing extra whitespace
+ */
+function cleanText(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\n+/g, '\n')
+    .trim();
+}
+
+/**
+ * Get direct text content (not from nested children)
+ */
+function getDirectText(element) {
+  let text = '';
+  element.childNodes.forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      text += node.textContent;
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      // Include inline elements like links, spans
+      const tagName = node.tagName.toLowerCase();
+      if (['a', 'span', 'strong', 'em', 'b', 'i', 'sup', 'sub'].includes(tagName)) {
+        text += node.textContent;
+      }
+    }
+  });
+  return cleanText(text);
+}
+
+/**
+ * Extract a table as a GFM Markdown table (first row is the header)
+ */
+function extractTableText(table) {
+  const rows = extractTableRows(table, 21).map(cells => cells.map(cell => {
+    const text = cell.replace(/\|/g, '\\|');
+    return text.length < 200 ? text : text.substring(0, 200) + '...'; // Trim cells with too much content
+  }));
+  
+  if (rows.length === 0) return '';
+  
+  // Pad rows so every row has the same number of columns
+  const columns = Math.max(...rows.map(cells => cells.length));
+  const lines = rows.map(cells => {
+    const padded = cells.concat(Array(columns - cells.length).fill(''));
+    return `| ${padded.join(' | ')} |`;
+  });
+  lines.splice(1, 0, `|${' --- |'.repeat(columns)}`);
+  
+  return lines.join('\n');
+}
+
+/**
+ * Get a table's cell text row by row, skipping empty rows
+ */
+function extractTableRows(table, maxRows = Infinity) {
+  const rows = [];
+  
+  for (const tr of table.rows) {
+    if (rows.length >= maxRows) break;
+    
+    const cells = Array.from(tr.cells).map(cell => cleanText(cell.textContent));
+    if (cells.some(Boolean)) {
+      rows.push(cells);
+    }
+  }
+  
+  return rows;
+}
+
+/**
+ * Get every data table on the page in full, for export without the model
+ */
+function getPageTables() {
+  return querySelectorAllDeep('table')
+    // Tables that contain tables are page layout, not data
+    .filter(table => !table.querySelector('table'))
+    .map(table => ({
+      caption: cleanText(table.caption?.textContent || table.getAttribute('aria-label') || ''),
+      rows: extractTableRows(table)
+    }))
+    .filter(table => table.rows.length > 1);
+}
+
 /**
  * Check if text is duplicate
  */
@@ -381,16 +1031,113 @@ function addText(text) {
 }
 
 /**
- * Simple hash function for deduplication
+ * Output an extracted block, replacing the block's earlier output if its text changed
+ * @param {Node} key - The block's element (or first node, for a run of inline nodes)
+ * @param {string} text - Plain text, for deduplication
+ * @param {string} output - Markdown to output
+ * @returns {boolean} - Whether the output changed
+ */
+function addBlockText(key, text, output) {
+  const previous = blockOutputs.get(key);
+  if (previous?.text === text || isDuplicate(text)) return false;
+  
+  const previousLine = previous && previous.output + '\n';
+  if (previousLine && extractedContent.textContent.includes(previousLine)) {
+    // The old text may come back (a counter going back down)
+    seenTextBlocks.delete(hashText(previous.text));
+    extractedContent.textContent = extractedContent.textContent.replace(previousLine, () => output + '\n');
+  } else {
+    addText(output);
+  }
+  
+  blockOutputs.set(key, { text, output });
+  return true;
+}
+
+/**
+ * Prefix text with the source ID of the element it came from, e.g. "[s12] text"
+ */
+function tagText(element, text) {
+  return `[${getSourceId(element)}] ${text}`;
+}
+
+/**
+ * Get (or assign) the stable source ID of an element: a hash of its text, so the
+ * same passage gets the same ID on every load of the page. Repeated (or colliding)
+ * text takes the next free ID in page order
+ */
+function getSourceId(element) {
+  let id = elementSourceIds.get(element);
+  if (!id) {
+    const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+    let number = parseInt(hashText(text), 36) % SOURCE_ID_RANGE;
+    
+    // IDs of passages that left the page (re-rendered or removed) can be reused
+    while (getSourceElement(`s${number}`)) {
+      number = (number + 1) % SOURCE_ID_RANGE;
+    }
+    
+    id = `s${number}`;
+    elementSourceIds.set(element, id);
+    sourceElements.set(id, new WeakRef(element));
+  }
+  return id;
+}
+
+/**
+ * Get the element a source ID points to, if it is still on the page
+ * (entries for removed elements are dropped)
+ */
+function getSourceElement(id) {
+  const element = sourceElements.get(id)?.deref();
+  if (element?.isConnected) return element;
+  
+  sourceElements.delete(id);
+  return null;
+}
+
+/**
+ * Scroll to a cited element and briefly highlight it
+ * @returns {boolean} - Whether the element is still on the page
+ */
+function highlightSource(id) {
+  const element = getSourceElement(id);
+  if (!element) return false;
+  
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  
+  // Inline styles so the highlight works without injecting a stylesheet
+  const { outline, backgroundColor, transition } = element.style;
+  element.style.transition = 'background-color 0.3s, outline 0.3s';
+  element.style.outline = '3px solid #667eea';
+  element.style.backgroundColor = 'rgba(102, 126, 234, 0.2)';
+  
+  setTimeout(() => {
+    element.style.outline = outline;
+    element.style.backgroundColor = backgroundColor;
+    element.style.transition = transition;
+  }, 2500);
+  
+  return true;
+}
+
+/**
+ * Hash the full text for deduplication (cyrb53 - 53-bit, so collisions between
+ * different paragraphs are practically impossible; length is added as a tiebreaker)
  */
 function hashText(text) {
-  let hash = 0;
-  const sample = text.substring(0, 100);
-  for (let i = 0; i < sample.length; i++) {
-    hash = ((hash << 5) - hash) + sample.charCodeAt(i);
-    hash |= 0;
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
   }
-  return hash;
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return `${hash.toString(36)}:${text.length}`;
 }
 
 /**
@@ -399,7 +1146,7 @@ function hashText(text) {
 function updateStructuredContent() {
   // Extract headings with hierarchy
   extractedContent.structuredContent.headings = [];
-  document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+  querySelectorAllDeep('h1, h2, h3, h4, h5, h6').forEach(heading => {
     const text = cleanText(heading.textContent);
     if (text && text.length < 200) {
       const existing = extractedContent.structuredContent.headings.find(h => h.text === text);
@@ -414,7 +1161,7 @@ function updateStructuredContent() {
   
   // Extract lists
   extractedContent.structuredContent.lists = [];
-  document.querySelectorAll('ul, ol').forEach((list, idx) => {
+  querySelectorAllDeep('ul, ol').forEach((list, idx) => {
     if (idx >= 10) return;
     
     const items = [];
@@ -441,7 +1188,7 @@ function updateStructuredContent() {
 function updateImages() {
   const existingSrcs = new Set(extractedContent.images.map(img => img.src));
   
-  document.querySelectorAll('img').forEach(img => {
+  querySelectorAllDeep('img').forEach(img => {
     if (img.naturalWidth < 100 || img.naturalHeight < 100) return;
     if (!img.src || existingSrcs.has(img.src)) return;
     if (img.src.includes('pixel') || img.src.includes('tracking')) return;
@@ -492,29 +1239,859 @@ function getImageBase64(img) {
   }
 }
 
+// ============================================================================
+// SHADOW DOM
+// ============================================================================
+
+/**
+ * Child nodes as rendered: an open shadow root's content instead of the host's own
+ * children, and the nodes assigned to a <slot> instead of its fallback content.
+ * Closed shadow roots (like the overlay's) have no shadowRoot and are never entered
+ */
+function getRenderedChildren(node) {
+  if (node.shadowRoot) {
+    return Array.from(node.shadowRoot.childNodes);
+  }
+  if (node.tagName === 'SLOT') {
+    const assigned = node.assignedNodes({ flatten: true });
+    if (assigned.length > 0) return assigned;
+  }
+  return Array.from(node.childNodes);
+}
+
+/**
+ * Text of a list of nodes as rendered (textContent, but through open shadow roots)
+ */
+function getRenderedText(nodes) {
+  return nodes.map(node => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    return getRenderedText(getRenderedChildren(node));
+  }).join('');
+}
+
+/**
+ * Every open shadow root inside a node (including its own and nested ones), in document order
+ */
+function getOpenShadowRoots(root) {
+  const roots = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  
+  for (let node = walker.currentNode; node; node = walker.nextNode()) {
+    if (node.shadowRoot) {
+      roots.push(node.shadowRoot, ...getOpenShadowRoots(node.shadowRoot));
+    }
+  }
+  
+  return roots;
+}
+
+/**
+ * Remember the open shadow roots inside a node and watch them for changes
+ * (the page's mutation observer can't see into them)
+ */
+function observeShadowRoots(root) {
+  for (const shadowRoot of getOpenShadowRoots(root)) {
+    if (openShadowRoots.has(shadowRoot)) continue;
+    openShadowRoots.add(shadowRoot);
+    
+    if (contentObserver) {
+      contentObserver.observe(shadowRoot, MUTATION_OPTIONS);
+    }
+  }
+}
+
+/**
+ * querySelectorAll over the document and every known open shadow root
+ */
+function querySelectorAllDeep(selector) {
+  const scopes = [document];
+  openShadowRoots.forEach(shadowRoot => {
+    if (shadowRoot.host.isConnected) {
+      scopes.push(shadowRoot);
+    } else {
+      openShadowRoots.delete(shadowRoot);
+    }
+  });
+  
+  return scopes.flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+}
+
+/**
+ * Node.contains() across shadow root boundaries
+ */
+function containsComposed(root, node) {
+  for (let current = node; current; current = current.parentNode || current.host) {
+    if (current === root) return true;
+  }
+  return false;
+}
+
+// ============================================================================
+// READABILITY-STYLE CONTENT SCORING
+// ============================================================================
+
+/**
+ * Find the main content area by scoring blocks on text density, link density
+ * and class/id heuristics (the approach used by Mozilla's Readability)
+ */
+function findMainContentByScore() {
+  const candidates = new Map(); // element -> score
+  
+  querySelectorAllDeep('p, pre, td, blockquote').forEach(node => {
+    if (isBoilerplate(node, document.body)) return;
+    
+    const text = cleanText(node.textContent);
+    if (text.length < 25) return;
+    
+    // One point for the block, one per comma, one per 100 chars (up to 3)
+    const score = 1 + text.split(',').length - 1 + Math.min(Math.floor(text.length / 100), 3);
+    
+    // Parent gets the full score, grandparent half, great-grandparent a sixth
+    let ancestor = node.parentElement;
+    for (let level = 0; level < 3 && ancestor && ancestor !== document.documentElement; level++) {
+      if (!candidates.has(ancestor)) {
+        candidates.set(ancestor, getInitialScore(ancestor));
+      }
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      candidates.set(ancestor, candidates.get(ancestor) + score / divider);
+      ancestor = ancestor.parentElement;
+    }
+  });
+  
+  // Link-heavy blocks (menus, link lists) lose most of their score
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach((score, element) => {
+    const finalScore = score * (1 - getLinkDensity(element));
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  });
+  
+  if (best && cleanText(best.textContent).length > 250) {
+    return best;
+  }
+  return null;
+}
+
+/**
+ * Starting score for a candidate based on its tag and class/id
+ */
+function getInitialScore(element) {
+  let score = 0;
+  
+  switch (element.tagName.toLowerCase()) {
+    case 'article':
+      score += 10;
+      break;
+    case 'div':
+    case 'section':
+      score += 5;
+      break;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      score += 3;
+      break;
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+    case 'form':
+      score -= 3;
+      break;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      score -= 5;
+      break;
+  }
+  
+  return score + getClassWeight(element);
+}
+
+/**
+ * Score adjustment from class and id names (+25 / -25 each)
+ */
+function getClassWeight(element) {
+  let weight = 0;
+  
+  for (const name of [getClassName(element), element.id]) {
+    if (!name) continue;
+    if (NEGATIVE_CLASSES.test(name)) weight -= 25;
+    if (POSITIVE_CLASSES.test(name)) weight += 25;
+  }
+  
+  return weight;
+}
+
+/**
+ * Share of an element's text that is inside links (0 to 1)
+ */
+function getLinkDensity(element) {
+  const textLength = cleanText(element.textContent).length;
+  if (textLength === 0) return 0;
+  
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += cleanText(link.textContent).length;
+  });
+  
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Check whether a node sits inside boilerplate (navigation, cookie banners,
+ * sidebars, comment widgets...) anywhere between it and the root element
+ */
+function isBoilerplate(node, root) {
+  let element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  
+  while (element && element !== root) {
+    if (isBoilerplateElement(element)) return true;
+    element = element.parentElement;
+  }
+  
+  return false;
+}
+
+/**
+ * Check a single element (not its ancestors) for boilerplate
+ */
+function isBoilerplateElement(element) {
+  const tagName = element.tagName.toLowerCase();
+  if (BOILERPLATE_TAGS.has(tagName)) return true;
+  if (tagName === 'form' && isSmallForm(element)) return true;
+  
+  const role = element.getAttribute('role');
+  if (role === 'navigation' || role === 'complementary' || role === 'banner' || role === 'dialog') return true;
+  if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+  
+  const match = `${getClassName(element)} ${element.id}`;
+  return UNLIKELY_CANDIDATES.test(match) && !MAYBE_CANDIDATES.test(match);
+}
+
+/**
+ * Check whether a form holds at most FORM_MAX_CHARS of text (stops counting
+ * past the limit, as every block inside a page-wide form checks it)
+ */
+function isSmallForm(form) {
+  const walker = document.createTreeWalker(form, NodeFilter.SHOW_TEXT);
+  let length = 0;
+  
+  while (walker.nextNode()) {
+    length += walker.currentNode.data.trim().length;
+    if (length > FORM_MAX_CHARS) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Class name as a string (SVG elements expose an SVGAnimatedString)
+ */
+function getClassName(element) {
+  return typeof element.className === 'string' ? element.className : element.getAttribute('class') || '';
+}
+
+// ============================================================================
+// FLOATING OVERLAY
+// ============================================================================
+
+// Overlay state (the shadow root keeps the page's CSS out and the overlay's CSS in)
+let overlayHost = null;
+let overlayRoot = null;
+let overlayPinned = false;
+let overlayFocus = null;
+let overlayAnswer = '';
+
+const OVERLAY_WIDTH = 360;
+
+// Matches citation tags like [s12] or [s12, s15]
+const CITATION_PATTERN = /\[(s\d+(?:\s*,\s*s\d+)*)\]/g;
+
+const OVERLAY_STYLES = `
+  :host { all: initial; }
+  .panel {
+    box-sizing: border-box;
+    width: ${OVERLAY_WIDTH}px;
+    max-height: 60vh;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    padding: 10px 12px;
+    background: #fff;
+    color: #333;
+    border: 1px solid #e0e0e0;
+    border-top: 3px solid #667eea;
+    border-radius: 10px;
+    box-shadow: 0 10px 40px rgba(0, 0, 0, 0.2);
+    font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .header { display: flex; align-items: center; gap: 4px; }
+  .title { flex: 1; font-weight: 600; }
+  button {
+    font: inherit;
+    color: inherit;
+    background: none;
+    border: none;
+    border-radius: 6px;
+    padding: 2px 6px;
+    cursor: pointer;
+  }
+  button:hover { background: #f0f0f0; }
+  .pin { opacity: 0.5; }
+  .pin.active { opacity: 1; background: #eef0fc; }
+  .focus {
+    padding: 4px 8px;
+    border-left: 3px solid #667eea;
+    background: #f8f9fa;
+    color: #666;
+    font-size: 12px;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  textarea {
+    box-sizing: border-box;
+    width: 100%;
+    padding: 6px 8px;
+    border: 2px solid #e0e0e0;
+    border-radius: 8px;
+    font: inherit;
+    color: inherit;
+    background: #fff;
+    resize: none;
+  }
+  textarea:focus { outline: none; border-color: #667eea; }
+  .answer { overflow-y: auto; white-space: pre-wrap; word-wrap: break-word; }
+  .answer.loading, .answer.error { color: #888; font-style: italic; }
+  .answer.error { color: #c33; }
+  .cite {
+    padding: 0 4px;
+    background: #eef0fc;
+    color: #667eea;
+    font-size: 11px;
+  }
+  .footer { display: flex; justify-content: flex-end; }
+  [hidden] { display: none !important; }
+  @media (prefers-color-scheme: dark) {
+    .panel { background: #1e1e2e; color: #e0e0e0; border-color: #3a3a4a; border-top-color: #667eea; }
+    button:hover, .focus, .pin.active { background: #2a2a3a; }
+    .focus { color: #aaa; }
+    textarea { background: #2a2a3a; border-color: #3a3a4a; }
+    .cite { background: #2a2a3a; }
+  }
+`;
+
+/**
+ * Open the overlay, or close it if it's already open
+ */
+function toggleOverlay() {
+  if (isOverlayOpen()) {
+    closeOverlay();
+  } else {
+    openOverlay();
+  }
+}
+
+/**
+ * Whether the overlay is currently shown
+ */
+function isOverlayOpen() {
+  return !!overlayHost?.isConnected && overlayHost.style.display !== 'none';
+}
+
+/**
+ * Show the overlay next to the current selection, or in the corner of the viewport
+ */
+function openOverlay() {
+  if (!overlayHost?.isConnected) {
+    createOverlay();
+  }
+  
+  // The selection (if any) becomes the main subject of the question
+  const selection = window.getSelection();
+  const focus = getSelectionContext();
+  const anchorRect = focus ? selection.getRangeAt(0).getBoundingClientRect() : null;
+  setOverlayFocus(focus);
+  
+  positionOverlay(anchorRect);
+  overlayHost.style.display = 'block';
+  overlayRoot.querySelector('textarea').focus();
+}
+
+/**
+ * Set (or clear) the selection the overlay's questions are about
+ * @param {Object|null} focus - { selection, before, after } from getSelectionContext
+ */
+function setOverlayFocus(focus) {
+  overlayFocus = focus;
+  
+  const focusEl = overlayRoot.querySelector('.focus');
+  focusEl.textContent = focus ? `"${focus.selection}"` : '';
+  focusEl.hidden = !focus;
+}
+
+/**
+ * Hide the overlay (it keeps its last answer for the next open)
+ */
+function closeOverlay() {
+  if (overlayHost) {
+    overlayHost.style.display = 'none';
+  }
+}
+
+/**
+ * Place the overlay below (or above) a selection, kept inside the viewport
+ */
+function positionOverlay(anchorRect) {
+  const style = overlayHost.style;
+  style.top = style.bottom = style.left = style.right = 'auto';
+  
+  if (!anchorRect) {
+    style.right = '20px';
+    style.bottom = '20px';
+    return;
+  }
+  
+  const left = Math.min(Math.max(anchorRect.left, 8), window.innerWidth - OVERLAY_WIDTH - 8);
+  style.left = `${Math.max(left, 8)}px`;
+  
+  if (window.innerHeight - anchorRect.bottom > 250 || anchorRect.top < 250) {
+    style.top = `${Math.min(anchorRect.bottom + 8, window.innerHeight - 150)}px`;
+  } else {
+    style.bottom = `${window.innerHeight - anchorRect.top + 8}px`;
+  }
+}
+
+/**
+ * Build the overlay inside a closed shadow root
+ */
+function createOverlay() {
+  overlayHost = document.createElement('pagesage-overlay');
+  overlayHost.style.cssText = 'all: initial; position: fixed; z-index: 2147483647; display: none;';
+  overlayRoot = overlayHost.attachShadow({ mode: 'closed' });
+  
+  overlayRoot.innerHTML = `
+    <style>${OVERLAY_STYLES}</style>
+    <div class="panel">
+      <div class="header">
+        <span class="title">🔍 PageSage</span>
+        <button class="pin" title="Pin (stay open when clicking the page)">📌</button>
+        <button class="close" title="Close (Esc)">×</button>
+      </div>
+      <div class="focus" hidden></div>
+      <textarea rows="2" placeholder="Ask about this page... (Enter to send)"></textarea>
+      <div class="answer" hidden></div>
+      <div class="footer" hidden>
+        <button class="copy">Copy</button>
+      </div>
+    </div>
+  `;
+  
+  const input = overlayRoot.querySelector('textarea');
+  const pinBtn = overlayRoot.querySelector('.pin');
+  const copyBtn = overlayRoot.querySelector('.copy');
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      const query = input.value.trim();
+      if (query) askFromOverlay(query);
+    }
+    if (e.key === 'Escape') {
+      closeOverlay();
+    }
+  });
+  
+  pinBtn.addEventListener('click', () => {
+    overlayPinned = !overlayPinned;
+    pinBtn.classList.toggle('active', overlayPinned);
+  });
+  
+  overlayRoot.querySelector('.close').addEventListener('click', closeOverlay);
+  
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(overlayAnswer.replace(/\s*\[s\d+(?:\s*,\s*s\d+)*\]/g, ''));
+      copyBtn.textContent = 'Copied!';
+    } catch (error) {
+      copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+  });
+  
+  overlayRoot.querySelector('.answer').addEventListener('click', (e) => {
+    const cite = e.target.closest('.cite');
+    if (cite) highlightSource(cite.dataset.id);
+  });
+  
+  // Keep the page's keyboard shortcuts from firing while typing in the overlay
+  for (const type of ['keydown', 'keyup', 'keypress']) {
+    overlayHost.addEventListener(type, e => e.stopPropagation());
+  }
+  
+  // Clicking the page closes the overlay unless it's pinned
+  document.addEventListener('mousedown', (e) => {
+    if (!overlayPinned && isOverlayOpen() && !e.composedPath().includes(overlayHost)) {
+      closeOverlay();
+    }
+  }, true);
+  
+  document.documentElement.appendChild(overlayHost);
+}
+
+/**
+ * Send a question from the overlay to the background and show the answer
+ */
+async function askFromOverlay(query) {
+  const answerEl = overlayRoot.querySelector('.answer');
+  const footer = overlayRoot.querySelector('.footer');
+  
+  answerEl.hidden = false;
+  answerEl.className = 'answer loading';
+  answerEl.textContent = 'Thinking...';
+  footer.hidden = true;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'queryAI',
+      query: query,
+      focus: overlayFocus,
+      pageContent: {
+        ...extractedContent,
+        textContent: extractedContent.textContent.substring(0, 50000)
+      }
+    });
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from PageSage');
+    }
+    
+    overlayAnswer = response.data;
+    answerEl.className = 'answer';
+    renderOverlayAnswer(answerEl, overlayAnswer);
+    footer.hidden = false;
+  } catch (error) {
+    answerEl.className = 'answer error';
+    answerEl.textContent = error.message;
+  }
+}
+
+/**
+ * Render an answer as text, with citation tags as buttons that scroll to the source
+ */
+function renderOverlayAnswer(answerEl, text) {
+  answerEl.textContent = '';
+  const numbers = new Map(); // source ID -> number shown on its button
+  let lastIndex = 0;
+  
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    answerEl.append(text.slice(lastIndex, match.index));
+    
+    for (const id of match[1].split(/\s*,\s*/)) {
+      const cite = document.createElement('button');
+      cite.className = 'cite';
+      cite.dataset.id = id;
+      cite.textContent = getCitationNumber(numbers, id);
+      cite.title = 'Show on page';
+      answerEl.append(cite);
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  
+  answerEl.append(text.slice(lastIndex));
+}
+
+/**
+ * Number sources in the order an answer first cites them (source IDs are hashes,
+ * too long to show)
+ * @param {Map} numbers - Source ID -> number, for the answer being rendered
+ * @param {string} id - Source ID
+ * @returns {number}
+ */
+function getCitationNumber(numbers, id) {
+  if (!numbers.has(id)) numbers.set(id, numbers.size + 1);
+  return numbers.get(id);
+}
+
+// ============================================================================
+// REGION SELECTION
+// ============================================================================
+
+/**
+ * Let the user drag out a region of the viewport, then ask the background to capture it
+ */
+function startRegionSelection() {
+  if (document.querySelector('pagesage-region')) return;
+  
+  const layer = document.createElement('pagesage-region');
+  layer.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647; cursor: crosshair; background: rgba(0, 0, 0, 0.15);';
+  
+  const box = document.createElement('div');
+  box.style.cssText = 'position: fixed; display: none; border: 2px dashed #667eea; background: rgba(102, 126, 234, 0.15);';
+  layer.appendChild(box);
+  
+  let start = null;
+  
+  const getRegion = (e) => ({
+    x: Math.min(start.x, e.clientX),
+    y: Math.min(start.y, e.clientY),
+    width: Math.abs(e.clientX - start.x),
+    height: Math.abs(e.clientY - start.y)
+  });
+  
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      finish();
+    }
+  };
+  
+  const finish = () => {
+    layer.remove();
+    document.removeEventListener('keydown', onKeyDown, true);
+  };
+  
+  layer.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    start = { x: e.clientX, y: e.clientY };
+  });
+  
+  layer.addEventListener('mousemove', (e) => {
+    if (!start) return;
+    const region = getRegion(e);
+    Object.assign(box.style, {
+      display: 'block',
+      left: `${region.x}px`,
+      top: `${region.y}px`,
+      width: `${region.width}px`,
+      height: `${region.height}px`
+    });
+  });
+  
+  layer.addEventListener('mouseup', (e) => {
+    if (!start) return;
+    const region = getRegion(e);
+    finish();
+    
+    // Ignore clicks without a drag
+    if (region.width < 10 || region.height < 10) return;
+    
+    // Wait until the layer is gone from the screen before capturing
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      chrome.runtime.sendMessage({
+        action: 'captureRegion',
+        region: { ...region, devicePixelRatio: window.devicePixelRatio }
+      }).catch(() => {});
+    }));
+  });
+  
+  document.addEventListener('keydown', onKeyDown, true);
+  document.documentElement.appendChild(layer);
+}
+
+// ============================================================================
+// SELECTION CONTEXT
+// ============================================================================
+
+// Characters of page text kept on each side of a selection or image
+const SURROUNDING_CHARS = 500;
+
+/**
+ * Capture the current selection (or the image at srcUrl) with the text around it
+ */
+function getSelectionContext(srcUrl) {
+  const range = document.createRange();
+  
+  if (srcUrl) {
+    const img = Array.from(document.images).find(image => image.currentSrc === srcUrl || image.src === srcUrl);
+    if (!img) return { image: { src: srcUrl } };
+    
+    range.selectNode(img);
+    return {
+      image: {
+        src: srcUrl,
+        alt: img.alt || '',
+        caption: img.closest('figure')?.querySelector('figcaption')?.textContent.trim() || '',
+        base64: getImageBase64(img)
+      },
+      ...getSurroundingText(range)
+    };
+  }
+  
+  const selection = window.getSelection();
+  const text = selection.toString().trim();
+  if (!text || selection.rangeCount === 0) return null;
+  
+  return { selection: text, ...getSurroundingText(selection.getRangeAt(0)) };
+}
+
+/**
+ * Get the text just before and after a range, within the block that contains it
+ */
+function getSurroundingText(range) {
+  let block = range.commonAncestorContainer;
+  if (block.nodeType !== Node.ELEMENT_NODE) block = block.parentElement;
+  
+  // Climb until there is some text around the target, not just the target itself
+  const targetLength = range.toString().length;
+  while (block !== document.body && block.parentElement && block.textContent.length < targetLength + SURROUNDING_CHARS) {
+    block = block.parentElement;
+  }
+  
+  const before = document.createRange();
+  before.setStart(block, 0);
+  before.setEnd(range.startContainer, range.startOffset);
+  
+  const after = document.createRange();
+  after.setStart(range.endContainer, range.endOffset);
+  after.setEnd(block, block.childNodes.length);
+  
+  return {
+    before: before.toString().replace(/\s+/g, ' ').slice(-SURROUNDING_CHARS).trim(),
+    after: after.toString().replace(/\s+/g, ' ').slice(0, SURROUNDING_CHARS).trim()
+  };
+}
+
 // ============================================================================
 // MESSAGE HANDLING
 // ============================================================================
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Any frame can hold the selection - only a frame that has one answers
+  if (request.action === 'getSelectionContext') {
+    const context = getSelectionContext(request.srcUrl);
+    if (context) sendResponse(context);
+    return false;
+  }
+  
+  // Embedded frames only report their content (and selection, for the overlay) -
+  // the top frame answers for the page
+  if (!isTopFrame) {
+    if (request.action === 'reportFrameContent') {
+      reportFrameContent();
+    } else if (request.action === 'toggleOverlay') {
+      sendFrameSelection();
+    }
+    return false;
+  }
+  
+  // A selection in an embedded frame, for an overlay opened without one
+  if (request.action === 'frameSelection') {
+    if (isOverlayOpen() && !overlayFocus) setOverlayFocus(request.focus);
+    return false;
+  }
+  
+  if (request.action === 'frameContent') {
+    if (request.textContent) {
+      frameContents.set(request.frameId, { url: request.url, title: request.title, textContent: request.textContent });
+    } else {
+      frameContents.delete(request.frameId);
+    }
+    return false;
+  }
+  
   if (request.action === 'extractContent') {
-    // Return accumulated content (truncated for API)
+    // The popup may ask before the mutation observer has noticed a route change,
+    // and asks for a fresh pass with refresh (the /refresh command)
+    if (checkForRouteChange() || request.refresh) {
+      extractAllContent();
+    }
+    updateCompleteness();
+    
+    // Return accumulated content with embedded frames (truncated for API)
+    const content = withFrameContent(extractedContent);
     sendResponse({
-      ...extractedContent,
-      textContent: extractedContent.textContent.substring(0, 50000)
+      ...content,
+      textContent: content.textContent.substring(0, 50000)
     });
   }
   
   if (request.action === 'autoScroll') {
-    autoScrollPage().then(() => {
-      sendResponse({ success: true, message: 'Auto-scroll complete' });
+    autoScrollPage().then(result => {
+      sendResponse({ success: true, message: 'Auto-scroll complete', ...result });
     });
     return true;
   }
   
   if (request.action === 'getFullContent') {
-    sendResponse(extractedContent);
+    sendResponse(withFrameContent(extractedContent));
+  }
+  
+  if (request.action === 'toggleOverlay') {
+    toggleOverlay();
+    sendResponse({ success: true });
+  }
+  
+  if (request.action === 'getTables') {
+    sendResponse({ tables: getPageTables() });
+  }
+  
+  if (request.action === 'selectRegion') {
+    startRegionSelection();
+    sendResponse({ success: true });
+  }
+  
+  if (request.action === 'scrollToSource') {
+    sendResponse({ success: highlightSource(request.id) });
   }
   
   return true;
 });
+
+/**
+ * Listen for full-page captures from the popup
+ * The popup sends { action: 'start' } to begin and { action: 'stop' } to cancel;
+ * the port receives { type: 'progress' | 'done' | 'error' } messages back
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'capturePage' || !isTopFrame) return;
+  
+  let connected = true;
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+  
+  port.onMessage.addListener((message) => {
+    if (message.action === 'start') {
+      if (captureController) {
+        post({ type: 'error', error: 'A capture is already running on this page' });
+        return;
+      }
+      
+      const controller = new AbortController();
+      captureController = controller;
+      
+      autoScrollPage({
+        signal: controller.signal,
+        onProgress: progress => post({ type: 'progress', ...progress })
+      })
+        .then(result => post({ type: 'done', ...result }))
+        .catch(error => post({ type: 'error', error: error.message }))
+        .finally(() => {
+          if (captureController === controller) captureController = null;
+        });
+    }
+    
+    if (message.action === 'stop' && captureController) {
+      captureController.abort();
+    }
+  });
+  
+  // Popup closed - stop scrolling and restore the user's position
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    if (captureController) captureController.abort();
+  });
+});
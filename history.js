@@ -0,0 +1,390 @@
+/**
+ * History Page - Browse, search and delete the conversations PageSage has stored
+ * for every page
+ */
+
+// ============================================================================
+// DOM ELEMENT REFERENCES
+// ============================================================================
+
+const elements = {
+  searchInput: document.getElementById('searchInput'),
+  ageSelect: document.getElementById('ageSelect'),
+  deleteOldBtn: document.getElementById('deleteOldBtn'),
+  domainSelect: document.getElementById('domainSelect'),
+  deleteDomainBtn: document.getElementById('deleteDomainBtn'),
+  listStatus: document.getElementById('listStatus'),
+  chatList: document.getElementById('chatList'),
+  chatView: document.getElementById('chatView')
+};
+
+// Every stored chat ({ key, url, title, createdAt, updatedAt, messages, snapshot }), newest first
+let chats = [];
+let selectedKey = null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Characters shown around a search match in the list
+const SNIPPET_RADIUS = 60;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const { theme } = await chrome.storage.local.get('theme');
+    if (theme === 'dark') {
+      document.body.classList.add('dark-theme');
+    }
+  } catch (error) {
+    // Default to light theme
+  }
+  
+  elements.searchInput.addEventListener('input', () => {
+    renderList();
+    renderChat();
+  });
+  elements.deleteOldBtn.addEventListener('click', deleteOldChats);
+  elements.deleteDomainBtn.addEventListener('click', deleteDomainChats);
+  
+  elements.chatList.addEventListener('click', (e) => {
+    const item = e.target.closest('.chat-item');
+    if (item) {
+      selectChat(item.dataset.key);
+    }
+  });
+  
+  elements.chatView.addEventListener('click', (e) => {
+    const copyBtn = e.target.closest('.code-copy-btn');
+    if (copyBtn) {
+      copyCodeBlock(copyBtn);
+    }
+  });
+  
+  // Stay current while chats are added or deleted from the popup (every change updates the index)
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CHAT_INDEX_KEY]) {
+      loadChats();
+    }
+  });
+  
+  await loadChats();
+});
+
+// ============================================================================
+// LOADING AND SEARCH
+// ============================================================================
+
+/**
+ * Read every stored chat and refresh the page
+ */
+async function loadChats() {
+  try {
+    chats = await listChats();
+  } catch (error) {
+    chats = [];
+    elements.listStatus.textContent = 'Unable to load conversations: ' + error.message;
+    return;
+  }
+  
+  if (selectedKey && !chats.some(chat => chat.key === selectedKey)) {
+    selectedKey = null;
+  }
+  
+  updateDomainOptions();
+  renderList();
+  renderChat();
+}
+
+/**
+ * Split the search box into lowercase terms
+ * @returns {Array<string>}
+ */
+function getSearchTerms() {
+  return elements.searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Check whether a chat contains every search term in its title, URL or messages
+ * @param {Object} chat - Stored chat
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {boolean}
+ */
+function matchesSearch(chat, terms) {
+  const text = [chat.title, chat.url, ...chat.messages.map(msg => msg.content)]
+    .join('\n')
+    .toLowerCase();
+  return terms.every(term => text.includes(term));
+}
+
+/**
+ * Find the first message mentioning a search term and cut a snippet around it
+ * @param {Object} chat - Stored chat
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {string} - Snippet, or '' if only the title or URL matched
+ */
+function getSnippet(chat, terms) {
+  for (const msg of chat.messages) {
+    const content = msg.content || '';
+    const lower = content.toLowerCase();
+    const index = terms.map(term => lower.indexOf(term)).find(i => i >= 0);
+    if (index === undefined) continue;
+    
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(content.length, index + SNIPPET_RADIUS * 2);
+    return (start > 0 ? '...' : '') + content.substring(start, end).replace(/\s+/g, ' ') + (end < content.length ? '...' : '');
+  }
+  return '';
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Show the chats matching the search box
+ */
+function renderList() {
+  const terms = getSearchTerms();
+  const matches = terms.length > 0 ? chats.filter(chat => matchesSearch(chat, terms)) : chats;
+  
+  elements.listStatus.textContent = terms.length > 0
+    ? `${matches.length} of ${chats.length} conversations match`
+    : `${chats.length} ${chats.length === 1 ? 'conversation' : 'conversations'}`;
+  
+  elements.chatList.innerHTML = matches.map(chat => {
+    const snippet = terms.length > 0 ? getSnippet(chat, terms) : '';
+    const selected = chat.key === selectedKey ? ' selected' : '';
+    
+    return `<li class="chat-item${selected}" data-key="${escapeHtml(chat.key)}">
+      <div class="chat-item-title">${highlightTerms(chat.title || 'Untitled page', terms)}</div>
+      <div class="chat-item-url">${highlightTerms(chat.url || 'Unknown URL', terms)}</div>
+      <div class="chat-item-meta">${escapeHtml(formatTimestamp(chat.updatedAt))} · ${chat.messages.length} ${chat.messages.length === 1 ? 'message' : 'messages'}</div>
+      ${snippet ? `<div class="chat-item-snippet">${highlightTerms(snippet, terms)}</div>` : ''}
+    </li>`;
+  }).join('');
+}
+
+/**
+ * Open a chat from the list
+ * @param {string} key - Storage key of the chat
+ */
+function selectChat(key) {
+  selectedKey = key;
+  
+  elements.chatList.querySelectorAll('.chat-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.key === key);
+  });
+  
+  renderChat();
+}
+
+/**
+ * Show the selected chat: page details, the saved page snapshot and every message
+ */
+function renderChat() {
+  const chat = chats.find(c => c.key === selectedKey);
+  
+  if (!chat) {
+    elements.chatView.innerHTML = '<p class="chat-view-empty">Select a conversation to read it.</p>';
+    return;
+  }
+  
+  const terms = getSearchTerms();
+  const created = formatTimestamp(chat.createdAt);
+  const updated = formatTimestamp(chat.updatedAt);
+  
+  // Only web and file pages become links (never javascript: or data: URLs)
+  const url = escapeHtml(chat.url || '');
+  const urlHtml = /^(https?|file):/i.test(chat.url)
+    ? `<a class="chat-view-url" href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`
+    : `<span class="chat-view-url">${url}</span>`;
+  
+  const snapshotHtml = chat.snapshot?.text
+    ? `<details class="snapshot">
+        <summary>Page snapshot from ${escapeHtml(formatTimestamp(chat.snapshot.capturedAt))}</summary>
+        <div class="snapshot-text">${escapeHtml(chat.snapshot.text)}</div>
+      </details>`
+    : '<div class="snapshot">No page snapshot was saved with this conversation.</div>';
+  
+  const messagesHtml = chat.messages.map(msg => {
+    const meta = [msg.role === 'user' ? 'You' : 'PageSage', formatModel(msg.model), formatTimestamp(msg.timestamp)]
+      .filter(Boolean)
+      .join(' · ');
+    if (msg.role === 'user') {
+      return `<div class="message user"><div class="message-meta">${escapeHtml(meta)}</div>${highlightTerms(msg.content || '', terms)}</div>`;
+    }
+    
+    // Source tags like [s12] point into a page that may have changed since,
+    // while PDF page tags like [p3] still make sense as page references
+    const content = (msg.content || '')
+      .replace(/\s*\[s\d+(?:\s*,\s*s\d+)*\]/g, '')
+      .replace(/\[p(\d+(?:\s*,\s*p\d+)*)\]/g, (match, pages) => `(p. ${pages.replace(/p/g, '')})`);
+    return `<div class="message assistant"><div class="message-meta">${escapeHtml(meta)}</div>${renderMarkdown(content, html => markTerms(html, terms))}</div>`;
+  }).join('');
+  
+  elements.chatView.innerHTML = `
+    <div class="chat-view-header">
+      <div>
+        <div class="chat-view-title">${escapeHtml(chat.title || 'Untitled page')}</div>
+        ${urlHtml}
+        <div class="chat-view-meta">Started ${escapeHtml(created || 'unknown')} · Last updated ${escapeHtml(updated || 'unknown')}</div>
+      </div>
+      <button class="delete-btn" id="deleteChatBtn">Delete</button>
+    </div>
+    ${snapshotHtml}
+    ${messagesHtml}
+  `;
+  
+  document.getElementById('deleteChatBtn').addEventListener('click', () => {
+    if (confirm('Delete this conversation?')) {
+      removeChats([chat.key]);
+    }
+  });
+}
+
+/**
+ * Fill the domain picker with every site that has a stored chat
+ */
+function updateDomainOptions() {
+  const counts = new Map();
+  chats.forEach(chat => {
+    const domain = getDomain(chat.url);
+    counts.set(domain, (counts.get(domain) || 0) + 1);
+  });
+  
+  const previous = elements.domainSelect.value;
+  const domains = [...counts.keys()].sort();
+  
+  elements.domainSelect.innerHTML = domains.length > 0
+    ? domains.map(domain => `<option value="${escapeHtml(domain)}">${escapeHtml(domain || 'Unknown site')} (${counts.get(domain)})</option>`).join('')
+    : '<option value="">No sites</option>';
+  
+  if (domains.includes(previous)) {
+    elements.domainSelect.value = previous;
+  }
+  elements.deleteDomainBtn.disabled = domains.length === 0;
+}
+
+// ============================================================================
+// DELETION
+// ============================================================================
+
+/**
+ * Remove chats from storage (the storage listener refreshes the page)
+ * @param {Array<string>} keys - Storage keys to remove
+ */
+async function removeChats(keys) {
+  try {
+    await deleteChats(keys);
+  } catch (error) {
+    alert('Unable to delete: ' + error.message);
+  }
+}
+
+/**
+ * Delete every chat not updated within the selected number of days
+ */
+function deleteOldChats() {
+  const days = parseInt(elements.ageSelect.value);
+  const cutoff = Date.now() - days * DAY_MS;
+  
+  // Chats saved by older versions have no dates - treat them as old
+  const keys = chats.filter(chat => (chat.updatedAt || 0) < cutoff).map(chat => chat.key);
+  
+  if (keys.length === 0) {
+    alert(`No conversations older than ${days} days`);
+    return;
+  }
+  if (confirm(`Delete ${keys.length} ${keys.length === 1 ? 'conversation' : 'conversations'} older than ${days} days?`)) {
+    removeChats(keys);
+  }
+}
+
+/**
+ * Delete every chat from the selected site
+ */
+function deleteDomainChats() {
+  const domain = elements.domainSelect.value;
+  const keys = chats.filter(chat => getDomain(chat.url) === domain).map(chat => chat.key);
+  
+  if (keys.length > 0 && confirm(`Delete ${keys.length} ${keys.length === 1 ? 'conversation' : 'conversations'} from ${domain || 'unknown sites'}?`)) {
+    removeChats(keys);
+  }
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the site a chat belongs to
+ * @param {string} url - Page URL
+ * @returns {string} - Host name, or '' if the URL can't be parsed
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Escape HTML special characters to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Escape text and mark every occurrence of the search terms
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {string} - Escaped HTML
+ */
+function highlightTerms(text, terms) {
+  return markTerms(escapeHtml(text), terms);
+}
+
+/**
+ * Mark search terms in escaped HTML, leaving tags, entities and the Markdown
+ * renderer's placeholders alone
+ * @param {string} html - Escaped HTML
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {string} - HTML
+ */
+function markTerms(html, terms) {
+  if (terms.length === 0) return html;
+  
+  const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  return html.split(/(<[^>]*>|&[#\w]+;|\u0000\d+\u0000)/)
+    .map((part, i) => i % 2 === 1 ? part : part.replace(pattern, '<mark>$1</mark>'))
+    .join('');
+}
+
+/**
+ * Format a timestamp for display
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - Local date and time, or '' if unknown
+ */
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+/**
+ * Describe the model that wrote an answer
+ * @param {Object} [model] - { provider, name }
+ * @returns {string}
+ */
+function formatModel(model) {
+  return model ? `${model.provider} · ${model.name}` : '';
+}
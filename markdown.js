@@ -0,0 +1,499 @@
+/**
+ * Markdown Renderer - Turns model answers into safe HTML for the popup, the
+ * history page and HTML exports
+ * Everything from the model is escaped first; only the tags built here are
+ * emitted (no raw HTML, no images, links limited to http(s) and mailto)
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Stand-in for already-rendered HTML while the rest of a line is processed
+const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+
+// Keywords shared by the C-style languages (C, C++, C#, Java, Go, Rust, Swift, Kotlin, PHP...)
+const C_KEYWORDS = 'abstract as async await bool boolean break byte case catch char class const continue def default defer delete do double else enum export extends extern false final finally float fn for foreach func function go goto if impl implements import in int interface internal let long match mod mut namespace new nil null object operator override package private protected pub public return self short signed sizeof static struct super switch synchronized template this throw throws trait true try type typedef typeof uint union unsafe unsigned use using val var virtual void volatile when where while yield';
+
+const JS_KEYWORDS = 'as async await break case catch class const continue debugger default delete do else export extends false finally for from function get if import in instanceof interface let new null of return set static super switch this throw true try type typeof undefined var void while with yield';
+
+// Comment, string and keyword rules per language (aliases point at the same rules)
+const CODE_SYNTAX = {
+  js: { comments: ['//', '/*'], strings: ['"', "'", '`'], keywords: JS_KEYWORDS },
+  c: { comments: ['//', '/*'], strings: ['"', "'", '`'], keywords: C_KEYWORDS },
+  python: { comments: ['#'], strings: ['"""', "'''", '"', "'"], keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield' },
+  ruby: { comments: ['#'], strings: ['"', "'"], keywords: 'alias and begin break case class def defined do else elsif end ensure false for if in module next nil not or redo rescue retry return self super then true undef unless until when while yield' },
+  shell: { comments: ['#'], strings: ['"', "'"], keywords: 'case do done echo elif else esac exit export fi for function if in local read return set shift then unset until while' },
+  sql: { comments: ['--', '/*'], strings: ["'", '"'], caseInsensitive: true, keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists false from full group having in index inner insert into is join key left like limit not null offset on or order outer primary references right select set table then true union unique update values view when where with' },
+  json: { comments: [], strings: ['"'], keywords: 'true false null' },
+  css: { comments: ['/*'], strings: ['"', "'"], keywords: 'important inherit initial none auto' },
+  yaml: { comments: ['#'], strings: ['"', "'"], keywords: 'true false null yes no on off' },
+  html: { comments: ['<!--'], strings: ['"', "'"], tags: true }
+};
+
+const CODE_LANGUAGE_ALIASES = {
+  javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', ts: 'js', typescript: 'js', tsx: 'js',
+  cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cs: 'c', csharp: 'c', java: 'c', go: 'c', golang: 'c',
+  rust: 'c', rs: 'c', swift: 'c', kotlin: 'c', kt: 'c', php: 'c', dart: 'c', scala: 'c',
+  py: 'python', python3: 'python', rb: 'ruby',
+  sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', powershell: 'shell', ps1: 'shell',
+  postgres: 'sql', mysql: 'sql', sqlite: 'sql', jsonc: 'json', scss: 'css', less: 'css', yml: 'yaml',
+  xml: 'html', svg: 'html', vue: 'html'
+};
+
+// Regex source for the start of each comment style (up to its end)
+const COMMENT_PATTERNS = {
+  '//': '\\/\\/[^\\n]*',
+  '/*': '\\/\\*[\\s\\S]*?(?:\\*\\/|$)',
+  '#': '#[^\\n]*',
+  '--': '--[^\\n]*',
+  '<!--': '<!--[\\s\\S]*?(?:-->|$)'
+};
+
+// Compiled highlighting rules, built on first use
+const syntaxCache = new Map();
+
+// ============================================================================
+// BLOCKS
+// ============================================================================
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} text - Markdown from the model
+ * @param {Function} [formatText] - Extra formatting for escaped prose (not code), e.g. citation chips
+ * @returns {string} - HTML
+ */
+function renderMarkdown(text, formatText = html => html) {
+  const lines = String(text || '')
+    .replace(/\u0000/g, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+  return renderBlocks(lines, formatText);
+}
+
+/**
+ * Render a run of lines as block elements
+ * @param {Array<string>} lines - Markdown lines
+ * @param {Function} formatText - Extra formatting for escaped prose
+ * @returns {string} - HTML
+ */
+function renderBlocks(lines, formatText) {
+  const html = [];
+  let paragraph = [];
+  
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(line => renderInline(line.trim(), formatText)).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    
+    // Fenced code - an unclosed fence (still streaming) runs to the end
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    if (fence) {
+      flushParagraph();
+      const closing = new RegExp(`^\\s*${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      for (i++; i < lines.length && !closing.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      html.push(renderCodeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+    
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+    
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      flushParagraph();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2], formatText)}</h${level}>`);
+      continue;
+    }
+    
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      html.push('<hr>');
+      continue;
+    }
+    
+    if (/^\s{0,3}>/.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      for (; i < lines.length && /^\s{0,3}>/.test(lines[i]); i++) {
+        quoted.push(lines[i].replace(/^\s{0,3}> ?/, ''));
+      }
+      i--;
+      html.push(`<blockquote>${renderBlocks(quoted, formatText)}</blockquote>`);
+      continue;
+    }
+    
+    if (isTableStart(line, lines[i + 1])) {
+      flushParagraph();
+      const delimiter = lines[i + 1];
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+        rows.push(lines[i]);
+      }
+      i--;
+      html.push(renderTable(line, delimiter, rows, formatText));
+      continue;
+    }
+    
+    if (LIST_ITEM_PATTERN.test(line)) {
+      flushParagraph();
+      const list = renderList(lines, i, formatText);
+      html.push(list.html);
+      i = list.end - 1;
+      continue;
+    }
+    
+    paragraph.push(line);
+  }
+  
+  flushParagraph();
+  return html.join('');
+}
+
+/**
+ * Render a (possibly nested) list starting at a list item
+ * @param {Array<string>} lines - Markdown lines
+ * @param {number} start - Index of the first item
+ * @param {Function} formatText - Extra formatting for escaped prose
+ * @returns {Object} - { html, end } where end is the index after the list
+ */
+function renderList(lines, start, formatText) {
+  const first = lines[start].match(LIST_ITEM_PATTERN);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+  
+  const isSibling = (match) => match && match[1].length === indent && /\d/.test(match[2]) === ordered;
+  
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = line.match(LIST_ITEM_PATTERN);
+    
+    if (isSibling(match)) {
+      items.push([match[3]]);
+      i++;
+      continue;
+    }
+    
+    const lineIndent = line.match(/^\s*/)[0].length;
+    
+    if (!line.trim()) {
+      // A blank line only continues the list if more of it follows
+      const next = lines.slice(i + 1).find(l => l.trim());
+      const nextIndent = next ? next.match(/^\s*/)[0].length : 0;
+      if (next && (nextIndent > indent || isSibling(next.match(LIST_ITEM_PATTERN)))) {
+        items[items.length - 1].push('');
+        i++;
+        continue;
+      }
+      break;
+    }
+    
+    if (lineIndent <= indent) break;
+    
+    // Nested content: strip the parent item's indentation
+    items[items.length - 1].push(line.substring(Math.min(lineIndent, indent + 2)));
+    i++;
+  }
+  
+  const itemsHtml = items.map(itemLines => {
+    // Tight items read better without a paragraph around the first line
+    let content = renderBlocks(itemLines, formatText).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+    
+    const task = content.match(/^\[([ xX])\]\s/);
+    if (task) {
+      const checked = task[1] === ' ' ? '' : ' checked';
+      content = `<input type="checkbox" disabled${checked}> ` + content.substring(task[0].length);
+    }
+    return `<li>${content}</li>`;
+  }).join('');
+  
+  const startNumber = parseInt(first[2], 10);
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  
+  return {
+    html: ordered ? `<ol${startAttr}>${itemsHtml}</ol>` : `<ul>${itemsHtml}</ul>`,
+    end: i
+  };
+}
+
+/**
+ * Check for a GFM table: a header row followed by a delimiter row with the same number of cells
+ * @param {string} line - Possible header row
+ * @param {string} [nextLine] - Possible delimiter row
+ * @returns {boolean}
+ */
+function isTableStart(line, nextLine) {
+  if (!line.includes('|') || !nextLine || !TABLE_DELIMITER_PATTERN.test(nextLine) || !nextLine.includes('-')) {
+    return false;
+  }
+  return splitTableRow(line).length === splitTableRow(nextLine).length;
+}
+
+/**
+ * Render a GFM table
+ * @param {string} headerLine - Header row
+ * @param {string} delimiterLine - Row of dashes with optional alignment colons
+ * @param {Array<string>} rowLines - Body rows
+ * @param {Function} formatText - Extra formatting for escaped prose
+ * @returns {string} - HTML
+ */
+function renderTable(headerLine, delimiterLine, rowLines, formatText) {
+  const header = splitTableRow(headerLine);
+  const aligns = splitTableRow(delimiterLine).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+  });
+  
+  const renderRow = (cells, tag) => '<tr>' + header.map((unused, col) => {
+    const align = aligns[col] ? ` style="text-align: ${aligns[col]}"` : '';
+    return `<${tag}${align}>${renderInline(cells[col] || '', formatText)}</${tag}>`;
+  }).join('') + '</tr>';
+  
+  const body = rowLines.map(row => renderRow(splitTableRow(row), 'td')).join('');
+  
+  return `<div class="table-wrap"><table><thead>${renderRow(header, 'th')}</thead><tbody>${body}</tbody></table></div>`;
+}
+
+/**
+ * Split a table row into cells, ignoring pipes that are escaped or inside code
+ * @param {string} line - Table row
+ * @returns {Array<string>} - Trimmed cell text
+ */
+function splitTableRow(line) {
+  const row = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (ch === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (ch === '`') {
+      inCode = !inCode;
+      cell += ch;
+    } else if (ch === '|' && !inCode) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  
+  cells.push(cell.trim());
+  return cells;
+}
+
+// ============================================================================
+// INLINE FORMATTING
+// ============================================================================
+
+/**
+ * Render inline Markdown (code, math, links, emphasis) within one line
+ * @param {string} text - Markdown text
+ * @param {Function} formatText - Extra formatting for escaped prose
+ * @returns {string} - HTML
+ */
+function renderInline(text, formatText) {
+  const tokens = [];
+  const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+  
+  let html = text
+    // Code spans are taken literally
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => stash(`<code>${escapeMarkdownHtml(code.trim())}</code>`))
+    // So is math ($x^2$, $$a*b$$), so * and _ inside it aren't read as emphasis
+    .replace(/\$\$([\s\S]+?)\$\$/g, (match) => stash(`<span class="math">${escapeMarkdownHtml(match)}</span>`))
+    .replace(/(^|[^\w$\\])(\$[^\s$](?:[^$\n]*?[^\s$])?\$)(?![\w$])/g, (match, before, math) => before + stash(`<span class="math">${escapeMarkdownHtml(math)}</span>`))
+    // Backslash escapes
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~$<>])/g, (match, ch) => stash(escapeMarkdownHtml(ch)))
+    // Images become links - answers never load remote content
+    // Link targets may contain one level of parentheses (Wikipedia's Foo_(bar))
+    .replace(/!\[([^\]]*)\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, alt, url) => stash(renderLink(url, alt || url)))
+    .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => stash(renderLink(url, label)))
+    .replace(/<((?:https?|mailto):[^\s>]+)>/g, (match, url) => stash(renderLink(url, url)))
+    .replace(/(^|[\s(])(https?:\/\/(?:[^\s<>()\u0000]|\([^\s<>()\u0000]*\))*(?:[^\s<>().,;:!?'"\u0000]|\([^\s<>()\u0000]*\)))/g, (match, before, url) => before + stash(renderLink(url, url)));
+  
+  html = formatText(renderEmphasis(escapeMarkdownHtml(html)));
+  
+  // Stashed HTML can contain placeholders of its own (code inside link text)
+  while (html.includes('\u0000')) {
+    html = html.replace(PLACEHOLDER_PATTERN, (match, index) => tokens[index]);
+  }
+  return html;
+}
+
+/**
+ * Apply bold, italic and strikethrough to escaped text
+ * @param {string} html - Escaped text
+ * @returns {string} - HTML
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    // Single * and _ need text right inside them, so 2 * 3 * 4 and snake_case_names stay as they are
+    .replace(/(^|[^*\w])\*([^\s*](?:[^*]*?[^\s*])?)\*(?![*\w])/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^\s_](?:[^_]*?[^\s_])?)_(?![_\w])/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Build a link that opens in a new tab, or plain text if the URL isn't safe
+ * @param {string} url - Link target from the model
+ * @param {string} label - Link text (Markdown, rendered with emphasis)
+ * @returns {string} - HTML
+ */
+function renderLink(url, label) {
+  const labelHtml = renderEmphasis(escapeMarkdownHtml(label));
+  const href = getSafeUrl(url);
+  if (!href) return labelHtml;
+  
+  return `<a href="${escapeMarkdownHtml(href)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+}
+
+/**
+ * Check a link target against the allowed protocols
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - Normalized URL, or null for javascript:, data:, relative URLs...
+ */
+function getSafeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return SAFE_LINK_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdownHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// ============================================================================
+// CODE BLOCKS
+// ============================================================================
+
+/**
+ * Render a fenced code block with a language label and a copy button
+ * @param {string} code - Code
+ * @param {string} language - Info string from the fence (may be empty)
+ * @returns {string} - HTML
+ */
+function renderCodeBlock(code, language) {
+  const label = escapeMarkdownHtml(language || 'code');
+  return `<div class="code-block"><div class="code-block-header"><span>${label}</span>` +
+    '<button class="code-copy-btn" title="Copy code">Copy</button></div>' +
+    `<pre><code>${highlightCode(code, language)}</code></pre></div>`;
+}
+
+/**
+ * Highlight comments, strings, numbers and keywords in code
+ * @param {string} code - Code
+ * @param {string} language - Language name or alias
+ * @returns {string} - Escaped HTML with hl-* spans (plain escaped code for unknown languages)
+ */
+function highlightCode(code, language) {
+  const syntax = getSyntax(language);
+  if (!syntax) return escapeMarkdownHtml(code);
+  
+  let html = '';
+  let last = 0;
+  
+  for (const match of code.matchAll(syntax.pattern)) {
+    const [token, comment, string, number, word] = match;
+    let type = null;
+    if (comment) type = 'comment';
+    else if (string) type = 'string';
+    else if (number) type = 'number';
+    else if (word && (syntax.tags || syntax.keywords.has(syntax.caseInsensitive ? word.toLowerCase() : word))) type = 'keyword';
+    
+    html += escapeMarkdownHtml(code.slice(last, match.index));
+    html += type ? `<span class="hl-${type}">${escapeMarkdownHtml(token)}</span>` : escapeMarkdownHtml(token);
+    last = match.index + token.length;
+  }
+  
+  return html + escapeMarkdownHtml(code.slice(last));
+}
+
+/**
+ * Compile the highlighting rules for a language
+ * @param {string} language - Language name or alias
+ * @returns {Object|null} - { pattern, keywords, caseInsensitive, tags }
+ */
+function getSyntax(language) {
+  const name = (language || '').toLowerCase();
+  const id = CODE_SYNTAX[name] ? name : CODE_LANGUAGE_ALIASES[name];
+  if (!id) return null;
+  
+  if (!syntaxCache.has(id)) {
+    const rules = CODE_SYNTAX[id];
+    const comments = rules.comments.map(start => COMMENT_PATTERNS[start]);
+    const strings = rules.strings.map(quote => {
+      const q = quote.replace(/[`"']/g, ch => `\\${ch}`);
+      // Triple quotes can span lines; other strings stop at the end of the line
+      return quote.length === 3
+        ? `${q}[\\s\\S]*?(?:${q}|$)`
+        : `${q}(?:\\\\.|[^${q}\\\\\\n])*${q}?`;
+    });
+    const word = rules.tags ? '<\\/?[A-Za-z][\\w:-]*' : '[A-Za-z_$][\\w$]*';
+    
+    syntaxCache.set(id, {
+      pattern: new RegExp(
+        `(${comments.join('|') || '(?!)'})|(${strings.join('|')})|(\\b(?:0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)|(${word})`,
+        'g'
+      ),
+      keywords: new Set((rules.keywords || '').split(' ')),
+      caseInsensitive: Boolean(rules.caseInsensitive),
+      tags: Boolean(rules.tags)
+    });
+  }
+  
+  return syntaxCache.get(id);
+}
+
+/**
+ * Copy a rendered code block to the clipboard
+ * @param {HTMLElement} button - The block's copy button
+ */
+async function copyCodeBlock(button) {
+  const code = button.closest('.code-block')?.querySelector('code');
+  if (!code) return;
+  
+  try {
+    await navigator.clipboard.writeText(code.textContent);
+    button.textContent = 'Copied';
+  } catch (error) {
+    button.textContent = 'Failed';
+  }
+  setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+}
@@ -0,0 +1,1190 @@
+/**
+ * PDF Parser - Reads the text of a PDF, page by page
+ * Used by the popup for PDFs open in the browser's viewer, where the content
+ * script only sees an empty embed. Covers what most text PDFs use: compressed
+ * streams and object streams, ToUnicode maps, the standard single-byte encodings
+ * and Form XObjects. Encrypted PDFs are rejected, and scanned pages without a
+ * text layer come back empty, as does text in CID fonts that have no ToUnicode map
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Nested Form XObjects followed when collecting a page's text
+const PDF_MAX_FORM_DEPTH = 5;
+
+// Largest bfrange expanded from a ToUnicode map (guards against malformed ranges)
+const PDF_MAX_CMAP_RANGE = 0xffff;
+
+// Glyph width used when a font doesn't list one (thousandths of the font size)
+const PDF_DEFAULT_GLYPH_WIDTH = 500;
+
+const PDF_WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+
+// ( ) < > [ ] { } / %
+const PDF_DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+const PDF_NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+// Glyph names from font /Differences that aren't a single character or uniXXXX
+const PDF_GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}',
+  asciitilde: '~', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+  quotedblbase: '„', guillemotleft: '«', guillemotright: '»', endash: '–',
+  emdash: '—', bullet: '•', ellipsis: '…', dagger: '†', daggerdbl: '‡',
+  degree: '°', copyright: '©', registered: '®', trademark: '™',
+  minus: '−', multiply: '×', divide: '÷', plusminus: '±', section: '§',
+  paragraph: '¶', periodcentered: '·', exclamdown: '¡', questiondown: '¿',
+  sterling: '£', yen: '¥', cent: '¢', Euro: '€', mu: 'µ',
+  onehalf: '½', onequarter: '¼', threequarters: '¾', fraction: '⁄',
+  germandbls: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ',
+  oslash: 'ø', Oslash: 'Ø', dotlessi: 'ı', nbspace: ' ',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl'
+};
+
+// Accents in glyph names like "eacute" or "Udieresis", as combining marks
+const PDF_GLYPH_ACCENTS = {
+  acute: '́', grave: '̀', circumflex: '̂', tilde: '̃',
+  dieresis: '̈', ring: '̊', cedilla: '̧', caron: '̌'
+};
+
+// Base encodings, built on first use
+const pdfEncodingCache = new Map();
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+/**
+ * Extract the text of every page of a PDF
+ * @param {Uint8Array} bytes - PDF file
+ * @returns {Promise<Object>} - { title, pages } with one string per page (lines separated by \n)
+ */
+async function extractPdfText(bytes) {
+  const doc = await parsePdfDocument(bytes);
+  const fonts = new Map(); // font dict -> decoder, shared by pages using the same font
+  const pages = [];
+  
+  for (const page of getPdfPages(doc)) {
+    try {
+      const content = await getPageContentStream(doc, page.dict);
+      const text = await readContentStream(doc, content, page.resources, fonts, 0);
+      pages.push(cleanPageText(text));
+    } catch (error) {
+      // One unreadable page shouldn't lose the rest of the document
+      pages.push('');
+    }
+  }
+  
+  return { title: getPdfTitle(doc), pages };
+}
+
+/**
+ * Tidy the text collected from a page: collapse spacing, drop empty lines and
+ * rejoin words hyphenated across line breaks
+ * @param {string} text - Raw page text
+ * @returns {string}
+ */
+function cleanPageText(text) {
+  const lines = text.split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0);
+  
+  const joined = [];
+  for (const line of lines) {
+    const previous = joined[joined.length - 1];
+    if (previous && /[a-z]-$/.test(previous) && /^[a-z]/.test(line)) {
+      joined[joined.length - 1] = previous.slice(0, -1) + line;
+    } else {
+      joined.push(line);
+    }
+  }
+  return joined.join('\n');
+}
+
+// ============================================================================
+// DOCUMENT STRUCTURE
+// ============================================================================
+
+/**
+ * Find every object in the file. Objects are read in file order rather than
+ * through the xref table, so damaged tables don't matter and later revisions
+ * (incremental updates) replace earlier ones
+ * @param {Uint8Array} bytes - PDF file
+ * @returns {Promise<Object>} - { objects, trailer } (object number -> value, latest trailer dict)
+ */
+async function parsePdfDocument(bytes) {
+  const text = new TextDecoder('latin1').decode(bytes);
+  const header = text.indexOf('%PDF-');
+  if (header === -1 || header > 1024) {
+    throw new Error('the file is not a PDF');
+  }
+  
+  const objects = new Map();
+  const objectStreams = [];
+  let trailer = null;
+  
+  const objectPattern = /(\d+)\s+\d+\s+obj\b|trailer\s*<</g;
+  let match;
+  while ((match = objectPattern.exec(text))) {
+    const lexer = { bytes, pos: match.index + match[0].length, allowRefs: true };
+    
+    try {
+      if (!match[1]) {
+        lexer.pos -= 2;
+        trailer = mergeTrailer(trailer, readPdfObject(lexer));
+        continue;
+      }
+      
+      const value = readPdfObject(lexer);
+      const stream = value instanceof Map ? readStreamData(lexer, text, value) : null;
+      objects.set(Number(match[1]), stream || value);
+      
+      if (stream) {
+        const type = getPdfName(stream.dict.get('Type'));
+        if (type === 'ObjStm') objectStreams.push(stream);
+        // Cross-reference streams carry the trailer entries in PDF 1.5+
+        if (type === 'XRef') trailer = mergeTrailer(trailer, stream.dict);
+        
+        // Skip over the data so it can't be mistaken for objects
+        objectPattern.lastIndex = Math.max(objectPattern.lastIndex, lexer.pos);
+      }
+    } catch (error) {
+      // Damaged object - keep scanning from just after its header
+    }
+  }
+  
+  const doc = { objects, trailer };
+  for (const stream of objectStreams) {
+    await readObjectStream(doc, stream);
+  }
+  
+  if (trailer?.has('Encrypt')) {
+    throw new Error('it is encrypted');
+  }
+  return doc;
+}
+
+/**
+ * Read the data of a stream object whose dictionary was just parsed
+ * @param {Object} lexer - Lexer positioned after the dictionary
+ * @param {string} text - The file as a byte string (for finding "endstream")
+ * @param {Map} dict - Stream dictionary
+ * @returns {Object|null} - { dict, data }, or null if no stream follows the dictionary
+ */
+function readStreamData(lexer, text, dict) {
+  const start = lexer.pos;
+  const keyword = readPdfToken(lexer);
+  if (keyword?.op !== 'stream') {
+    lexer.pos = start;
+    return null;
+  }
+  
+  // The data starts after the end of the "stream" line (CRLF or LF)
+  if (lexer.bytes[lexer.pos] === 0x0d) lexer.pos++;
+  if (lexer.bytes[lexer.pos] === 0x0a) lexer.pos++;
+  const dataStart = lexer.pos;
+  
+  // Trust /Length only when "endstream" really follows it - it's often an
+  // indirect object further on, or simply wrong
+  const length = dict.get('Length');
+  let dataEnd = -1;
+  if (typeof length === 'number' && /^\s*endstream/.test(text.substring(dataStart + length, dataStart + length + 20))) {
+    dataEnd = dataStart + length;
+  } else {
+    dataEnd = text.indexOf('endstream', dataStart);
+    if (dataEnd === -1) dataEnd = text.length;
+    while (dataEnd > dataStart && PDF_WHITESPACE.has(lexer.bytes[dataEnd - 1])) dataEnd--;
+  }
+  
+  const end = text.indexOf('endstream', dataEnd);
+  lexer.pos = end === -1 ? text.length : end + 'endstream'.length;
+  return { dict, data: lexer.bytes.subarray(dataStart, dataEnd) };
+}
+
+/**
+ * Combine trailers in file order. Later ones win, but linearized files keep
+ * /Root and /Info in the first trailer only
+ * @param {Map|null} trailer - Trailer so far
+ * @param {*} dict - Trailer dictionary just read
+ * @returns {Map|null}
+ */
+function mergeTrailer(trailer, dict) {
+  if (!(dict instanceof Map)) return trailer;
+  return new Map([...(trailer || []), ...dict]);
+}
+
+/**
+ * Add the objects packed into an object stream (PDF 1.5+). Objects found
+ * outside object streams take precedence
+ * @param {Object} doc - Parsed document
+ * @param {Object} stream - Object stream
+ */
+async function readObjectStream(doc, stream) {
+  let data;
+  try {
+    data = await decodePdfStream(doc, stream);
+  } catch (error) {
+    return;
+  }
+  
+  const count = resolvePdfValue(doc, stream.dict.get('N')) || 0;
+  const first = resolvePdfValue(doc, stream.dict.get('First')) || 0;
+  const lexer = { bytes: data, pos: 0, allowRefs: false };
+  
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const number = readPdfToken(lexer);
+    const offset = readPdfToken(lexer);
+    if (typeof number !== 'number' || typeof offset !== 'number') break;
+    entries.push([number, offset]);
+  }
+  
+  lexer.allowRefs = true;
+  for (const [number, offset] of entries) {
+    if (doc.objects.has(number)) continue;
+    lexer.pos = first + offset;
+    try {
+      doc.objects.set(number, readPdfObject(lexer));
+    } catch (error) {
+      // Skip damaged entries
+    }
+  }
+}
+
+/**
+ * Follow indirect references to the object they point at
+ * @param {Object} doc - Parsed document
+ * @param {*} value - Any PDF value
+ * @returns {*} - The value itself, or the referenced object (undefined if missing)
+ */
+function resolvePdfValue(doc, value) {
+  // References to references are legal, but never nested deeply in practice
+  for (let i = 0; i < 10 && value?.ref !== undefined; i++) {
+    value = doc.objects.get(value.ref);
+  }
+  return value;
+}
+
+/**
+ * Get the name inside a PDF name value
+ * @param {*} value - PDF value
+ * @returns {string|null} - e.g. "FlateDecode" for /FlateDecode
+ */
+function getPdfName(value) {
+  return value?.name ?? null;
+}
+
+/**
+ * List the pages in reading order with the resources each one uses
+ * (resources can be inherited from any ancestor in the page tree)
+ * @param {Object} doc - Parsed document
+ * @returns {Array<Object>} - [{ dict, resources }]
+ */
+function getPdfPages(doc) {
+  let catalog = resolvePdfValue(doc, doc.trailer?.get('Root'));
+  if (!(catalog instanceof Map)) {
+    catalog = [...doc.objects.values()].reverse()
+      .find(value => value instanceof Map && getPdfName(value.get('Type')) === 'Catalog');
+  }
+  
+  const pages = [];
+  const visited = new Set();
+  const walk = (node, inherited) => {
+    if (!(node instanceof Map) || visited.has(node)) return;
+    visited.add(node);
+    
+    const resources = resolvePdfValue(doc, node.get('Resources')) || inherited;
+    const kids = resolvePdfValue(doc, node.get('Kids'));
+    if (Array.isArray(kids)) {
+      kids.forEach(kid => walk(resolvePdfValue(doc, kid), resources));
+    } else {
+      pages.push({ dict: node, resources });
+    }
+  };
+  walk(resolvePdfValue(doc, catalog?.get('Pages')), null);
+  
+  return pages;
+}
+
+/**
+ * Get the document title from its info dictionary
+ * @param {Object} doc - Parsed document
+ * @returns {string} - Title, or an empty string if it has none
+ */
+function getPdfTitle(doc) {
+  const info = resolvePdfValue(doc, doc.trailer?.get('Info'));
+  const title = info instanceof Map ? resolvePdfValue(doc, info.get('Title')) : null;
+  return title?.string ? decodePdfTextString(title.string).trim() : '';
+}
+
+/**
+ * Decode a text string (document info, outlines): UTF-16 with a byte order mark,
+ * UTF-8 with one, or PDFDocEncoding (close enough to Windows-1252)
+ * @param {Uint8Array} bytes - String bytes
+ * @returns {string}
+ */
+function decodePdfTextString(bytes) {
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  }
+  return new TextDecoder('windows-1252').decode(bytes);
+}
+
+// ============================================================================
+// STREAMS
+// ============================================================================
+
+/**
+ * Decode a stream's data through its filters
+ * @param {Object} doc - Parsed document
+ * @param {Object} stream - { dict, data }
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} - For filters that don't carry text (images) or aren't supported
+ */
+async function decodePdfStream(doc, stream) {
+  const filter = resolvePdfValue(doc, stream.dict.get('Filter'));
+  const filters = (Array.isArray(filter) ? filter : [filter])
+    .map(value => getPdfName(resolvePdfValue(doc, value)))
+    .filter(Boolean);
+  
+  let data = stream.data;
+  for (const name of filters) {
+    if (name === 'FlateDecode' || name === 'Fl') {
+      data = await inflatePdfData(data);
+    } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+      data = decodeAsciiHex(data);
+    } else if (name === 'ASCII85Decode' || name === 'A85') {
+      data = decodeAscii85(data);
+    } else {
+      throw new Error(`Unsupported stream filter: ${name}`);
+    }
+  }
+  return data;
+}
+
+/**
+ * Inflate zlib data, keeping whatever decodes before a corrupt or truncated end
+ * (common in PDFs that viewers still open fine)
+ * @param {Uint8Array} data - Compressed data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflatePdfData(data) {
+  try {
+    return await runDecompression(data, 'deflate');
+  } catch (error) {
+    // Some writers leave out the zlib header
+    return runDecompression(data, 'deflate-raw');
+  }
+}
+
+/**
+ * Run data through a DecompressionStream
+ * @param {Uint8Array} data - Compressed data
+ * @param {string} format - 'deflate' or 'deflate-raw'
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} - If nothing could be decompressed
+ */
+async function runDecompression(data, format) {
+  const reader = new Blob([data]).stream()
+    .pipeThrough(new DecompressionStream(format))
+    .getReader();
+  
+  const chunks = [];
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+  } catch (error) {
+    if (chunks.length === 0) throw error;
+  }
+  
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Decode ASCIIHexDecode data
+ * @param {Uint8Array} data - Hex digits, ending at ">"
+ * @returns {Uint8Array}
+ */
+function decodeAsciiHex(data) {
+  const text = new TextDecoder('latin1').decode(data);
+  const hex = text.split('>')[0].replace(/[^0-9a-fA-F]/g, '');
+  return hexToBytes(hex);
+}
+
+/**
+ * Decode ASCII85Decode data
+ * @param {Uint8Array} data - Base-85 text, ending at "~>"
+ * @returns {Uint8Array}
+ */
+function decodeAscii85(data) {
+  const text = new TextDecoder('latin1').decode(data)
+    .split('~>')[0]
+    .replace(/^<~/, '')
+    .replace(/\s+/g, '')
+    .replace(/z/g, '!!!!!');
+  
+  const output = [];
+  for (let i = 0; i < text.length; i += 5) {
+    const group = text.substring(i, i + 5);
+    // A short final group is padded with "u" and its extra bytes dropped
+    const padded = group.padEnd(5, 'u');
+    let value = 0;
+    for (const char of padded) {
+      value = value * 85 + (char.charCodeAt(0) - 33);
+    }
+    const bytes = [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    output.push(...bytes.slice(0, group.length - 1));
+  }
+  return new Uint8Array(output);
+}
+
+/**
+ * Convert hex digits to bytes (an odd final digit counts as if followed by 0)
+ * @param {string} hex - Hex digits
+ * @returns {Uint8Array}
+ */
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(Math.ceil(hex.length / 2));
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2).padEnd(2, '0'), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Get a page's content stream (pages may split it over several streams)
+ * @param {Object} doc - Parsed document
+ * @param {Map} page - Page dictionary
+ * @returns {Promise<Uint8Array>}
+ */
+async function getPageContentStream(doc, page) {
+  const contents = resolvePdfValue(doc, page.get('Contents'));
+  const streams = (Array.isArray(contents) ? contents : [contents])
+    .map(value => resolvePdfValue(doc, value))
+    .filter(value => value?.data);
+  
+  const parts = [];
+  for (const stream of streams) {
+    parts.push(await decodePdfStream(doc, stream));
+    // Operators may not run on from one stream into the next
+    parts.push(new Uint8Array([0x0a]));
+  }
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+}
+
+// ============================================================================
+// LEXER
+// ============================================================================
+
+/**
+ * Read the next token
+ * @param {Object} lexer - { bytes, pos, allowRefs }
+ * @returns {*} - Number, { name }, { string }, { op } for keywords and brackets,
+ *   true/false/null, or undefined at the end of the data
+ */
+function readPdfToken(lexer) {
+  const { bytes } = lexer;
+  skipPdfWhitespace(lexer);
+  if (lexer.pos >= bytes.length) return undefined;
+  
+  const byte = bytes[lexer.pos];
+  
+  if (byte === 0x2f) {
+    lexer.pos++;
+    return { name: readPdfName(lexer) };
+  }
+  if (byte === 0x28) {
+    lexer.pos++;
+    return { string: readLiteralString(lexer) };
+  }
+  if (byte === 0x3c && bytes[lexer.pos + 1] === 0x3c) {
+    lexer.pos += 2;
+    return { op: '<<' };
+  }
+  if (byte === 0x3e && bytes[lexer.pos + 1] === 0x3e) {
+    lexer.pos += 2;
+    return { op: '>>' };
+  }
+  if (byte === 0x3c) {
+    const end = bytes.indexOf(0x3e, lexer.pos);
+    const stop = end === -1 ? bytes.length : end;
+    const hex = new TextDecoder('latin1').decode(bytes.subarray(lexer.pos + 1, stop));
+    lexer.pos = stop + 1;
+    return { string: hexToBytes(hex.replace(/[^0-9a-fA-F]/g, '')) };
+  }
+  if (PDF_DELIMITERS.has(byte)) {
+    lexer.pos++;
+    return { op: String.fromCharCode(byte) };
+  }
+  
+  const start = lexer.pos;
+  while (lexer.pos < bytes.length && !PDF_WHITESPACE.has(bytes[lexer.pos]) && !PDF_DELIMITERS.has(bytes[lexer.pos])) {
+    lexer.pos++;
+  }
+  const word = new TextDecoder('latin1').decode(bytes.subarray(start, lexer.pos));
+  
+  if (PDF_NUMBER_PATTERN.test(word)) return parseFloat(word);
+  if (word === 'true') return true;
+  if (word === 'false') return false;
+  if (word === 'null') return null;
+  return { op: word };
+}
+
+/**
+ * Read a complete value: arrays and dictionaries are read whole, and
+ * "12 0 R" becomes a reference when the lexer allows them
+ * @param {Object} lexer - { bytes, pos, allowRefs }
+ * @returns {*} - Like readPdfToken, plus arrays, Maps (dictionaries) and { ref, gen }
+ */
+function readPdfObject(lexer) {
+  const token = readPdfToken(lexer);
+  
+  if (token?.op === '[') {
+    const array = [];
+    for (;;) {
+      const value = readPdfObject(lexer);
+      if (value === undefined || value?.op === ']') break;
+      array.push(value);
+    }
+    return array;
+  }
+  
+  if (token?.op === '<<') {
+    const dict = new Map();
+    for (;;) {
+      const key = readPdfObject(lexer);
+      if (key === undefined || key?.op === '>>') break;
+      if (key?.name === undefined) continue;
+      
+      const value = readPdfObject(lexer);
+      if (value === undefined || value?.op === '>>') break;
+      dict.set(key.name, value);
+    }
+    return dict;
+  }
+  
+  if (lexer.allowRefs && Number.isInteger(token)) {
+    const start = lexer.pos;
+    const generation = readPdfToken(lexer);
+    if (Number.isInteger(generation) && readPdfToken(lexer)?.op === 'R') {
+      return { ref: token, gen: generation };
+    }
+    lexer.pos = start;
+  }
+  
+  return token;
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {Object} lexer - { bytes, pos }
+ */
+function skipPdfWhitespace(lexer) {
+  const { bytes } = lexer;
+  while (lexer.pos < bytes.length) {
+    const byte = bytes[lexer.pos];
+    if (byte === 0x25) {
+      while (lexer.pos < bytes.length && bytes[lexer.pos] !== 0x0a && bytes[lexer.pos] !== 0x0d) {
+        lexer.pos++;
+      }
+    } else if (PDF_WHITESPACE.has(byte)) {
+      lexer.pos++;
+    } else {
+      break;
+    }
+  }
+}
+
+/**
+ * Read a name after its "/", decoding #xx escapes
+ * @param {Object} lexer - { bytes, pos }
+ * @returns {string}
+ */
+function readPdfName(lexer) {
+  const { bytes } = lexer;
+  const start = lexer.pos;
+  while (lexer.pos < bytes.length && !PDF_WHITESPACE.has(bytes[lexer.pos]) && !PDF_DELIMITERS.has(bytes[lexer.pos])) {
+    lexer.pos++;
+  }
+  const raw = new TextDecoder('latin1').decode(bytes.subarray(start, lexer.pos));
+  return raw.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Read a literal string after its "(": balanced parentheses, backslash escapes
+ * and octal codes
+ * @param {Object} lexer - { bytes, pos }
+ * @returns {Uint8Array}
+ */
+function readLiteralString(lexer) {
+  const { bytes } = lexer;
+  const output = [];
+  let depth = 1;
+  
+  while (lexer.pos < bytes.length) {
+    const byte = bytes[lexer.pos++];
+    
+    if (byte === 0x28) {
+      depth++;
+    } else if (byte === 0x29 && --depth === 0) {
+      break;
+    } else if (byte === 0x5c) {
+      const next = bytes[lexer.pos++];
+      const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+      
+      if (next in escapes) {
+        output.push(escapes[next]);
+      } else if (next >= 0x30 && next <= 0x37) {
+        let code = next - 0x30;
+        for (let i = 0; i < 2 && bytes[lexer.pos] >= 0x30 && bytes[lexer.pos] <= 0x37; i++) {
+          code = code * 8 + (bytes[lexer.pos++] - 0x30);
+        }
+        output.push(code & 0xff);
+      } else if (next === 0x0d) {
+        // Backslash at the end of a line continues the string
+        if (bytes[lexer.pos] === 0x0a) lexer.pos++;
+      } else if (next !== 0x0a && next !== undefined) {
+        output.push(next);
+      }
+      continue;
+    }
+    output.push(byte);
+  }
+  
+  return new Uint8Array(output);
+}
+
+// ============================================================================
+// CONTENT STREAMS
+// ============================================================================
+
+/**
+ * Collect the text drawn by a content stream. Line breaks come from the text
+ * position moving to another line, and spaces from gaps between runs of text
+ * or large TJ kerning offsets (many PDFs never draw a space character)
+ * @param {Object} doc - Parsed document
+ * @param {Uint8Array} data - Decoded content stream
+ * @param {Map|null} resources - Resources of the page or form
+ * @param {Map} fonts - Font decoder cache
+ * @param {number} depth - Form XObject nesting level
+ * @returns {Promise<string>}
+ */
+async function readContentStream(doc, data, resources, fonts, depth) {
+  const lexer = { bytes: data, pos: 0, allowRefs: false };
+  const output = [];
+  let operands = [];
+  
+  // Text state: font, size, spacing, and the text and line matrices
+  let font = null;
+  let fontSize = 1;
+  let charSpacing = 0;
+  let wordSpacing = 0;
+  let horizontalScale = 1;
+  let leading = 0;
+  let textMatrix = [1, 0, 0, 1, 0, 0];
+  let lineMatrix = [1, 0, 0, 1, 0, 0];
+  let lastEnd = null; // Where the previous run of text ended: { x, y }
+  
+  const lastChar = () => output.length > 0 ? output[output.length - 1].slice(-1) : '\n';
+  
+  const moveLine = (tx, ty) => {
+    const [a, b, c, d, e, f] = lineMatrix;
+    lineMatrix = [a, b, c, d, e + tx * a + ty * c, f + tx * b + ty * d];
+    textMatrix = lineMatrix.slice();
+  };
+  
+  const showText = (bytes) => {
+    if (!font) return;
+    
+    const scale = Math.hypot(textMatrix[2], textMatrix[3]) || 1;
+    const size = Math.abs(fontSize) * scale;
+    const x = textMatrix[4];
+    const y = textMatrix[5];
+    
+    // Moved to another line since the last run, or along it past a gap
+    if (lastEnd) {
+      if (Math.abs(y - lastEnd.y) > size * 0.5) {
+        if (lastChar() !== '\n') output.push('\n');
+      } else if (x - lastEnd.x > size * 0.15 && !/\s/.test(lastChar())) {
+        output.push(' ');
+      }
+    }
+    
+    let advance = 0;
+    for (const glyph of decodePdfGlyphs(font, bytes)) {
+      output.push(glyph.text);
+      advance += glyph.width / 1000 * fontSize + charSpacing + (glyph.isSpace ? wordSpacing : 0);
+    }
+    advance *= horizontalScale;
+    
+    const [a, b, c, d, e, f] = textMatrix;
+    textMatrix = [a, b, c, d, e + advance * a, f + advance * b];
+    lastEnd = { x: textMatrix[4], y: textMatrix[5] };
+  };
+  
+  for (;;) {
+    const token = readPdfObject(lexer);
+    if (token === undefined) break;
+    if (token?.op === undefined || token.op === '{' || token.op === '}') {
+      operands.push(token);
+      continue;
+    }
+    
+    switch (token.op) {
+      case 'BT':
+        textMatrix = [1, 0, 0, 1, 0, 0];
+        lineMatrix = [1, 0, 0, 1, 0, 0];
+        break;
+      case 'Tf':
+        font = await getPdfFont(doc, resources, getPdfName(operands[0]), fonts);
+        fontSize = typeof operands[1] === 'number' ? operands[1] : 1;
+        break;
+      case 'Tc':
+        charSpacing = operands[0] || 0;
+        break;
+      case 'Tw':
+        wordSpacing = operands[0] || 0;
+        break;
+      case 'Tz':
+        horizontalScale = (operands[0] ?? 100) / 100;
+        break;
+      case 'TL':
+        leading = operands[0] || 0;
+        break;
+      case 'Td':
+        moveLine(operands[0] || 0, operands[1] || 0);
+        break;
+      case 'TD':
+        leading = -(operands[1] || 0);
+        moveLine(operands[0] || 0, operands[1] || 0);
+        break;
+      case 'T*':
+        moveLine(0, -leading);
+        break;
+      case 'Tm':
+        if (operands.length >= 6) {
+          lineMatrix = operands.slice(0, 6);
+          textMatrix = lineMatrix.slice();
+        }
+        break;
+      case 'Tj':
+        if (operands[0]?.string) showText(operands[0].string);
+        break;
+      case "'":
+        moveLine(0, -leading);
+        if (operands[0]?.string) showText(operands[0].string);
+        break;
+      case '"':
+        wordSpacing = operands[0] || 0;
+        charSpacing = operands[1] || 0;
+        moveLine(0, -leading);
+        if (operands[2]?.string) showText(operands[2].string);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+          if (item?.string) {
+            showText(item.string);
+          } else if (typeof item === 'number') {
+            // Offsets are in thousandths of the font size, subtracted from the position
+            const shift = -item / 1000 * fontSize * horizontalScale;
+            const [a, b, c, d, e, f] = textMatrix;
+            textMatrix = [a, b, c, d, e + shift * a, f + shift * b];
+          }
+        }
+        break;
+      case 'Do':
+        if (depth < PDF_MAX_FORM_DEPTH) {
+          const text = await readFormXObject(doc, resources, getPdfName(operands[0]), fonts, depth);
+          if (text) output.push('\n', text, '\n');
+        }
+        break;
+      case 'ID':
+        skipInlineImage(lexer);
+        break;
+    }
+    operands = [];
+  }
+  
+  return output.join('');
+}
+
+/**
+ * Collect the text of a Form XObject drawn with Do (images are skipped)
+ * @param {Object} doc - Parsed document
+ * @param {Map|null} resources - Resources of the page or form that draws it
+ * @param {string|null} name - XObject resource name
+ * @param {Map} fonts - Font decoder cache
+ * @param {number} depth - Nesting level of the form that draws it
+ * @returns {Promise<string>}
+ */
+async function readFormXObject(doc, resources, name, fonts, depth) {
+  const xobjects = resolvePdfValue(doc, resources?.get('XObject'));
+  const xobject = xobjects instanceof Map ? resolvePdfValue(doc, xobjects.get(name)) : null;
+  if (!xobject?.data || getPdfName(xobject.dict.get('Subtype')) !== 'Form') return '';
+  
+  try {
+    const data = await decodePdfStream(doc, xobject);
+    const formResources = resolvePdfValue(doc, xobject.dict.get('Resources')) || resources;
+    return await readContentStream(doc, data, formResources, fonts, depth + 1);
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Skip the binary data of an inline image (BI ... ID data EI)
+ * @param {Object} lexer - Lexer positioned just after "ID"
+ */
+function skipInlineImage(lexer) {
+  const { bytes } = lexer;
+  // A single whitespace byte separates ID from the data
+  let pos = lexer.pos + 1;
+  
+  while (pos < bytes.length - 1) {
+    const endsHere = PDF_WHITESPACE.has(bytes[pos]) && bytes[pos + 1] === 0x45 && bytes[pos + 2] === 0x49 &&
+      (pos + 3 >= bytes.length || PDF_WHITESPACE.has(bytes[pos + 3]));
+    if (endsHere) break;
+    pos++;
+  }
+  lexer.pos = pos + 3;
+}
+
+// ============================================================================
+// FONTS
+// ============================================================================
+
+/**
+ * Get the decoder for a font resource
+ * @param {Object} doc - Parsed document
+ * @param {Map|null} resources - Resources in effect
+ * @param {string|null} name - Font resource name (e.g. "F1")
+ * @param {Map} fonts - Decoders already built, by font dictionary
+ * @returns {Promise<Object|null>} - Decoder for decodePdfGlyphs, or null if the font is missing
+ */
+async function getPdfFont(doc, resources, name, fonts) {
+  const fontResources = resolvePdfValue(doc, resources?.get('Font'));
+  const dict = fontResources instanceof Map ? resolvePdfValue(doc, fontResources.get(name)) : null;
+  if (!(dict instanceof Map)) return null;
+  
+  if (!fonts.has(dict)) {
+    fonts.set(dict, await createPdfFont(doc, dict));
+  }
+  return fonts.get(dict);
+}
+
+/**
+ * Build a font decoder: how many bytes each character code takes, what text
+ * each code stands for, and how wide each glyph is
+ * @param {Object} doc - Parsed document
+ * @param {Map} dict - Font dictionary
+ * @returns {Promise<Object>} - { isCid, codespace, toUnicode, encoding, widths, defaultWidth }
+ */
+async function createPdfFont(doc, dict) {
+  const isCid = getPdfName(dict.get('Subtype')) === 'Type0';
+  const font = {
+    isCid,
+    codespace: null,
+    toUnicode: null,
+    encoding: null,
+    widths: new Map(),
+    defaultWidth: PDF_DEFAULT_GLYPH_WIDTH
+  };
+  
+  const toUnicode = resolvePdfValue(doc, dict.get('ToUnicode'));
+  if (toUnicode?.data) {
+    try {
+      const cmap = parseToUnicodeCMap(await decodePdfStream(doc, toUnicode));
+      font.toUnicode = cmap.map;
+      font.codespace = cmap.codespace.length > 0 ? cmap.codespace : null;
+    } catch (error) {
+      // Fall back to the font's encoding
+    }
+  }
+  
+  if (isCid) {
+    const descendants = resolvePdfValue(doc, dict.get('DescendantFonts'));
+    const descendant = resolvePdfValue(doc, Array.isArray(descendants) ? descendants[0] : null);
+    if (descendant instanceof Map) {
+      font.defaultWidth = resolvePdfValue(doc, descendant.get('DW')) ?? 1000;
+      readCidWidths(doc, resolvePdfValue(doc, descendant.get('W')), font.widths);
+    }
+  } else {
+    font.encoding = getSimpleFontEncoding(doc, resolvePdfValue(doc, dict.get('Encoding')));
+    
+    const firstChar = resolvePdfValue(doc, dict.get('FirstChar')) || 0;
+    const widths = resolvePdfValue(doc, dict.get('Widths'));
+    if (Array.isArray(widths)) {
+      widths.forEach((width, i) => font.widths.set(firstChar + i, resolvePdfValue(doc, width)));
+    }
+    
+    const descriptor = resolvePdfValue(doc, dict.get('FontDescriptor'));
+    const missingWidth = descriptor instanceof Map ? resolvePdfValue(doc, descriptor.get('MissingWidth')) : null;
+    if (typeof missingWidth === 'number' && missingWidth > 0) {
+      font.defaultWidth = missingWidth;
+    }
+  }
+  
+  return font;
+}
+
+/**
+ * Read a CID font's /W array: "c [w1 w2 ...]" or "cFirst cLast w" entries
+ * @param {Object} doc - Parsed document
+ * @param {Array|undefined} entries - /W array
+ * @param {Map} widths - Widths by CID (filled in)
+ */
+function readCidWidths(doc, entries, widths) {
+  if (!Array.isArray(entries)) return;
+  
+  for (let i = 0; i < entries.length;) {
+    const first = resolvePdfValue(doc, entries[i]);
+    const next = resolvePdfValue(doc, entries[i + 1]);
+    
+    if (Array.isArray(next)) {
+      next.forEach((width, offset) => widths.set(first + offset, resolvePdfValue(doc, width)));
+      i += 2;
+    } else {
+      const width = resolvePdfValue(doc, entries[i + 2]);
+      for (let cid = first; cid <= next && cid - first <= PDF_MAX_CMAP_RANGE; cid++) {
+        widths.set(cid, width);
+      }
+      i += 3;
+    }
+  }
+}
+
+/**
+ * Split a string into character codes and decode them
+ * @param {Object} font - Font decoder from createPdfFont
+ * @param {Uint8Array} bytes - String bytes
+ * @returns {Array<Object>} - [{ text, width, isSpace }]
+ */
+function decodePdfGlyphs(font, bytes) {
+  const glyphs = [];
+  
+  for (let i = 0; i < bytes.length;) {
+    const length = getCodeLength(font, bytes, i);
+    let code = 0;
+    for (let k = 0; k < length; k++) {
+      code = code * 256 + (bytes[i + k] ?? 0);
+    }
+    i += length;
+    
+    let text = font.toUnicode?.get(code);
+    if (text === undefined) {
+      text = font.isCid ? '' : (font.encoding[code] ?? '');
+    }
+    
+    glyphs.push({
+      text,
+      width: font.widths.get(code) ?? font.defaultWidth,
+      // Word spacing only applies to the single-byte code 32
+      isSpace: length === 1 && code === 32
+    });
+  }
+  
+  return glyphs;
+}
+
+/**
+ * Number of bytes in the character code starting at a position, from the
+ * codespace ranges of the font's ToUnicode map (or 2 bytes for CID fonts, 1 otherwise)
+ * @param {Object} font - Font decoder
+ * @param {Uint8Array} bytes - String bytes
+ * @param {number} start - Position of the code
+ * @returns {number}
+ */
+function getCodeLength(font, bytes, start) {
+  if (font.codespace) {
+    let code = 0;
+    for (let length = 1; length <= 4 && start + length <= bytes.length; length++) {
+      code = code * 256 + bytes[start + length - 1];
+      const inRange = font.codespace.some(range => range.length === length && code >= range.low && code <= range.high);
+      if (inRange) return length;
+    }
+  }
+  return font.isCid ? 2 : 1;
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @param {Uint8Array} data - Decoded CMap stream
+ * @returns {Object} - { map, codespace }: code -> text, and [{ length, low, high }]
+ */
+function parseToUnicodeCMap(data) {
+  const text = new TextDecoder('latin1').decode(data);
+  const map = new Map();
+  const codespace = [];
+  
+  const sections = (name) => {
+    const pattern = new RegExp(`begin${name}([\\s\\S]*?)end${name}`, 'g');
+    return [...text.matchAll(pattern)].map(match => match[1].match(/<[0-9a-fA-F\s]*>|\[|\]/g) || []);
+  };
+  const hexOf = (token) => token.replace(/[<>\s]/g, '');
+  
+  for (const tokens of sections('codespacerange')) {
+    for (let i = 0; i + 1 < tokens.length; i += 2) {
+      const low = hexOf(tokens[i]);
+      codespace.push({ length: Math.max(1, low.length / 2), low: parseInt(low, 16), high: parseInt(hexOf(tokens[i + 1]), 16) });
+    }
+  }
+  
+  for (const tokens of sections('bfchar')) {
+    for (let i = 0; i + 1 < tokens.length; i += 2) {
+      map.set(parseInt(hexOf(tokens[i]), 16), hexToUnicode(hexOf(tokens[i + 1])));
+    }
+  }
+  
+  for (const tokens of sections('bfrange')) {
+    for (let i = 0; i + 2 < tokens.length;) {
+      const low = parseInt(hexOf(tokens[i]), 16);
+      const high = Math.min(parseInt(hexOf(tokens[i + 1]), 16), low + PDF_MAX_CMAP_RANGE);
+      
+      if (tokens[i + 2] === '[') {
+        // One destination per code
+        let j = i + 3;
+        for (let code = low; j < tokens.length && tokens[j] !== ']'; code++, j++) {
+          map.set(code, hexToUnicode(hexOf(tokens[j])));
+        }
+        i = j + 1;
+      } else {
+        // Consecutive codes map to consecutive characters
+        const start = hexToUnicode(hexOf(tokens[i + 2]));
+        const prefix = start.slice(0, -1);
+        const last = start.charCodeAt(start.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, prefix + String.fromCharCode(last + code - low));
+        }
+        i += 3;
+      }
+    }
+  }
+  
+  return { map, codespace };
+}
+
+/**
+ * Decode a CMap destination: UTF-16BE hex (one byte is treated as a character code)
+ * @param {string} hex - Hex digits
+ * @returns {string}
+ */
+function hexToUnicode(hex) {
+  if (hex.length <= 2) {
+    return String.fromCharCode(parseInt(hex || '0', 16));
+  }
+  
+  const units = [];
+  for (let i = 0; i < hex.length; i += 4) {
+    units.push(parseInt(hex.substring(i, i + 4), 16));
+  }
+  return String.fromCharCode(...units);
+}
+
+/**
+ * Build the code -> text table of a simple (single-byte) font from its base
+ * encoding and /Differences
+ * @param {Object} doc - Parsed document
+ * @param {*} encoding - /Encoding: a name, a dictionary or undefined
+ * @returns {Array<string>} - 256 entries
+ */
+function getSimpleFontEncoding(doc, encoding) {
+  const baseName = encoding instanceof Map
+    ? getPdfName(encoding.get('BaseEncoding'))
+    : getPdfName(encoding);
+  const table = getBaseEncoding(baseName).slice();
+  
+  const differences = encoding instanceof Map ? resolvePdfValue(doc, encoding.get('Differences')) : null;
+  if (Array.isArray(differences)) {
+    let code = 0;
+    for (const item of differences) {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (item?.name !== undefined && code < 256) {
+        table[code++] = glyphNameToUnicode(item.name);
+      }
+    }
+  }
+  
+  return table;
+}
+
+/**
+ * Get a base encoding table. WinAnsi is the default, since fonts without an
+ * explicit encoding are usually close to it
+ * @param {string|null} name - 'WinAnsiEncoding', 'MacRomanEncoding', 'StandardEncoding'...
+ * @returns {Array<string>} - 256 entries
+ */
+function getBaseEncoding(name) {
+  const key = name === 'MacRomanEncoding' || name === 'StandardEncoding' ? name : 'WinAnsiEncoding';
+  
+  if (!pdfEncodingCache.has(key)) {
+    let decoder;
+    try {
+      decoder = new TextDecoder(key === 'MacRomanEncoding' ? 'macintosh' : 'windows-1252');
+    } catch (error) {
+      decoder = new TextDecoder('windows-1252');
+    }
+    
+    const table = [];
+    for (let code = 0; code < 256; code++) {
+      table.push(code < 32 ? '' : decoder.decode(new Uint8Array([code])));
+    }
+    // StandardEncoding differs from ASCII in its quotes
+    if (key === 'StandardEncoding') {
+      table[0x27] = '’';
+      table[0x60] = '‘';
+    }
+    pdfEncodingCache.set(key, table);
+  }
+  
+  return pdfEncodingCache.get(key);
+}
+
+/**
+ * Turn a glyph name into text (e.g. "eacute" -> "é", "uni2014" -> "—", "f_f_i" -> "ffi")
+ * @param {string} name - Glyph name
+ * @returns {string} - Text, or an empty string for unknown names
+ */
+function glyphNameToUnicode(name) {
+  // Variants like "a.sc" or "one.oldstyle" are the same character
+  const base = name.split('.')[0];
+  if (base.includes('_')) {
+    return base.split('_').map(glyphNameToUnicode).join('');
+  }
+  
+  if (base in PDF_GLYPH_NAMES) return PDF_GLYPH_NAMES[base];
+  if (base.length === 1) return base;
+  
+  if (/^uni([0-9A-Fa-f]{4})+$/.test(base)) {
+    return hexToUnicode(base.substring(3));
+  }
+  if (/^u[0-9A-Fa-f]{4,6}$/.test(base)) {
+    return String.fromCodePoint(parseInt(base.substring(1), 16));
+  }
+  
+  const accented = base.match(/^([A-Za-z])(acute|grave|circumflex|tilde|dieresis|ring|cedilla|caron)$/);
+  if (accented) {
+    return (accented[1] + PDF_GLYPH_ACCENTS[accented[2]]).normalize('NFC');
+  }
+  return '';
+}
@@ -11,20 +11,41 @@ const elements = {
   // Page info elements
   pageTitle: document.getElementById('pageTitle'),
   pageUrl: document.getElementById('pageUrl'),
+  pageStatus: document.getElementById('pageStatus'),
+  captureBtn: document.getElementById('captureBtn'),
+  captureProgress: document.getElementById('captureProgress'),
+  captureProgressText: document.getElementById('captureProgressText'),
+  cancelCaptureBtn: document.getElementById('cancelCaptureBtn'),
   
   // Query elements
   queryInput: document.getElementById('queryInput'),
   sendBtn: document.getElementById('sendBtn'),
+  stopBtn: document.getElementById('stopBtn'),
+  slashMenu: document.getElementById('slashMenu'),
 
   // Chat elements
   chatMessages: document.getElementById('chatMessages'),
   clearChatBtn: document.getElementById('clearChatBtn'),
+  compareBtn: document.getElementById('compareBtn'),
+  screenshotBtn: document.getElementById('screenshotBtn'),
+  extractBtn: document.getElementById('extractBtn'),
+  exportBtn: document.getElementById('exportBtn'),
+  historyBtn: document.getElementById('historyBtn'),
+  regionBtn: document.getElementById('regionBtn'),
+  tabPicker: document.getElementById('tabPicker'),
+  
+  // Selection/image from the context menu
+  focusBar: document.getElementById('focusBar'),
+  focusText: document.getElementById('focusText'),
+  focusImage: document.getElementById('focusImage'),
+  clearFocusBtn: document.getElementById('clearFocusBtn'),
   
   // Settings elements
   settingsBtn: document.getElementById('settingsBtn'),
   settingsPanel: document.getElementById('settingsPanel'),
   closeSettings: document.getElementById('closeSettings'),
   popoutBtn: document.getElementById('popoutBtn'),
+  sidePanelBtn: document.getElementById('sidePanelBtn'),
   themeBtn: document.getElementById('themeBtn'),
   modelSelect: document.getElementById('modelSelect'),
   apiKeyInput: document.getElementById('apiKeyInput'),
@@ -32,8 +53,54 @@ const elements = {
   apiKeyNote: document.getElementById('apiKeyNote'),
   saveSettings: document.getElementById('saveSettings'),
   
-  // Quick action buttons
-  quickBtns: document.querySelectorAll('.quick-btn')
+  // Per-provider generation settings
+  modelInput: document.getElementById('modelInput'),
+  modelList: document.getElementById('modelList'),
+  listModelsBtn: document.getElementById('listModelsBtn'),
+  temperatureInput: document.getElementById('temperatureInput'),
+  maxTokensInput: document.getElementById('maxTokensInput'),
+  systemPromptInput: document.getElementById('systemPromptInput'),
+  selectionActionsInput: document.getElementById('selectionActionsInput'),
+  
+  // Custom endpoint settings elements
+  customSettings: document.getElementById('customSettings'),
+  customBaseUrlInput: document.getElementById('customBaseUrlInput'),
+  customHeadersInput: document.getElementById('customHeadersInput'),
+  
+  // Structured extraction panel
+  extractPanel: document.getElementById('extractPanel'),
+  closeExtract: document.getElementById('closeExtract'),
+  extractSchemaInput: document.getElementById('extractSchemaInput'),
+  extractListInput: document.getElementById('extractListInput'),
+  extractRunBtn: document.getElementById('extractRunBtn'),
+  extractTablesBtn: document.getElementById('extractTablesBtn'),
+  extractStatus: document.getElementById('extractStatus'),
+  extractResults: document.getElementById('extractResults'),
+  
+  // Chat export panel
+  exportPanel: document.getElementById('exportPanel'),
+  closeExport: document.getElementById('closeExport'),
+  exportScopeSelect: document.getElementById('exportScopeSelect'),
+  exportFormatBtns: document.querySelectorAll('.export-format-btn'),
+  importFileInput: document.getElementById('importFileInput'),
+  exportStatus: document.getElementById('exportStatus'),
+  
+  // Quick actions and the prompt library panel
+  quickActions: document.getElementById('quickActions'),
+  promptsPanel: document.getElementById('promptsPanel'),
+  closePrompts: document.getElementById('closePrompts'),
+  promptList: document.getElementById('promptList'),
+  addPromptBtn: document.getElementById('addPromptBtn'),
+  promptEditor: document.getElementById('promptEditor'),
+  promptLabelInput: document.getElementById('promptLabelInput'),
+  promptTemplateInput: document.getElementById('promptTemplateInput'),
+  promptSummarizeInput: document.getElementById('promptSummarizeInput'),
+  savePromptBtn: document.getElementById('savePromptBtn'),
+  cancelPromptBtn: document.getElementById('cancelPromptBtn'),
+  exportPromptsBtn: document.getElementById('exportPromptsBtn'),
+  resetPromptsBtn: document.getElementById('resetPromptsBtn'),
+  importPromptsInput: document.getElementById('importPromptsInput'),
+  promptsStatus: document.getElementById('promptsStatus')
 };
 
 // Store extracted page content
@@ -42,6 +109,19 @@ let pageContent = null;
 // Chat state management
 let chatHistory = []; // Array of {role: 'user'|'assistant', content: string}
 let currentPageUrl = null; // For per-page chat persistence
+let currentTabId = null; // Tab the page content comes from
+let activeStreamPort = null; // Port of the in-flight streaming query, if any
+let activeCapturePort = null; // Port of the running full-page capture, if any
+let pageLoadId = 0; // Incremented on every page switch so stale loads are dropped
+let focusContext = null; // Selection or image picked from the context menu, if any
+let compareTabIds = new Set(); // Other tabs included in multi-tab questions
+let quickActions = []; // Prompt library: [{ label, template, mode }]
+let editingPromptIndex = null; // Quick action open in the editor (-1 for a new one)
+
+// Where the UI is running: the action popup, a pop-out window (?tabId=) or the side panel (?mode=sidepanel)
+const urlParams = new URLSearchParams(window.location.search);
+const standaloneTabId = urlParams.get('tabId');
+const isSidePanel = urlParams.get('mode') === 'sidepanel';
 
 // Model configuration info
 const MODEL_CONFIG = {
@@ -68,6 +148,13 @@ const MODEL_CONFIG = {
     placeholder: 'xai-...',
     note: 'Get your API key from <a href="https://console.x.ai" target="_blank">xAI Console</a><br><strong>Note:</strong> Check pricing at x.ai',
     prefix: 'xai-'
+  },
+  custom: {
+    label: 'API Key (optional)',
+    placeholder: 'Leave empty for local servers',
+    note: 'Any OpenAI-compatible server: Ollama, LM Studio, llama.cpp server or an internal gateway.<br><strong>Ollama:</strong> start it with <code>OLLAMA_ORIGINS=chrome-extension://*</code>',
+    prefix: '',
+    apiKeyOptional: true
   }
 };
 
@@ -79,11 +166,18 @@ const MODEL_CONFIG = {
  * Initialize the popup when DOM is loaded
  */
 document.addEventListener('DOMContentLoaded', async () => {
-  // Check if we're in standalone window mode
-  const urlParams = new URLSearchParams(window.location.search);
-  if (urlParams.get('tabId')) {
-    // Hide pop-out button in standalone mode
+  // Hide pop-out and side panel buttons when already in a window or the side panel
+  if (standaloneTabId || isSidePanel) {
     elements.popoutBtn.style.display = 'none';
+    elements.sidePanelBtn.style.display = 'none';
+  }
+  if (isSidePanel) {
+    document.body.classList.add('side-panel');
+  }
+  
+  // Side panel isn't available before Chrome 114
+  if (!chrome.sidePanel) {
+    elements.sidePanelBtn.style.display = 'none';
   }
   
   // Load saved theme preference
@@ -95,8 +189,17 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load saved API key
   await loadSavedApiKey();
   
+  // Render quick actions from the prompt library
+  await loadQuickActions();
+  
   // Set up event listeners
   setupEventListeners();
+  
+  // Keep the side panel / pop-out window in sync with the page it shows
+  setupTabFollowing();
+  
+  // Pick up selections sent from the context menu (now, and while open)
+  setupPendingContext();
 });
 
 /**
@@ -104,73 +207,266 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 async function loadCurrentPageInfo() {
   try {
-    // Check if we're in standalone window mode (tab ID passed via URL)
-    const urlParams = new URLSearchParams(window.location.search);
-    const passedTabId = urlParams.get('tabId');
-    
     let tab;
-    if (passedTabId) {
+    if (standaloneTabId) {
       // Standalone window mode - use the passed tab ID
-      tab = await chrome.tabs.get(parseInt(passedTabId));
+      tab = await chrome.tabs.get(parseInt(standaloneTabId));
     } else {
-      // Normal popup mode - get active tab
+      // Popup and side panel - get the active tab of this window
       [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     }
     
     if (tab) {
-      // Display page info
-      elements.pageTitle.textContent = tab.title || 'Unknown Page';
-      elements.pageUrl.textContent = tab.url || '';
-      
-      // Store current page URL for chat persistence
-      currentPageUrl = tab.url;
-      
-      // Load chat history for this page
-      await loadChatHistory();
-      
-      // Extract content from the page
-      await extractPageContent(tab.id);
+      await loadTabInfo(tab);
+    }
+  } catch (error) {
+    elements.pageTitle.textContent = 'Error loading page';
+    elements.pageUrl.textContent = error.message;
+  }
+}
+
+/**
+ * Show a tab's page info, extract its content and load its chat
+ * @param {chrome.tabs.Tab} tab - Tab to load
+ */
+async function loadTabInfo(tab) {
+  const loadId = ++pageLoadId;
+  
+  // Display page info
+  elements.pageTitle.textContent = tab.title || 'Unknown Page';
+  elements.pageUrl.textContent = tab.url || '';
+  
+  // A capture belongs to the page it started on
+  cancelCapture();
+  
+  currentTabId = tab.id;
+  pageContent = null;
+  updatePageStatus();
+  
+  // Extract content from the page
+  await extractPageContent(tab.id);
+  
+  // Another tab was selected while this one was extracting
+  if (loadId !== pageLoadId) return;
+  
+  // Store current page URL for chat persistence - the content script reports the
+  // current route, so single-page apps get one chat per route (not per #anchor)
+  currentPageUrl = pageContent?.url || tab.url;
+  
+  // Load chat history for this page
+  await loadChatHistory();
+}
+
+/**
+ * Follow tab switches (side panel) and navigations (side panel and pop-out window),
+ * swapping the page content and chat history to match
+ */
+function setupTabFollowing() {
+  // The action popup closes when the user leaves the page, so there's nothing to follow
+  if (!isSidePanel && !standaloneTabId) return;
+  
+  let followTimeout = null;
+  
+  if (isSidePanel) {
+    chrome.windows.getCurrent().then(panelWindow => {
+      chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+        if (windowId !== panelWindow.id || tabId === currentTabId) return;
+        
+        try {
+          switchToTab(await chrome.tabs.get(tabId));
+        } catch (error) {
+          // Tab closed before it could be loaded
+        }
+      });
+    });
+  }
+  
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tabId !== currentTabId) return;
+    
+    // Full loads: wait until the content script is in place. SPA route changes
+    // only report a new URL, with the document already complete
+    const loaded = changeInfo.status === 'complete';
+    const routeChanged = changeInfo.url && tab.status === 'complete';
+    
+    // Same page, another #anchor (in-page links, PDF citation chips jumping to #page=)
+    if (routeChanged && !loaded && normalizeChatUrl(changeInfo.url) === normalizeChatUrl(currentPageUrl)) return;
+    
+    if (loaded || routeChanged) {
+      // Give the new route a moment to render before extracting it
+      clearTimeout(followTimeout);
+      followTimeout = setTimeout(() => switchToTab(tab), loaded ? 0 : 500);
+    } else if (changeInfo.title) {
+      elements.pageTitle.textContent = changeInfo.title;
     }
+  });
+}
+
+/**
+ * Replace the current page and chat with another tab's
+ * @param {chrome.tabs.Tab} tab - Tab to switch to
+ */
+async function switchToTab(tab) {
+  // A streaming answer keeps going in the background and is saved to the previous
+  // page's chat (see handleSendQuery) - this page starts with Send enabled
+  activeStreamPort = null;
+  setStreamingState(false);
+  
+  elements.chatMessages.innerHTML = '';
+  chatHistory = [];
+  currentPageUrl = null;
+  setFocusContext(null);
+  compareTabIds.clear();
+  updateCompareButton();
+  elements.tabPicker.style.display = 'none';
+  
+  try {
+    await loadTabInfo(tab);
   } catch (error) {
     elements.pageTitle.textContent = 'Error loading page';
     elements.pageUrl.textContent = error.message;
   }
 }
 
+/**
+ * Listen for selections handed over by the background's context menu handler
+ */
+async function setupPendingContext() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes.pendingContext?.newValue) {
+      consumePendingContext();
+    }
+  });
+  
+  await consumePendingContext();
+}
+
+/**
+ * Use a pending context menu selection for this tab: run its action, or wait for a question
+ */
+async function consumePendingContext() {
+  try {
+    const { pendingContext } = await chrome.storage.session.get('pendingContext');
+    if (!pendingContext || pendingContext.tabId !== currentTabId || pendingContext.expiresAt < Date.now()) {
+      return;
+    }
+    await chrome.storage.session.remove('pendingContext');
+    
+    setFocusContext(pendingContext.focus);
+    
+    if (pendingContext.prompt) {
+      elements.queryInput.value = pendingContext.prompt;
+      await handleSendQuery();
+    } else {
+      elements.queryInput.focus();
+    }
+  } catch (error) {
+    // Session storage unavailable
+  }
+}
+
+/**
+ * Set (or clear) the selection or image that questions are about
+ * @param {Object|null} focus - { selection, before, after } or { image, before, after }
+ */
+function setFocusContext(focus) {
+  focusContext = focus;
+  
+  // Thumbnail for screenshots and images that could be read
+  if (focus?.image?.base64) {
+    elements.focusImage.src = focus.image.base64;
+    elements.focusImage.style.display = 'block';
+  } else {
+    elements.focusImage.removeAttribute('src');
+    elements.focusImage.style.display = 'none';
+  }
+  
+  if (!focus) {
+    elements.focusBar.style.display = 'none';
+    elements.queryInput.placeholder = 'Ask anything about this page, or type / for commands';
+    return;
+  }
+  
+  elements.focusText.textContent = focus.image
+    ? `🖼️ ${focus.image.alt || focus.image.caption || focus.image.src}`
+    : `"${focus.selection}"`;
+  elements.focusText.title = focus.image ? focus.image.src : focus.selection;
+  elements.focusBar.style.display = 'flex';
+  elements.queryInput.placeholder = focus.image ? 'Ask about this image...' : 'Ask about the selection...';
+}
+
 /**
  * Extract content from the current page using content script
  * @param {number} tabId - ID of the tab to extract content from
+ * @param {Object} [options] - { refresh: true } to run a fresh extraction pass first
+ */
+async function extractPageContent(tabId, options = {}) {
+  let response = null;
+  try {
+    response = await requestPageContent(tabId, options);
+  } catch (error) {
+    addChatMessage(`Unable to read this PDF: ${error.message}`, 'error');
+  }
+  
+  if (response) {
+    pageContent = response;
+  }
+  updatePageStatus();
+}
+
+/**
+ * Get a tab's extracted content: PDFs are read by the popup itself, other
+ * pages by the content script
+ * @param {number} tabId - ID of the tab to extract content from
+ * @param {Object} [options] - { refresh: true } to run a fresh extraction pass first
+ * @returns {Promise<Object|null>} - Page content, or null if the tab can't be read
+ * @throws {Error} - If the tab shows a PDF that can't be read
  */
-async function extractPageContent(tabId) {
+async function requestPageContent(tabId, options = {}) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (tab && isPdfUrl(tab.url)) {
+    return getPdfContent(tab, options);
+  }
+  
+  const response = await requestContentScript(tabId, options);
+  
+  // PDFs served from URLs without a .pdf extension are recognized by the viewer's content type
+  if (tab && response?.contentType === 'application/pdf') {
+    return getPdfContent(tab, options);
+  }
+  return response;
+}
+
+/**
+ * Ask a tab's content script for its extracted content, injecting it if needed
+ * @param {number} tabId - ID of the tab to extract content from
+ * @param {Object} [options] - { refresh: true } to run a fresh extraction pass first
+ * @returns {Promise<Object|null>} - Page content, or null if the tab can't be read
+ */
+async function requestContentScript(tabId, options = {}) {
   try {
     // Send message to content script to extract content
-    const response = await chrome.tabs.sendMessage(tabId, { action: 'extractContent' });
-    
-    if (response) {
-      pageContent = response;
-    }
+    return await chrome.tabs.sendMessage(tabId, { action: 'extractContent', ...options });
   } catch (error) {
     
     // If content script is not loaded, inject it first
     try {
       await chrome.scripting.executeScript({
-        target: { tabId: tabId },
+        target: { tabId: tabId, allFrames: true },
         files: ['content.js']
       });
       
       // Try again after injection
-      const response = await chrome.tabs.sendMessage(tabId, { action: 'extractContent' });
-      if (response) {
-        pageContent = response;
-      }
+      return await chrome.tabs.sendMessage(tabId, { action: 'extractContent', ...options });
     } catch (injectionError) {
       // Content script injection failed
+      return null;
     }
   }
 }
 
 /**
- * Load saved API key and model from storage
+ * Load saved provider and its settings from storage
  */
 async function loadSavedApiKey() {
   try {
@@ -182,10 +478,12 @@ async function loadSavedApiKey() {
       }
       // Update UI for selected model
       updateApiKeyUI(elements.modelSelect.value);
-      // Set API key if available for selected model
-      if (response.apiKey) {
-        elements.apiKeyInput.value = response.apiKey;
-      }
+      fillProviderSettings(response.settings, response.defaults);
+    }
+    
+    const actionsResponse = await chrome.runtime.sendMessage({ action: 'getSelectionActions' });
+    if (actionsResponse.success) {
+      elements.selectionActionsInput.value = formatSelectionActions(actionsResponse.actions);
     }
   } catch (error) {
     // Settings load failed
@@ -202,6 +500,134 @@ function updateApiKeyUI(model) {
     elements.apiKeyInput.placeholder = config.placeholder;
     elements.apiKeyNote.innerHTML = config.note;
   }
+  
+  // Endpoint and headers only apply to the custom provider
+  elements.customSettings.style.display = model === 'custom' ? 'block' : 'none';
+}
+
+/**
+ * Fill the settings form with one provider's stored settings
+ * @param {Object} settings - { apiKey, model, temperature, maxTokens, systemPrompt, baseUrl, headers }
+ * @param {Object} defaults - Provider defaults { model, models, temperature, maxTokens, systemPrompt }
+ */
+function fillProviderSettings(settings, defaults) {
+  elements.apiKeyInput.value = settings.apiKey || '';
+  elements.modelInput.value = settings.model || '';
+  elements.modelInput.placeholder = defaults.model || 'Model name';
+  elements.temperatureInput.value = settings.temperature;
+  elements.maxTokensInput.value = settings.maxTokens;
+  elements.systemPromptInput.value = settings.systemPrompt || '';
+  elements.systemPromptInput.placeholder = defaults.systemPrompt;
+  elements.customBaseUrlInput.value = settings.baseUrl || '';
+  elements.customHeadersInput.value = formatHeaders(settings.headers);
+  setModelOptions(defaults.models);
+}
+
+/**
+ * Replace the model dropdown suggestions
+ * @param {string[]} models - Model IDs
+ */
+function setModelOptions(models) {
+  elements.modelList.innerHTML = '';
+  (models || []).forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    elements.modelList.appendChild(option);
+  });
+}
+
+/**
+ * Fetch the model list from the selected provider's API into the model dropdown
+ */
+async function loadProviderModels() {
+  const headers = parseHeaders(elements.customHeadersInput.value);
+  if (!headers) {
+    alert('Invalid headers. Use one "Name: value" pair per line.');
+    return;
+  }
+  
+  elements.listModelsBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'listModels',
+      model: elements.modelSelect.value,
+      baseUrl: elements.customBaseUrlInput.value,
+      apiKey: elements.apiKeyInput.value.trim(),
+      headers: headers
+    });
+    
+    if (response.success) {
+      setModelOptions(response.models);
+      if (!elements.modelInput.value) {
+        elements.modelInput.value = response.models[0];
+      }
+      // Open the suggestions so the user can pick a model
+      elements.modelInput.focus();
+    } else {
+      alert('Failed to load models: ' + response.error);
+    }
+  } catch (error) {
+    alert('Error loading models: ' + error.message);
+  } finally {
+    elements.listModelsBtn.disabled = false;
+  }
+}
+
+/**
+ * Parse "Name: value" lines into a headers object
+ * @param {string} text - Raw textarea contents
+ * @returns {Object|null} - Headers object, or null if a line is malformed
+ */
+function parseHeaders(text) {
+  const headers = {};
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return null;
+    headers[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+  }
+  
+  return headers;
+}
+
+/**
+ * Format a headers object as "Name: value" lines
+ * @param {Object} headers - Headers object
+ * @returns {string} - Text for the headers textarea
+ */
+function formatHeaders(headers) {
+  return Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+}
+
+/**
+ * Parse "Title: prompt" lines into selection actions
+ * @param {string} text - One action per line
+ * @returns {Array|null} - [{ title, prompt }], or null if a line is malformed
+ */
+function parseSelectionActions(text) {
+  const actions = [];
+  
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    
+    const match = line.match(/^([^:]+):\s*(.+)$/);
+    if (!match) return null;
+    actions.push({ title: match[1].trim(), prompt: match[2].trim() });
+  }
+  
+  return actions;
+}
+
+/**
+ * Format selection actions as "Title: prompt" lines
+ * @param {Array} actions - [{ title, prompt }]
+ * @returns {string} - One action per line
+ */
+function formatSelectionActions(actions) {
+  return actions.map(action => `${action.title}: ${action.prompt}`).join('\n');
 }
 
 // ============================================================================
@@ -213,27 +639,132 @@ function updateApiKeyUI(model) {
  */
 function setupEventListeners() {
   // Send button click
-  elements.sendBtn.addEventListener('click', handleSendQuery);
+  elements.sendBtn.addEventListener('click', () => handleSendQuery());
+  
+  // Stop button aborts the streaming response
+  elements.stopBtn.addEventListener('click', stopStreaming);
   
   // Enter key in textarea (Ctrl/Cmd + Enter to send)
   elements.queryInput.addEventListener('keydown', (e) => {
+    if (handleSlashMenuKey(e)) {
+      e.preventDefault();
+      return;
+    }
     if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
       handleSendQuery();
     }
   });
   
-  // Quick action buttons
-  elements.quickBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const query = btn.dataset.query;
-      elements.queryInput.value = query;
-      handleSendQuery();
-    });
+  // Slash command autocomplete (mousedown keeps focus in the input)
+  elements.slashMenu.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('.slash-item');
+    if (!item) return;
+    e.preventDefault();
+    completeSlashCommand(item.dataset.name);
+  });
+  
+  elements.queryInput.addEventListener('blur', hideSlashMenu);
+  
+  // Quick action buttons (rendered from the prompt library)
+  elements.quickActions.addEventListener('click', (e) => {
+    const btn = e.target.closest('.quick-btn');
+    if (!btn) return;
+    
+    if (btn.classList.contains('quick-edit-btn')) {
+      openPromptsPanel();
+    } else {
+      runQuickAction(quickActions[parseInt(btn.dataset.index, 10)]);
+    }
+  });
+  
+  // Prompt library panel
+  elements.closePrompts.addEventListener('click', () => {
+    elements.promptsPanel.classList.remove('visible');
+  });
+  elements.promptList.addEventListener('click', handlePromptListClick);
+  elements.addPromptBtn.addEventListener('click', () => editPrompt(-1));
+  elements.savePromptBtn.addEventListener('click', savePromptEdit);
+  elements.cancelPromptBtn.addEventListener('click', () => {
+    elements.promptEditor.style.display = 'none';
+  });
+  elements.exportPromptsBtn.addEventListener('click', exportPrompts);
+  elements.resetPromptsBtn.addEventListener('click', resetPrompts);
+  elements.importPromptsInput.addEventListener('change', () => {
+    const file = elements.importPromptsInput.files[0];
+    if (file) importPrompts(file);
+  });
+  
+  // Quick actions edited in another browser arrive through sync
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && isQuickActionChange(changes)) {
+      loadQuickActions().then(renderPromptList);
+    }
+  });
+  
+  // Citation chips in answers scroll to the cited passage (or PDF page)
+  elements.chatMessages.addEventListener('click', (e) => {
+    const copyBtn = e.target.closest('.code-copy-btn');
+    if (copyBtn) {
+      copyCodeBlock(copyBtn);
+      return;
+    }
+    
+    const chip = e.target.closest('.citation-chip');
+    if (chip?.dataset.tabUrl) {
+      showTab(Number(chip.dataset.tabId), chip.dataset.tabUrl, chip);
+    } else if (chip?.dataset.page) {
+      showPdfPage(Number(chip.dataset.page), chip);
+    } else if (chip) {
+      scrollToSource(chip.dataset.sourceId, chip);
+    }
+  });
+  
+  // Pick other tabs to ask across
+  elements.compareBtn.addEventListener('click', toggleTabPicker);
+  
+  // Structured extraction panel
+  elements.extractBtn.addEventListener('click', openExtractPanel);
+  elements.closeExtract.addEventListener('click', () => {
+    elements.extractPanel.classList.remove('visible');
+  });
+  elements.extractRunBtn.addEventListener('click', runExtraction);
+  elements.extractTablesBtn.addEventListener('click', exportPageTables);
+  
+  // Chat export panel
+  elements.exportBtn.addEventListener('click', () => {
+    setExportStatus('');
+    elements.exportPanel.classList.add('visible');
+  });
+  elements.closeExport.addEventListener('click', () => {
+    elements.exportPanel.classList.remove('visible');
+  });
+  
+  // Conversation history opens in its own tab (there's no room for it here)
+  elements.historyBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  });
+  elements.exportFormatBtns.forEach(btn => {
+    btn.addEventListener('click', () => exportChats(btn.dataset.format));
   });
+  elements.importFileInput.addEventListener('change', () => {
+    const file = elements.importFileInput.files[0];
+    if (file) importChats(file);
+  });
+  
+  // Ask about a screenshot of the page, or a region of it
+  elements.screenshotBtn.addEventListener('click', attachScreenshot);
+  
+  // Scroll through the page to read lazy-loaded content
+  elements.captureBtn.addEventListener('click', captureFullPage);
+  elements.cancelCaptureBtn.addEventListener('click', cancelCapture);
+  elements.regionBtn.addEventListener('click', selectRegion);
   
   // Clear chat button
   elements.clearChatBtn.addEventListener('click', clearChat);
   
+  // Go back to asking about the whole page
+  elements.clearFocusBtn.addEventListener('click', () => setFocusContext(null));
+  
   // Settings panel toggle
   elements.settingsBtn.addEventListener('click', () => {
     elements.settingsPanel.classList.add('visible');
@@ -257,27 +788,48 @@ function setupEventListeners() {
     window.close(); // Close the popup
   });
   
+  // Open in the browser's side panel (follows the active tab)
+  elements.sidePanelBtn.addEventListener('click', async () => {
+    try {
+      const currentWindow = await chrome.windows.getCurrent();
+      await chrome.sidePanel.open({ windowId: currentWindow.id });
+      window.close(); // Close the popup
+    } catch (error) {
+      addChatMessage(`Could not open the side panel: ${error.message}`, 'error');
+    }
+  });
+  
   // Model selection change
   elements.modelSelect.addEventListener('change', async (e) => {
     const model = e.target.value;
     updateApiKeyUI(model);
-    // Load saved API key for the selected model
+    // Load saved settings for the selected model
     try {
       const response = await chrome.runtime.sendMessage({ action: 'getSettings', model: model });
-      elements.apiKeyInput.value = response.success && response.apiKey ? response.apiKey : '';
+      if (response.success) {
+        fillProviderSettings(response.settings, response.defaults);
+      } else {
+        elements.apiKeyInput.value = '';
+      }
     } catch (error) {
       elements.apiKeyInput.value = '';
     }
   });
   
+  // Load models from the provider's API
+  elements.listModelsBtn.addEventListener('click', loadProviderModels);
+  
   // Save settings
   elements.saveSettings.addEventListener('click', saveApiKey);
   
   // Theme toggle button
   elements.themeBtn.addEventListener('click', toggleTheme);
   
-  // Auto-resize chat input
-  elements.queryInput.addEventListener('input', autoResizeInput);
+  // Auto-resize chat input and follow slash commands as they're typed
+  elements.queryInput.addEventListener('input', () => {
+    autoResizeInput();
+    updateSlashMenu();
+  });
 }
 
 // ============================================================================
@@ -286,12 +838,19 @@ function setupEventListeners() {
 
 /**
  * Handle sending a query to the AI (chat-based)
+ * @param {Object} [options] - { summarize: true } to summarize the full page with map-reduce
  */
-async function handleSendQuery() {
+async function handleSendQuery(options = {}) {
   const query = elements.queryInput.value.trim();
   
-  // Validate query
-  if (!query) {
+  // Validate query (and ignore sends while a response is still streaming)
+  if (!query || activeStreamPort) {
+    return;
+  }
+  
+  // "/command argument" runs a slash command instead of asking
+  if (query.startsWith('/')) {
+    await runSlashCommand(query);
     return;
   }
   
@@ -301,9 +860,15 @@ async function handleSendQuery() {
     return;
   }
   
+  // The side panel can switch pages mid-answer - keep writing to the page that was asked
+  const loadId = pageLoadId;
+  const history = chatHistory;
+  const pageUrl = currentPageUrl;
+  const page = pageContent;
+  
   // Add user message to chat
   addChatMessage(query, 'user');
-  chatHistory.push({ role: 'user', content: query });
+  history.push({ role: 'user', content: query, timestamp: Date.now() });
   
   // Clear input and reset height
   elements.queryInput.value = '';
@@ -311,63 +876,538 @@ async function handleSendQuery() {
   
   // Show loading indicator
   const loadingEl = addChatMessage('', 'loading');
-  elements.sendBtn.disabled = true;
+  setStreamingState(true);
+  
+  // Live assistant bubble, created when the first chunk arrives
+  let answerEl = null;
+  let answer = '';
+  let tabs = null; // Tabs behind the answer's [Tab N] labels, saved with it
+  
+  const onChunk = (text) => {
+    answer += text;
+    if (loadId !== pageLoadId) return;
+    
+    if (!answerEl) {
+      loadingEl.remove();
+      answerEl = addChatMessage('', 'assistant');
+    }
+    answerEl.innerHTML = formatResponse(answer, tabs);
+    elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+  };
   
   try {
-    // Send query with conversation history to background script
-    const response = await chrome.runtime.sendMessage({
-      action: 'queryAI',
-      query: query,
-      pageContent: pageContent,
-      chatHistory: chatHistory.slice(0, -1) // Exclude the message we just added
-    });
+    let result;
+    
+    if (compareTabIds.size > 0) {
+      // Ask across this tab and the picked ones, each labeled "Tab N"
+      setLoadingLabel(loadingEl, `Reading ${compareTabIds.size + 1} tabs...`);
+      const pages = await getComparePages();
+      tabs = pages.map(page => ({ label: page.label, tabId: page.tabId, url: page.url }));
+      setLoadingLabel(loadingEl, '');
+      
+      result = await streamQuery({
+        query: query,
+        pageContent: pageContent,
+        pages: pages,
+        chatHistory: history.slice(0, -1)
+      }, onChunk);
+    } else if (options.summarize) {
+      // Summarize the full (untruncated) page, reporting progress per part
+      const fullContent = await getFullPageContent();
+      result = await streamQuery({
+        query: query,
+        pageContent: fullContent
+      }, onChunk, {
+        portName: 'summarizePage',
+        onProgress: ({ done, total }) => {
+          // Parts run in parallel, so count finished ones rather than naming the current one
+          setLoadingLabel(loadingEl, `Summarizing... ${done}/${total} parts summarized`);
+        }
+      });
+    } else {
+      // Stream query with conversation history through the background script
+      result = await streamQuery({
+        query: query,
+        pageContent: pageContent,
+        focus: focusContext,
+        chatHistory: history.slice(0, -1) // Exclude the message we just added
+      }, onChunk);
+    }
     
-    // Remove loading indicator
     loadingEl.remove();
-    elements.sendBtn.disabled = false;
     
-    if (response.success) {
-      addChatMessage(response.data, 'assistant');
-      chatHistory.push({ role: 'assistant', content: response.data });
-      // Save chat history
-      await saveChatHistory();
-    } else {
-      addChatMessage(response.error || 'Unknown error occurred', 'error');
+    // Keep partial answers when the user pressed Stop
+    if (result.text) {
+      history.push({ role: 'assistant', content: result.text, timestamp: Date.now(), model: result.model, ...(tabs && { tabs }) });
+      await saveChatHistory(history, pageUrl, page);
+    }
+    
+    if (loadId !== pageLoadId) {
+      // Back on the asked page (reloaded from storage before the answer was saved)
+      if (pageUrl === currentPageUrl && chatHistory !== history) {
+        elements.chatMessages.innerHTML = '';
+        await loadChatHistory();
+      }
+      return;
+    }
+    
+    if (result.cached) {
+      addChatMessage('Cached summary - the page has not changed since it was last summarized', 'note');
+    }
+    
+    if (result.context?.tabs?.length > 0) {
+      const tabs = result.context.tabs.map(tab => `${tab.label}: ${tab.title}`).join(' · ');
+      addChatMessage(`Compared ${tabs}`, 'note');
+    }
+    
+    // Long pages are trimmed to the most relevant sections - show which ones were used
+    if (result.context?.includedSections?.length > 0) {
+      addChatMessage(`Based on sections: ${result.context.includedSections.join(', ')}`, 'note');
     }
   } catch (error) {
     loadingEl.remove();
-    elements.sendBtn.disabled = false;
-    addChatMessage(`Error: ${error.message}`, 'error');
+    
+    if (answer) {
+      history.push({ role: 'assistant', content: answer, timestamp: Date.now(), ...(tabs && { tabs }) });
+      await saveChatHistory(history, pageUrl, page);
+    }
+    if (loadId === pageLoadId) {
+      addChatMessage(error.message || 'Unknown error occurred', 'error');
+    }
+  } finally {
+    if (loadId === pageLoadId) setStreamingState(false);
   }
 }
 
-// ============================================================================
-// CHAT UI HELPERS
-// ============================================================================
+/**
+ * Stream a query through the background script over a port
+ * @param {Object} payload - { query, pageContent, chatHistory }
+ * @param {Function} onChunk - Called with each new piece of response text
+ * @param {Object} [options] - { portName, onProgress } for other streaming tasks
+ * @returns {Promise<Object>} - { text, stopped, cached, context, model } once the stream ends
+ */
+function streamQuery(payload, onChunk, options = {}) {
+  const { portName = 'queryAIStream', onProgress } = options;
+  
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({ name: portName });
+    activeStreamPort = port;
+    let text = '';
+    let settled = false;
+    
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      // A tab switch may have detached this stream and started another
+      if (activeStreamPort === port) activeStreamPort = null;
+      port.disconnect();
+      callback();
+    };
+    
+    port.onMessage.addListener((message) => {
+      if (message.type === 'chunk') {
+        text += message.text;
+        onChunk(message.text);
+      } else if (message.type === 'progress') {
+        if (onProgress) onProgress(message);
+      } else if (message.type === 'done') {
+        finish(() => resolve({
+          text,
+          stopped: !!message.stopped,
+          model: message.model,
+          cached: !!message.cached,
+          context: message.context
+        }));
+      } else if (message.type === 'error') {
+        finish(() => reject(new Error(message.error)));
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      finish(() => reject(new Error('Connection to background script lost')));
+    });
+    
+    port.postMessage({ action: 'start', ...payload });
+  });
+}
 
 /**
- * Add a message to the chat display
- * @param {string} content - Message content
- * @param {string} type - Message type ('user', 'assistant', 'error', 'loading')
- * @returns {HTMLElement} - The created message element
+ * Get the full, untruncated page content accumulated by the content script
+ * @returns {Promise<Object>} - Page content (falls back to the extracted content)
  */
-function addChatMessage(content, type) {
-  const messageEl = document.createElement('div');
-  messageEl.className = `chat-message ${type}`;
+async function getFullPageContent() {
+  // PDFs are always read whole
+  if (pageContent?.isPdf) return pageContent;
   
-  if (type === 'loading') {
-    messageEl.innerHTML = `
-      <div class="loading-dots">
+  try {
+    const response = await chrome.tabs.sendMessage(currentTabId, { action: 'getFullContent' });
+    return response || pageContent;
+  } catch (error) {
+    return pageContent;
+  }
+}
+
+/**
+ * Ask the background script to abort the in-flight streaming query
+ */
+function stopStreaming() {
+  if (activeStreamPort) {
+    activeStreamPort.postMessage({ action: 'stop' });
+  }
+}
+
+/**
+ * Toggle between the Send and Stop buttons while a response streams
+ * @param {boolean} isStreaming - Whether a response is currently streaming
+ */
+function setStreamingState(isStreaming) {
+  elements.sendBtn.disabled = isStreaming;
+  elements.sendBtn.style.display = isStreaming ? 'none' : '';
+  elements.stopBtn.style.display = isStreaming ? '' : 'none';
+}
+
+// ============================================================================
+// SLASH COMMANDS
+// ============================================================================
+
+// Commands typed as "/name argument" in the chat input. To add one, add an entry:
+// - args: argument hint shown while typing ('' if the command takes none)
+// - description: one line for the autocomplete list
+// - parse(arg): optional - validate the argument and return what run() receives,
+//   throwing an Error with the correct usage if it's wrong
+// - run(value): do the work (may be async)
+const SLASH_COMMANDS = {
+  summarize: {
+    args: '',
+    description: 'Summarize the whole page',
+    run: () => askSlashQuery('Summarize this page, covering all of its main points.', { summarize: true })
+  },
+  tldr: {
+    args: '[sentences]',
+    description: 'Summary in 1-10 sentences (default 3)',
+    parse: arg => {
+      if (!arg) return 3;
+      const count = Number(arg);
+      if (!Number.isInteger(count) || count < 1 || count > 10) {
+        throw new Error('Usage: /tldr [sentences] - a number from 1 to 10');
+      }
+      return count;
+    },
+    run: count => askSlashQuery(
+      `TL;DR: summarize this page in ${count === 1 ? 'one sentence' : `${count} sentences`}.`,
+      { summarize: true }
+    )
+  },
+  translate: {
+    args: '<language>',
+    description: 'Translate the page or selection',
+    parse: arg => {
+      if (!arg) throw new Error('Usage: /translate <language> - e.g. /translate es or /translate German');
+      // Language codes ("es", "pt-BR") become names the model can't misread
+      return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(arg) ? getLanguageName(arg) : arg;
+    },
+    run: language => askSlashQuery(focusContext && !focusContext.image
+      ? `Translate the selected text into ${language}.`
+      : `Translate the main content of this page into ${language}.`)
+  },
+  model: {
+    args: '<provider>',
+    description: 'Switch AI provider',
+    parse: arg => {
+      const model = SLASH_MODEL_ALIASES[arg.toLowerCase()] || arg.toLowerCase();
+      if (!MODEL_CONFIG[model]) {
+        throw new Error(`Usage: /model <provider> - one of ${Object.keys(MODEL_CONFIG).join(', ')}`);
+      }
+      return model;
+    },
+    run: switchModel
+  },
+  clear: {
+    args: '',
+    description: 'Clear this page\'s chat',
+    run: clearChat
+  },
+  export: {
+    args: '<md|html|json|pdf>',
+    description: 'Export this page\'s chat',
+    parse: arg => {
+      const format = SLASH_EXPORT_FORMATS[(arg || 'md').toLowerCase()];
+      if (!format) throw new Error('Usage: /export <md|html|json|pdf>');
+      return format;
+    },
+    run: async format => {
+      await exportChats(format, 'current');
+      const isError = elements.exportStatus.classList.contains('error');
+      addChatMessage(elements.exportStatus.textContent, isError ? 'error' : 'note');
+    }
+  },
+  refresh: {
+    args: '',
+    description: 'Re-extract the page content',
+    run: async () => {
+      await refreshPageContent();
+      addChatMessage(`Page content refreshed (${getPageLength()} characters)`, 'note');
+    }
+  },
+  scroll: {
+    args: '[question]',
+    description: 'Capture the full page, then ask',
+    run: async question => {
+      const result = await captureFullPage();
+      if (result && !result.cancelled && question) {
+        await askSlashQuery(question);
+      }
+    }
+  },
+  help: {
+    args: '',
+    description: 'List the commands',
+    run: () => {
+      const lines = Object.entries(SLASH_COMMANDS)
+        .map(([name, command]) => `/${name}${command.args ? ' ' + command.args : ''} - ${command.description}`);
+      addChatMessage(lines.join('\n'), 'note');
+    }
+  }
+};
+
+// Other names accepted by /model
+const SLASH_MODEL_ALIASES = {
+  llama: 'groq',
+  google: 'gemini',
+  chatgpt: 'openai',
+  gpt: 'openai',
+  xai: 'grok',
+  local: 'custom',
+  ollama: 'custom'
+};
+
+// /export argument -> exportChats format
+const SLASH_EXPORT_FORMATS = {
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  json: 'json',
+  pdf: 'print',
+  print: 'print'
+};
+
+// Highlighted row of the autocomplete list
+let slashMenuIndex = 0;
+
+/**
+ * Run the slash command typed in the chat input
+ * @param {string} input - Input text starting with "/"
+ */
+async function runSlashCommand(input) {
+  const [, name, arg] = input.match(/^\/(\S*)\s*([\s\S]*)$/);
+  const command = SLASH_COMMANDS[name.toLowerCase()];
+  
+  if (!command) {
+    addChatMessage(`Unknown command /${name} - type /help to list the commands`, 'error');
+    return;
+  }
+  
+  let value = arg.trim();
+  try {
+    if (command.parse) {
+      value = command.parse(value);
+    }
+  } catch (error) {
+    // Keep the input so the argument can be fixed
+    addChatMessage(error.message, 'error');
+    return;
+  }
+  
+  hideSlashMenu();
+  elements.queryInput.value = '';
+  elements.queryInput.style.height = 'auto';
+  
+  try {
+    await command.run(value);
+  } catch (error) {
+    addChatMessage(`/${name} failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Ask a question on behalf of a slash command
+ * @param {string} query - Question to send
+ * @param {Object} [options] - handleSendQuery options
+ */
+function askSlashQuery(query, options) {
+  elements.queryInput.value = query;
+  return handleSendQuery(options);
+}
+
+/**
+ * Make another provider the selected one (its saved settings are kept)
+ * @param {string} model - Provider ID (key of MODEL_CONFIG)
+ */
+async function switchModel(model) {
+  const response = await chrome.runtime.sendMessage({ action: 'selectModel', model: model });
+  if (!response.success) {
+    throw new Error(response.error);
+  }
+  
+  // Show the new provider in the settings panel
+  await loadSavedApiKey();
+  
+  addChatMessage(response.configured
+    ? `Now using ${response.name}`
+    : `Now using ${response.name} - add its API key in Settings ⚙️ before asking`, 'note');
+}
+
+/**
+ * Run a fresh extraction pass on the current tab
+ */
+async function refreshPageContent() {
+  if (!currentTabId) {
+    throw new Error('No page to read');
+  }
+  
+  await extractPageContent(currentTabId, { refresh: true });
+  if (!pageContent) {
+    throw new Error('Unable to extract page content');
+  }
+}
+
+/**
+ * Length of the extracted page text, for notes
+ * @returns {string} - e.g. "12,345"
+ */
+function getPageLength() {
+  return (pageContent?.textContent?.length || 0).toLocaleString();
+}
+
+/**
+ * Show matching commands while a command name is typed, and the argument hint once it's complete
+ */
+function updateSlashMenu() {
+  const value = elements.queryInput.value;
+  const match = value.match(/^\/(\S*)(\s?)/);
+  if (!match || value.includes('\n')) {
+    hideSlashMenu();
+    return;
+  }
+  
+  const [, typed, space] = match;
+  const name = typed.toLowerCase();
+  let entries;
+  
+  if (space) {
+    // Command name done - show its hint
+    entries = SLASH_COMMANDS[name] ? [[name, SLASH_COMMANDS[name]]] : [];
+  } else {
+    entries = Object.entries(SLASH_COMMANDS).filter(([commandName]) => commandName.startsWith(name));
+  }
+  
+  if (entries.length === 0) {
+    hideSlashMenu();
+    return;
+  }
+  
+  slashMenuIndex = Math.min(slashMenuIndex, entries.length - 1);
+  
+  elements.slashMenu.innerHTML = entries.map(([commandName, command], index) => `
+    <div class="slash-item${!space && index === slashMenuIndex ? ' active' : ''}" data-name="${commandName}">
+      <span class="slash-name">/${commandName}</span>
+      <span class="slash-args">${escapeHtml(command.args)}</span>
+      <span class="slash-desc">${escapeHtml(command.description)}</span>
+    </div>
+  `).join('');
+  
+  elements.slashMenu.dataset.mode = space ? 'hint' : 'complete';
+  elements.slashMenu.style.display = 'block';
+  elements.slashMenu.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Close the autocomplete list
+ */
+function hideSlashMenu() {
+  elements.slashMenu.style.display = 'none';
+  elements.slashMenu.dataset.mode = '';
+  slashMenuIndex = 0;
+}
+
+/**
+ * Put a command name in the chat input, ready for its argument
+ * @param {string} name - Command name
+ */
+function completeSlashCommand(name) {
+  elements.queryInput.value = `/${name} `;
+  elements.queryInput.focus();
+  updateSlashMenu();
+}
+
+/**
+ * Keyboard handling for the autocomplete list
+ * @param {KeyboardEvent} e - keydown event from the chat input
+ * @returns {boolean} - Whether the key was handled
+ */
+function handleSlashMenuKey(e) {
+  const mode = elements.slashMenu.dataset.mode;
+  if (!mode || e.ctrlKey || e.metaKey) return false;
+  
+  if (e.key === 'Escape') {
+    hideSlashMenu();
+    return true;
+  }
+  
+  // A complete command runs on plain Enter - commands are single-line
+  if (mode === 'hint') {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSendQuery();
+      return true;
+    }
+    return false;
+  }
+  
+  const items = elements.slashMenu.querySelectorAll('.slash-item');
+  
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    slashMenuIndex = (slashMenuIndex + step + items.length) % items.length;
+    updateSlashMenu();
+    return true;
+  }
+  
+  if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+    completeSlashCommand(items[slashMenuIndex].dataset.name);
+    return true;
+  }
+  
+  return false;
+}
+
+// ============================================================================
+// CHAT UI HELPERS
+// ============================================================================
+
+/**
+ * Add a message to the chat display
+ * @param {string} content - Message content
+ * @param {string} type - Message type ('user', 'assistant', 'error', 'loading', 'note')
+ * @returns {HTMLElement} - The created message element
+ */
+function addChatMessage(content, type, tabs) {
+  const messageEl = document.createElement('div');
+  messageEl.className = `chat-message ${type}`;
+  
+  if (type === 'loading') {
+    messageEl.innerHTML = `
+      <div class="loading-dots">
         <span></span>
         <span></span>
         <span></span>
       </div>
+      <span class="loading-label"></span>
     `;
-  } else if (type === 'error') {
+  } else if (type === 'error' || type === 'note') {
     messageEl.textContent = content;
   } else {
     // Format assistant messages with markdown support
-    messageEl.innerHTML = type === 'assistant' ? formatResponse(content) : escapeHtml(content);
+    messageEl.innerHTML = type === 'assistant' ? formatResponse(content, tabs) : escapeHtml(content);
   }
   
   elements.chatMessages.appendChild(messageEl);
@@ -378,6 +1418,16 @@ function addChatMessage(content, type) {
   return messageEl;
 }
 
+/**
+ * Show a progress label next to the loading dots
+ * @param {HTMLElement} loadingEl - Loading message element
+ * @param {string} text - Progress text
+ */
+function setLoadingLabel(loadingEl, text) {
+  const label = loadingEl.querySelector('.loading-label');
+  if (label) label.textContent = text;
+}
+
 /**
  * Escape HTML in user messages
  * @param {string} text - Text to escape
@@ -393,120 +1443,1699 @@ function escapeHtml(text) {
 }
 
 /**
- * Format response text with basic markdown support
+ * Format response text as Markdown (see markdown.js), with citation and tab chips
+ * in the prose
  * @param {string} text - Raw response text
  * @returns {string} - Formatted HTML
  */
-function formatResponse(text) {
-  // Escape HTML first
-  let formatted = text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-  
-  // Convert markdown-like syntax
-  formatted = formatted
-    // Bold text
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-    // Italic text
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')
-    // Bullet points
-    .replace(/^- (.*)/gm, '• $1')
-    // Numbered lists
-    .replace(/^\d+\. (.*)/gm, '<br>$&')
-    // Line breaks
-    .replace(/\n/g, '<br>');
+function formatResponse(text, tabs) {
+  const numbers = new Map(); // Source ID -> number shown on its chip, for the whole answer
+  return renderMarkdown(text, html => formatTabCitations(formatCitations(html, numbers), tabs));
+}
+
+/**
+ * Turn tab labels like [Tab 2] from multi-tab answers into chips that switch to the tab
+ * @param {string} html - Formatted (already escaped) response HTML
+ * @param {Array} [tabs] - [{ label, tabId, url }] saved with the answer; labels
+ *   without a saved tab stay plain text
+ * @returns {string} - HTML with tab chips
+ */
+function formatTabCitations(html, tabs = []) {
+  return html.replace(/\[(Tab \d+)\]/g, (match, label) => {
+    const tab = tabs.find(tab => tab.label === label);
+    if (!tab?.url) return label;
+    return `<button class="citation-chip tab-chip" data-tab-id="${tab.tabId}" data-tab-url="${escapeHtml(tab.url)}" title="Switch to this tab">${label}</button>`;
+  });
+}
+
+/**
+ * Turn source tags like [s12] or [s12, s15] into clickable citation chips, and
+ * PDF page tags like [p3] into chips that open the page. Source chips are
+ * numbered in the order the answer first cites them (source IDs are hashes,
+ * too long to show)
+ * @param {string} html - Formatted (already escaped) response HTML
+ * @param {Map} [numbers] - Source ID -> chip number, shared by the parts of one answer
+ * @returns {string} - HTML with citation chips
+ */
+function formatCitations(html, numbers = new Map()) {
+  return html
+    .replace(/\[(s\d+(?:\s*,\s*s\d+)*)\]/g, (match, ids) => {
+      return ids.split(',')
+        .map(id => id.trim())
+        .map(id => {
+          if (!numbers.has(id)) numbers.set(id, numbers.size + 1);
+          return `<button class="citation-chip" data-source-id="${id}" title="Show on page">${numbers.get(id)}</button>`;
+        })
+        .join('');
+    })
+    .replace(/\[(p\d+(?:\s*,\s*p\d+)*)\]/g, (match, ids) => {
+      return ids.split(',')
+        .map(id => id.trim().substring(1))
+        .map(page => `<button class="citation-chip" data-page="${page}" title="Open page ${page}">p. ${page}</button>`)
+        .join('');
+    });
+}
+
+/**
+ * Scroll the page to a cited passage and highlight it
+ * @param {string} id - Source ID from the content script (e.g. "s12")
+ * @param {HTMLElement} chip - Citation chip that was clicked
+ */
+async function scrollToSource(id, chip) {
+  if (!currentTabId) return;
   
-  return formatted;
+  try {
+    const response = await chrome.tabs.sendMessage(currentTabId, { action: 'scrollToSource', id: id });
+    if (!response?.success) {
+      chip.classList.add('missing');
+      chip.title = 'This passage is no longer on the page';
+      return;
+    }
+    // Bring the page forward when running in a standalone window
+    await chrome.tabs.update(currentTabId, { active: true });
+  } catch (error) {
+    chip.classList.add('missing');
+    chip.title = 'Unable to reach the page';
+  }
 }
 
 /**
- * Load chat history for current page from storage
+ * Switch the browser to the tab behind a [Tab N] label. Tab IDs don't survive a
+ * browser restart, so the tab must still show the page; otherwise another tab
+ * with the page is used, or the page is opened again
+ * @param {number} tabId - Tab the answer was based on
+ * @param {string} url - Page the tab showed
+ * @param {HTMLElement} chip - Tab chip that was clicked
  */
-async function loadChatHistory() {
-  if (!currentPageUrl) return;
+async function showTab(tabId, url, chip) {
+  const pageKey = normalizeChatUrl(url);
   
   try {
-    const key = `chat_${btoa(currentPageUrl).substring(0, 50)}`;
-    const result = await chrome.storage.local.get(key);
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (tab && normalizeChatUrl(tab.url) === pageKey) {
+      await chrome.tabs.update(tabId, { active: true });
+      return;
+    }
     
-    if (result[key]) {
-      chatHistory = result[key];
-      // Render existing messages
-      chatHistory.forEach(msg => {
-        addChatMessage(msg.content, msg.role);
-      });
+    const openTabs = await chrome.tabs.query({});
+    const match = openTabs.find(openTab => normalizeChatUrl(openTab.url || '') === pageKey);
+    if (match) {
+      await chrome.tabs.update(match.id, { active: true });
     } else {
-      chatHistory = [];
+      await chrome.tabs.create({ url });
     }
   } catch (error) {
-    chatHistory = [];
+    chip.classList.add('missing');
+    chip.title = 'Unable to open this page';
   }
 }
 
 /**
- * Save chat history for current page to storage
+ * Open the PDF at a cited page
+ * @param {number} page - Page number from the answer
+ * @param {HTMLElement} chip - Citation chip that was clicked
  */
-async function saveChatHistory() {
-  if (!currentPageUrl) return;
+async function showPdfPage(page, chip) {
+  if (!currentTabId || !pageContent?.isPdf) return;
   
   try {
-    const key = `chat_${btoa(currentPageUrl).substring(0, 50)}`;
-    await chrome.storage.local.set({ [key]: chatHistory });
+    await chrome.tabs.update(currentTabId, { url: `${pageContent.url}#page=${page}`, active: true });
   } catch (error) {
-    // Save failed silently
+    chip.classList.add('missing');
+    chip.title = 'This PDF is no longer open';
   }
 }
 
+// ============================================================================
+// SCREENSHOTS
+// ============================================================================
+
 /**
- * Clear chat history for current page
+ * Screenshot the visible page and make it the subject of the next questions
  */
-async function clearChat() {
-  // Clear UI
-  elements.chatMessages.innerHTML = '';
-  
-  // Clear memory
-  chatHistory = [];
-  
-  // Clear storage
-  if (currentPageUrl) {
-    try {
-      const key = `chat_${btoa(currentPageUrl).substring(0, 50)}`;
-      await chrome.storage.local.remove(key);
-    } catch (error) {
-      // Remove failed silently
+async function attachScreenshot() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'captureScreenshot', tabId: currentTabId });
+    if (!response.success) {
+      throw new Error(response.error);
     }
+    
+    setFocusContext({
+      image: { src: currentPageUrl, screenshot: true, alt: 'Screenshot of the visible page', base64: response.image }
+    });
+    elements.queryInput.focus();
+  } catch (error) {
+    addChatMessage(`Screenshot failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Let the user drag out a region on the page; the capture arrives as a pending context
+ */
+async function selectRegion() {
+  try {
+    await chrome.tabs.sendMessage(currentTabId, { action: 'selectRegion' });
+    await chrome.tabs.update(currentTabId, { active: true });
+    addChatMessage('Drag over the page to select a region (Esc to cancel)', 'note');
+  } catch (error) {
+    addChatMessage('Unable to reach the page. Please refresh and try again.', 'error');
   }
 }
 
 // ============================================================================
-// SETTINGS MANAGEMENT
+// FULL-PAGE CAPTURE
 // ============================================================================
 
 /**
- * Save API key and model to storage
+ * Scroll through the whole page so lazy-loaded content is extracted too,
+ * showing progress under the page title until it finishes or is cancelled
+ * @returns {Promise<Object|null>} - { scrolls, characters, isComplete, cancelled }, or null if it didn't run
  */
-async function saveApiKey() {
-  const apiKey = elements.apiKeyInput.value.trim();
-  const model = elements.modelSelect.value;
-  const config = MODEL_CONFIG[model];
+async function captureFullPage() {
+  if (activeCapturePort) return null;
+  if (!currentTabId || !pageContent) {
+    addChatMessage('Unable to read this page. Please refresh and try again.', 'error');
+    return null;
+  }
+  if (pageContent.isPdf) {
+    addChatMessage(`PDFs are always read in full (${pageContent.pageCount} pages)`, 'note');
+    return { scrolls: 0, characters: pageContent.textContent.length, isComplete: true, cancelled: false };
+  }
   
-  if (!apiKey) {
-    alert('Please enter a valid API key');
+  const loadId = pageLoadId;
+  setCaptureState(true);
+  setCaptureProgress({ scrolls: 0, maxScrolls: 0, characters: pageContent.textContent?.length || 0 });
+  
+  try {
+    const result = await runCapture(currentTabId, setCaptureProgress);
+    
+    // The side panel moved to another page meanwhile
+    if (loadId !== pageLoadId) return null;
+    
+    await extractPageContent(currentTabId);
+    
+    const summary = `${result.scrolls} ${result.scrolls === 1 ? 'scroll' : 'scrolls'}, ${result.characters.toLocaleString()} characters`;
+    if (result.cancelled) {
+      addChatMessage(`Capture cancelled (${summary} so far)`, 'note');
+    } else if (!result.isComplete) {
+      addChatMessage(`Capture stopped before the end of the page (${summary}) - it may keep loading more`, 'note');
+    } else {
+      addChatMessage(`Captured the full page (${summary})`, 'note');
+    }
+    return result;
+  } catch (error) {
+    if (loadId === pageLoadId) {
+      addChatMessage(`Capture failed: ${error.message}`, 'error');
+    }
+    return null;
+  } finally {
+    setCaptureState(false);
+  }
+}
+
+/**
+ * Run the content script's auto-scroll over a port
+ * @param {number} tabId - Tab to capture
+ * @param {Function} onProgress - Called with { scrolls, maxScrolls, characters } after each step
+ * @returns {Promise<Object>} - { scrolls, characters, isComplete, cancelled } once scrolling ends
+ */
+function runCapture(tabId, onProgress) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.tabs.connect(tabId, { name: 'capturePage', frameId: 0 });
+    activeCapturePort = port;
+    let settled = false;
+    
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      activeCapturePort = null;
+      port.disconnect();
+      callback();
+    };
+    
+    port.onMessage.addListener((message) => {
+      if (message.type === 'progress') {
+        onProgress(message);
+      } else if (message.type === 'done') {
+        finish(() => resolve(message));
+      } else if (message.type === 'error') {
+        finish(() => reject(new Error(message.error)));
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      finish(() => reject(new Error('Connection to the page lost')));
+    });
+    
+    port.postMessage({ action: 'start' });
+  });
+}
+
+/**
+ * Ask the content script to stop scrolling (it restores the scroll position and reports what it got)
+ */
+function cancelCapture() {
+  if (activeCapturePort) {
+    activeCapturePort.postMessage({ action: 'stop' });
+  }
+}
+
+/**
+ * Toggle between the capture button and the progress line
+ * @param {boolean} isCapturing - Whether a capture is running
+ */
+function setCaptureState(isCapturing) {
+  elements.captureBtn.disabled = isCapturing;
+  elements.captureProgress.style.display = isCapturing ? 'flex' : 'none';
+}
+
+/**
+ * Show capture progress
+ * @param {Object} progress - { scrolls, maxScrolls, characters }
+ */
+function setCaptureProgress({ scrolls, maxScrolls, characters }) {
+  const steps = maxScrolls ? `scroll ${scrolls}/${maxScrolls}` : 'starting';
+  elements.captureProgressText.textContent = `Capturing full page: ${steps} · ${characters.toLocaleString()} characters`;
+}
+
+/**
+ * Show next to the title whether the whole page has been read
+ */
+function updatePageStatus() {
+  const status = elements.pageStatus;
+  
+  // There's nothing to scroll through in a PDF
+  elements.captureBtn.style.display = pageContent?.isPdf ? 'none' : '';
+  
+  if (!pageContent) {
+    status.textContent = '';
     return;
   }
   
-  // Validate API key format based on selected model
-  if (config.prefix && !apiKey.startsWith(config.prefix)) {
-    alert(`Invalid API key format. ${config.label} should start with "${config.prefix}"`);
+  if (pageContent.isPdf) {
+    status.textContent = `✓ PDF · ${pageContent.pageCount} ${pageContent.pageCount === 1 ? 'page' : 'pages'}`;
+    status.classList.add('complete');
+    status.title = 'Every page of the PDF has been read';
     return;
   }
   
-  try {
+  const isComplete = !!pageContent.isComplete;
+  status.textContent = isComplete ? '✓ Full page' : 'Partial';
+  status.classList.toggle('complete', isComplete);
+  status.title = isComplete
+    ? 'The whole page has been read'
+    : 'Only the part of the page loaded so far has been read - capture the full page to include lazy-loaded content';
+}
+
+// ============================================================================
+// PDF DOCUMENTS
+// ============================================================================
+
+// PDFs larger than this aren't downloaded
+const PDF_MAX_BYTES = 50 * 1024 * 1024;
+
+// Longest run of text tagged with one page anchor
+const PDF_PARAGRAPH_CHARS = 800;
+
+// Extracted PDFs by URL (without the #page= anchor), kept while the popup is open
+const pdfCache = new Map();
+
+/**
+ * Whether a URL points at a PDF file
+ * @param {string} url - Tab URL
+ * @returns {boolean}
+ */
+function isPdfUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.pdf');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read a PDF open in the browser's viewer: download it (with the user's cookies,
+ * so PDFs behind a login work), extract the text of each page with pdf-parser.js
+ * and shape it like the content script's page content
+ * @param {chrome.tabs.Tab} tab - Tab showing the PDF
+ * @param {Object} [options] - { refresh: true } to download it again
+ * @returns {Promise<Object>} - Page content, plus isPdf and pageCount
+ * @throws {Error} - If the PDF can't be downloaded or has no text
+ */
+async function getPdfContent(tab, options = {}) {
+  const url = tab.url.split('#')[0];
+  if (!options.refresh && pdfCache.has(url)) {
+    return pdfCache.get(url);
+  }
+  
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`download failed (HTTP ${response.status})`);
+  }
+  
+  const tooLarge = `it's larger than ${PDF_MAX_BYTES / 1024 / 1024} MB`;
+  if (Number(response.headers.get('Content-Length')) > PDF_MAX_BYTES) {
+    throw new Error(tooLarge);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if (bytes.length > PDF_MAX_BYTES) {
+    throw new Error(tooLarge);
+  }
+  
+  const { title, pages } = await extractPdfText(bytes);
+  if (!pages.some(text => text.length > 0)) {
+    throw new Error('it has no text layer (scanned pages need OCR first)');
+  }
+  
+  const content = {
+    title: title || tab.title || url,
+    url,
+    textContent: buildPdfText(pages),
+    images: [],
+    structuredContent: { headings: [], lists: [], tables: [], paragraphs: [] },
+    extractedAt: new Date().toISOString(),
+    isComplete: true,
+    isPdf: true,
+    pageCount: pages.length
+  };
+  
+  pdfCache.set(url, content);
+  return content;
+}
+
+/**
+ * Lay out PDF text for the model: a "## Page N" heading per page, so long
+ * documents are ranked page by page, and a [pN] tag before each paragraph
+ * so answers can cite the page
+ * @param {Array<string>} pages - Text of each page, one line per line of the PDF
+ * @returns {string}
+ */
+function buildPdfText(pages) {
+  return pages.map((text, i) => {
+    const tag = `[p${i + 1}]`;
+    const paragraphs = [];
+    let paragraph = '';
+    
+    // PDF lines break wherever the layout did - join them into paragraphs at sentence ends
+    for (const line of text.split('\n').filter(Boolean)) {
+      paragraph = paragraph ? `${paragraph} ${line}` : line;
+      const isSentenceEnd = /[.!?:]$/.test(line) && paragraph.length >= PDF_PARAGRAPH_CHARS / 4;
+      if (isSentenceEnd || paragraph.length >= PDF_PARAGRAPH_CHARS) {
+        paragraphs.push(`${tag} ${paragraph}`);
+        paragraph = '';
+      }
+    }
+    if (paragraph) paragraphs.push(`${tag} ${paragraph}`);
+    
+    return [`## Page ${i + 1}`, ...paragraphs].join('\n');
+  }).join('\n\n');
+}
+
+// ============================================================================
+// STRUCTURED EXTRACTION
+// ============================================================================
+
+// Field types accepted in the "name: type - description" shorthand
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+// Rows shown in the preview table (downloads include every row)
+const EXTRACT_PREVIEW_ROWS = 50;
+
+/**
+ * Open the extraction panel with the last schema used
+ */
+async function openExtractPanel() {
+  elements.extractPanel.classList.add('visible');
+  
+  if (!elements.extractSchemaInput.value) {
+    try {
+      const { extractSchema } = await chrome.storage.local.get('extractSchema');
+      elements.extractSchemaInput.value = extractSchema || '';
+    } catch (error) {
+      // Load failed silently
+    }
+  }
+}
+
+/**
+ * Build a JSON Schema from the fields textarea (or parse a pasted schema)
+ * @param {string} text - "name: type - description" lines, or a JSON Schema
+ * @param {boolean} isList - Whether to extract a list of records
+ * @returns {Object} - JSON Schema
+ * @throws {Error} - If a line or the pasted schema is invalid
+ */
+function parseExtractionSchema(text, isList) {
+  if (text.trim().startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON Schema: ${error.message}`);
+    }
+  }
+  
+  const properties = {};
+  
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    
+    const match = line.match(/^\s*([^:-]+?)\s*(?::\s*(\w+))?\s*(?:-\s*(.*))?$/);
+    const type = (match?.[2] || 'string').toLowerCase();
+    if (!match || !FIELD_TYPES.includes(type)) {
+      throw new Error(`Invalid field "${line.trim()}". Use "name: type - description" with type ${FIELD_TYPES.join(', ')}.`);
+    }
+    
+    // Fields may be missing on the page, so null is always allowed
+    properties[match[1]] = { type: [type, 'null'] };
+    if (match[3]) properties[match[1]].description = match[3].trim();
+  }
+  
+  if (Object.keys(properties).length === 0) {
+    throw new Error('Add at least one field');
+  }
+  
+  const record = { type: 'object', properties, required: Object.keys(properties) };
+  return isList ? { type: 'array', items: record } : record;
+}
+
+/**
+ * Ask the model for data matching the schema and show it as a table
+ */
+async function runExtraction() {
+  const text = elements.extractSchemaInput.value;
+  
+  let schema;
+  try {
+    schema = parseExtractionSchema(text, elements.extractListInput.checked);
+  } catch (error) {
+    setExtractStatus(error.message, true);
+    return;
+  }
+  
+  if (!pageContent) {
+    setExtractStatus('Unable to extract page content. Please refresh and try again.', true);
+    return;
+  }
+  
+  chrome.storage.local.set({ extractSchema: text }).catch(() => {});
+  
+  elements.extractRunBtn.disabled = true;
+  elements.extractResults.innerHTML = '';
+  setExtractStatus('Extracting...');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'extractData',
+      pageContent: await getFullPageContent(),
+      schema: schema
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+    
+    const records = Array.isArray(response.data) ? response.data : [response.data];
+    const recordSchema = schema.type === 'array' ? schema.items : schema;
+    const columns = getRecordColumns(records, recordSchema);
+    const rows = records.map(record => columns.map(column => record?.[column]));
+    
+    const repaired = response.attempts > 1 ? ` (fixed after ${response.attempts} attempts)` : '';
+    setExtractStatus(`${records.length} ${records.length === 1 ? 'record' : 'records'} extracted${repaired}`);
+    renderExtractResult('Extracted data', columns, rows, records, 'data');
+  } catch (error) {
+    setExtractStatus(error.message || 'Extraction failed', true);
+  } finally {
+    elements.extractRunBtn.disabled = false;
+  }
+}
+
+/**
+ * Download the page's HTML tables as they are, without the model
+ */
+async function exportPageTables() {
+  elements.extractResults.innerHTML = '';
+  
+  try {
+    const response = await chrome.tabs.sendMessage(currentTabId, { action: 'getTables' });
+    const tables = response?.tables || [];
+    
+    setExtractStatus(tables.length > 0
+      ? `${tables.length} ${tables.length === 1 ? 'table' : 'tables'} found`
+      : 'No tables found on this page');
+    
+    tables.forEach((table, i) => {
+      const [header, ...body] = table.rows;
+      const columns = uniqueColumnNames(header);
+      const records = body.map(cells => Object.fromEntries(columns.map((column, j) => [column, cells[j] ?? ''])));
+      renderExtractResult(table.caption || `Table ${i + 1}`, columns, body, records, `table-${i + 1}`);
+    });
+  } catch (error) {
+    setExtractStatus('Unable to reach the page. Please refresh and try again.', true);
+  }
+}
+
+/**
+ * Column order for records: schema properties first, then any extra keys
+ * @param {Array} records - Extracted records
+ * @param {Object} schema - Record schema
+ * @returns {string[]} - Column names
+ */
+function getRecordColumns(records, schema) {
+  const columns = new Set(Object.keys(schema?.properties || {}));
+  
+  for (const record of records) {
+    if (record && typeof record === 'object') {
+      Object.keys(record).forEach(key => columns.add(key));
+    }
+  }
+  
+  return columns.size > 0 ? [...columns] : ['value'];
+}
+
+/**
+ * Turn a table's header row into unique, non-empty column names
+ * @param {string[]} header - First row of the table
+ * @returns {string[]} - Column names
+ */
+function uniqueColumnNames(header) {
+  const seen = new Map();
+  
+  return header.map((name, i) => {
+    const base = name || `Column ${i + 1}`;
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count > 0 ? `${base} (${count + 1})` : base;
+  });
+}
+
+/**
+ * Show a result table with CSV/JSON download buttons
+ * @param {string} title - Heading for the result
+ * @param {string[]} columns - Column names
+ * @param {Array[]} rows - Cell values row by row
+ * @param {*} json - Value to download as JSON
+ * @param {string} suffix - File name suffix (e.g. "data", "table-2")
+ */
+function renderExtractResult(title, columns, rows, json, suffix) {
+  const result = document.createElement('div');
+  result.className = 'extract-result';
+  
+  const header = document.createElement('div');
+  header.className = 'extract-result-header';
+  
+  const label = document.createElement('span');
+  label.textContent = `${title} (${rows.length} rows)`;
+  
+  const baseName = `${slugify(pageContent?.title || 'page')}-${suffix}`;
+  
+  const csvBtn = document.createElement('button');
+  csvBtn.textContent = 'CSV';
+  csvBtn.addEventListener('click', () => {
+    downloadFile(`${baseName}.csv`, toCsv(columns, rows), 'text/csv');
+  });
+  
+  const jsonBtn = document.createElement('button');
+  jsonBtn.textContent = 'JSON';
+  jsonBtn.addEventListener('click', () => {
+    downloadFile(`${baseName}.json`, JSON.stringify(json, null, 2), 'application/json');
+  });
+  
+  header.append(label, csvBtn, jsonBtn);
+  
+  const table = document.createElement('table');
+  table.className = 'extract-table';
+  
+  const headRow = table.createTHead().insertRow();
+  for (const column of columns) {
+    const th = document.createElement('th');
+    th.textContent = column;
+    headRow.appendChild(th);
+  }
+  
+  const body = table.createTBody();
+  for (const cells of rows.slice(0, EXTRACT_PREVIEW_ROWS)) {
+    const row = body.insertRow();
+    columns.forEach((column, i) => {
+      row.insertCell().textContent = formatCellValue(cells[i]);
+    });
+  }
+  
+  const wrap = document.createElement('div');
+  wrap.className = 'extract-table-wrap';
+  wrap.appendChild(table);
+  
+  result.append(header, wrap);
+  elements.extractResults.appendChild(result);
+}
+
+/**
+ * Show a status (or error) line in the extraction panel
+ * @param {string} text - Status text
+ * @param {boolean} [isError] - Whether to style it as an error
+ */
+function setExtractStatus(text, isError = false) {
+  elements.extractStatus.textContent = text;
+  elements.extractStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Format a cell value for display and CSV
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function formatCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Build CSV text (RFC 4180 quoting)
+ * @param {string[]} columns - Header row
+ * @param {Array[]} rows - Cell values row by row
+ * @returns {string} - CSV text
+ */
+function toCsv(columns, rows) {
+  const quote = (value) => {
+    const text = formatCellValue(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  return [columns, ...rows]
+    .map(cells => columns.map((column, i) => quote(cells[i])).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Make a short file-name-safe slug from a title
+ * @param {string} text - Title
+ * @returns {string}
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 50) || 'page';
+}
+
+// ============================================================================
+// MULTI-TAB COMPARISON
+// ============================================================================
+
+/**
+ * Show or hide the list of other open tabs to include in questions
+ */
+async function toggleTabPicker() {
+  if (elements.tabPicker.style.display !== 'none') {
+    elements.tabPicker.style.display = 'none';
+    return;
+  }
+  
+  elements.tabPicker.innerHTML = '';
+  
+  try {
+    // Tabs of the page's window (the pop-out window has its own "current" window)
+    const currentTab = await chrome.tabs.get(currentTabId);
+    const tabs = (await chrome.tabs.query({ windowId: currentTab.windowId }))
+      .filter(tab => tab.id !== currentTabId && /^(https?|file):/.test(tab.url || ''));
+    
+    if (tabs.length === 0) {
+      elements.tabPicker.innerHTML = '<div class="tab-picker-empty">No other web pages open in this window</div>';
+    }
+    
+    for (const tab of tabs) {
+      const option = document.createElement('label');
+      option.className = 'tab-option';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = compareTabIds.has(tab.id);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          compareTabIds.add(tab.id);
+        } else {
+          compareTabIds.delete(tab.id);
+        }
+        updateCompareButton();
+      });
+      
+      const title = document.createElement('span');
+      title.className = 'tab-option-title';
+      title.textContent = tab.title || tab.url;
+      title.title = tab.url;
+      
+      const host = document.createElement('span');
+      host.className = 'tab-option-host';
+      host.textContent = new URL(tab.url).hostname;
+      
+      option.append(checkbox, title, host);
+      elements.tabPicker.appendChild(option);
+    }
+  } catch (error) {
+    elements.tabPicker.innerHTML = '<div class="tab-picker-empty">Unable to list tabs</div>';
+  }
+  
+  elements.tabPicker.style.display = 'block';
+}
+
+/**
+ * Show how many tabs questions will be asked across
+ */
+function updateCompareButton() {
+  const count = compareTabIds.size;
+  elements.compareBtn.textContent = count > 0 ? `📑 Compare (${count + 1})` : '📑 Compare';
+  elements.compareBtn.classList.toggle('active', count > 0);
+  elements.queryInput.placeholder = count > 0
+    ? `Ask across ${count + 1} tabs...`
+    : 'Ask anything about this page, or type / for commands';
+}
+
+/**
+ * Extract the current tab and every picked tab, labeled in order
+ * @returns {Promise<Array>} - Page contents with { label, tabId } added
+ */
+async function getComparePages() {
+  const pages = [{ ...pageContent, label: 'Tab 1', tabId: currentTabId }];
+  const unreadable = [];
+  
+  for (const tabId of compareTabIds) {
+    const content = await requestPageContent(tabId).catch(() => null);
+    if (content) {
+      pages.push({ ...content, label: `Tab ${pages.length + 1}`, tabId });
+    } else {
+      unreadable.push(tabId);
+    }
+  }
+  
+  // Closed tabs and pages that can't be scripted are dropped from the comparison
+  for (const tabId of unreadable) {
+    compareTabIds.delete(tabId);
+  }
+  updateCompareButton();
+  
+  return pages;
+}
+
+// ============================================================================
+// CHAT PERSISTENCE
+// ============================================================================
+
+/**
+ * Load chat history for current page from storage
+ */
+async function loadChatHistory() {
+  if (!currentPageUrl) return;
+  
+  try {
+    const chat = await loadChat(currentPageUrl);
+    
+    if (chat) {
+      chatHistory = chat.messages;
+      // Render existing messages
+      chatHistory.forEach(msg => {
+        addChatMessage(msg.content, msg.role, msg.tabs);
+      });
+    } else {
+      chatHistory = [];
+    }
+  } catch (error) {
+    chatHistory = [];
+  }
+}
+
+/**
+ * Save chat history for a page to storage, with the page title and a text
+ * snapshot of the page (shown when the chat is opened from the history view)
+ * @param {Array} [history] - Messages to save (defaults to the current chat)
+ * @param {string} [pageUrl] - Page the messages belong to (defaults to the current page)
+ * @param {Object} [page] - Extracted content of that page
+ */
+async function saveChatHistory(history = chatHistory, pageUrl = currentPageUrl, page = pageContent) {
+  if (!pageUrl) return;
+  
+  try {
+    await saveChat(pageUrl, {
+      title: page?.title || '',
+      messages: history,
+      snapshot: createSnapshot(page)
+    });
+  } catch (error) {
+    // Save failed silently
+  }
+}
+
+// Page text kept with each chat (storage.local is limited to 10 MB for everything)
+const SNAPSHOT_MAX_CHARS = 20000;
+
+/**
+ * Keep the start of a page's text with its chat, so old chats still make sense
+ * after the page changes or goes away
+ * @param {Object} page - Extracted page content
+ * @returns {Object|null} - { text, capturedAt }
+ */
+function createSnapshot(page) {
+  if (!page?.textContent) return null;
+  
+  const text = page.textContent.replace(/\[[sp]\d+\] ?/g, '');
+  return {
+    text: text.length > SNAPSHOT_MAX_CHARS ? text.substring(0, SNAPSHOT_MAX_CHARS) + '...' : text,
+    capturedAt: Date.now()
+  };
+}
+
+/**
+ * Clear chat history for current page
+ */
+async function clearChat() {
+  // Clear UI
+  elements.chatMessages.innerHTML = '';
+  
+  // Clear memory
+  chatHistory = [];
+  
+  // Clear storage
+  if (currentPageUrl) {
+    try {
+      await deleteChat(currentPageUrl);
+    } catch (error) {
+      // Remove failed silently
+    }
+  }
+}
+
+// ============================================================================
+// CHAT EXPORT AND IMPORT
+// ============================================================================
+
+// Identifies PageSage JSON exports (bump the version when the format changes)
+const EXPORT_FORMAT = 'pagesage-chats';
+const EXPORT_VERSION = 1;
+
+/**
+ * Get the chats to export: the current page's, or every stored chat
+ * @param {string} scope - 'current' or 'all'
+ * @returns {Promise<Array>} - Chats ({ url, title, createdAt, updatedAt, messages }), newest first
+ */
+async function getChatsForExport(scope) {
+  if (scope === 'current') {
+    if (!currentPageUrl || chatHistory.length === 0) return [];
+    const chat = await loadChat(currentPageUrl) || normalizeChat(chatHistory);
+    return [{ ...chat, url: currentPageUrl, title: chat.title || pageContent?.title || '' }];
+  }
+  
+  // Storage keys are internal - a chat is identified by its URL
+  const chats = await listChats();
+  return chats.map(({ key, ...chat }) => chat);
+}
+
+/**
+ * Export chats in the chosen format
+ * @param {string} format - 'markdown', 'html', 'print' or 'json'
+ * @param {string} [scope] - 'current' or 'all' (defaults to the export panel's choice)
+ */
+async function exportChats(format, scope = elements.exportScopeSelect.value) {
+  try {
+    const chats = await getChatsForExport(scope);
+    if (chats.length === 0) {
+      setExportStatus('No conversations to export', true);
+      return;
+    }
+    
+    const baseName = chats.length === 1
+      ? `pagesage-${slugify(chats[0].title || 'chat')}`
+      : `pagesage-chats-${new Date().toISOString().slice(0, 10)}`;
+    
+    if (format === 'markdown') {
+      downloadFile(`${baseName}.md`, buildChatsMarkdown(chats), 'text/markdown');
+    } else if (format === 'html') {
+      downloadFile(`${baseName}.html`, buildChatsHtml(chats), 'text/html');
+    } else if (format === 'json') {
+      const data = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), chats };
+      downloadFile(`${baseName}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } else if (format === 'print') {
+      // The print page reads the export from session storage and opens the print dialog
+      await chrome.storage.session.set({ printExport: buildChatsHtml(chats) });
+      await chrome.tabs.create({ url: chrome.runtime.getURL('print.html') });
+    }
+    
+    setExportStatus(`Exported ${chats.length} ${chats.length === 1 ? 'conversation' : 'conversations'}`);
+  } catch (error) {
+    setExportStatus(`Export failed: ${error.message}`, true);
+  }
+}
+
+/**
+ * Import chats from a PageSage JSON export, merging with chats already stored
+ * @param {File} file - Selected JSON file
+ */
+async function importChats(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.chats)) {
+      throw new Error('Not a PageSage export');
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error('This export was made by a newer version of PageSage');
+    }
+    
+    let imported = 0;
+    let skipped = 0;
+    
+    for (const chat of data.chats.map(readImportedChat)) {
+      if (!chat) {
+        skipped++;
+        continue;
+      }
+      
+      const existingChat = await loadChat(chat.url);
+      const existing = existingChat ? existingChat.messages : [];
+      
+      // Keep messages already here; add the ones that aren't
+      const seen = new Set(existing.map(msg => `${msg.role}|${msg.timestamp}|${msg.content}`));
+      const messages = existing
+        .concat(chat.messages.filter(msg => !seen.has(`${msg.role}|${msg.timestamp}|${msg.content}`)))
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+      
+      await saveChat(chat.url, {
+        title: chat.title || existingChat?.title || '',
+        createdAt: messages[0]?.timestamp || chat.createdAt,
+        messages,
+        snapshot: chat.snapshot || existingChat?.snapshot || null
+      });
+      imported++;
+    }
+    
+    const skippedText = skipped > 0 ? ` (${skipped} invalid skipped)` : '';
+    setExportStatus(`Imported ${imported} ${imported === 1 ? 'conversation' : 'conversations'}${skippedText}`);
+    
+    // Show imported messages if this page's chat was among them
+    elements.chatMessages.innerHTML = '';
+    await loadChatHistory();
+  } catch (error) {
+    setExportStatus(`Import failed: ${error.message}`, true);
+  } finally {
+    elements.importFileInput.value = '';
+  }
+}
+
+/**
+ * Check an imported chat and keep only the fields PageSage reads, so a hand-edited
+ * or foreign file can't store messages the chat view and exports can't render
+ * @param {Object} chat - Chat from a JSON export
+ * @returns {Object|null} - { url, title, createdAt, messages, snapshot }, or null
+ *   if the chat has no URL or no valid messages
+ */
+function readImportedChat(chat) {
+  if (typeof chat?.url !== 'string' || !/^https?:|^file:/.test(chat.url) || !Array.isArray(chat.messages)) {
+    return null;
+  }
+  
+  const messages = chat.messages
+    .filter(msg => ['user', 'assistant'].includes(msg?.role)
+      && typeof msg.content === 'string'
+      && Number.isFinite(msg.timestamp))
+    .map(msg => ({
+      role: msg.role,
+      content: msg.content,
+      timestamp: msg.timestamp,
+      ...(typeof msg.model?.provider === 'string' && typeof msg.model.name === 'string' && {
+        model: { provider: msg.model.provider, name: msg.model.name }
+      }),
+      ...(Array.isArray(msg.tabs) && {
+        tabs: msg.tabs
+          .filter(tab => typeof tab?.label === 'string' && Number.isInteger(tab.tabId) && typeof tab.url === 'string')
+          .map(tab => ({ label: tab.label, tabId: tab.tabId, url: tab.url }))
+      })
+    }));
+  if (messages.length === 0) return null;
+  
+  return {
+    url: chat.url,
+    title: typeof chat.title === 'string' ? chat.title : '',
+    createdAt: Number.isFinite(chat.createdAt) ? chat.createdAt : null,
+    messages,
+    snapshot: typeof chat.snapshot?.text === 'string'
+      ? { text: chat.snapshot.text, capturedAt: Number.isFinite(chat.snapshot.capturedAt) ? chat.snapshot.capturedAt : null }
+      : null
+  };
+}
+
+/**
+ * Format a timestamp for exports
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - Local date and time, or '' if unknown
+ */
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+/**
+ * Describe the model that wrote an answer
+ * @param {Object} [model] - { provider, name }
+ * @returns {string}
+ */
+function formatModel(model) {
+  return model ? `${model.provider} · ${model.name}` : '';
+}
+
+/**
+ * Source tags only mean something next to the live page, so exports drop them
+ * (PDF page tags stay, as plain "(p. 12)" references)
+ * @param {string} text - Answer text
+ * @returns {string}
+ */
+function stripCitations(text) {
+  return text
+    .replace(/\s*\[s\d+(?:\s*,\s*s\d+)*\]/g, '')
+    .replace(/\[p(\d+(?:\s*,\s*p\d+)*)\]/g, (match, pages) => `(p. ${pages.replace(/p/g, '')})`);
+}
+
+/**
+ * Build a Markdown document from chats
+ * @param {Array} chats - Chats to export
+ * @returns {string} - Markdown
+ */
+function buildChatsMarkdown(chats) {
+  const sections = chats.map(chat => {
+    const lines = [`# ${chat.title || chat.url || 'Untitled page'}`, ''];
+    if (chat.url) lines.push(/^(https?|file):/.test(chat.url) ? `<${chat.url}>` : chat.url, '');
+    
+    for (const msg of chat.messages) {
+      const details = [formatModel(msg.model), formatTimestamp(msg.timestamp)].filter(Boolean).join(', ');
+      const author = msg.role === 'user' ? 'You' : 'PageSage';
+      lines.push(`**${author}**${details ? ` _(${details})_` : ''}`, '');
+      lines.push(msg.role === 'user' ? msg.content : stripCitations(msg.content), '');
+    }
+    
+    return lines.join('\n');
+  });
+  
+  return `${sections.join('\n---\n\n')}\n_Exported from PageSage on ${new Date().toLocaleString()}_\n`;
+}
+
+/**
+ * Build a standalone HTML document from chats (with a print stylesheet for Save as PDF)
+ * @param {Array} chats - Chats to export
+ * @returns {string} - HTML document
+ */
+function buildChatsHtml(chats) {
+  const sections = chats.map(chat => {
+    const messages = chat.messages.map(msg => {
+      const details = [formatModel(msg.model), formatTimestamp(msg.timestamp)].filter(Boolean).join(' · ');
+      const body = msg.role === 'user'
+        ? escapeHtml(msg.content).replace(/\n/g, '<br>')
+        : formatResponse(stripCitations(msg.content));
+      return `
+      <div class="message ${msg.role === 'user' ? 'user' : 'assistant'}">
+        <div class="meta">${msg.role === 'user' ? 'You' : 'PageSage'}${details ? ` · ${escapeHtml(details)}` : ''}</div>
+        <div class="body">${body}</div>
+      </div>`;
+    }).join('');
+    
+    // Imported files could carry any URL - only link web pages
+    const url = /^(https?|file):/.test(chat.url || '')
+      ? `<a href="${escapeHtml(chat.url)}">${escapeHtml(chat.url)}</a>`
+      : escapeHtml(chat.url || '');
+    return `
+    <section class="chat">
+      <h1>${escapeHtml(chat.title || chat.url || 'Untitled page')}</h1>
+      <p class="url">${url}</p>${messages}
+    </section>`;
+  }).join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(chats.length === 1 ? chats[0].title || 'PageSage chat' : 'PageSage chats')}</title>
+  <style>
+    body { max-width: 760px; margin: 40px auto; padding: 0 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; line-height: 1.6; color: #333; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    .url { margin-top: 0; font-size: 12px; word-break: break-all; }
+    .url a { color: #667eea; }
+    .chat { margin-bottom: 40px; }
+    .message { margin: 12px 0; padding: 10px 14px; border-radius: 10px; border: 1px solid #e0e0e0; }
+    .message.user { background: #f0f2fd; border-color: #d6dbf8; }
+    .meta { font-size: 11px; font-weight: 600; color: #888; margin-bottom: 4px; }
+    .citation-chip { border: none; padding: 0 4px; border-radius: 8px; background: #eef0fc; color: #667eea; font-size: 11px; }
+    .body p { margin: 0 0 8px; }
+    .body h1, .body h2, .body h3, .body h4 { font-size: 15px; margin: 12px 0 6px; }
+    .body code { font-family: Menlo, Consolas, monospace; font-size: 12px; background: #f3f3f6; padding: 1px 4px; border-radius: 4px; }
+    .code-block { margin: 8px 0; border: 1px solid #e0e0e0; border-radius: 8px; overflow: hidden; }
+    .code-block-header { padding: 4px 10px; font-size: 11px; color: #888; background: #f3f3f6; }
+    .code-copy-btn { display: none; }
+    .code-block pre { margin: 0; padding: 10px; overflow-x: auto; white-space: pre-wrap; }
+    .code-block pre code { background: none; padding: 0; }
+    .hl-keyword { color: #a626a4; } .hl-string { color: #50a14f; } .hl-number { color: #986801; } .hl-comment { color: #a0a1a7; font-style: italic; }
+    .body table { border-collapse: collapse; margin: 8px 0; font-size: 13px; }
+    .body th, .body td { border: 1px solid #e0e0e0; padding: 4px 8px; }
+    .body blockquote { margin: 8px 0; padding-left: 10px; border-left: 3px solid #d6dbf8; color: #666; }
+    footer { font-size: 11px; color: #888; text-align: center; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .chat { page-break-after: always; }
+      .chat:last-of-type { page-break-after: auto; }
+      .message { break-inside: avoid; }
+      .url a { color: inherit; }
+    }
+  </style>
+</head>
+<body>${sections}
+  <footer>Exported from PageSage on ${escapeHtml(new Date().toLocaleString())}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Show a status (or error) line in the export panel
+ * @param {string} text - Status text
+ * @param {boolean} [isError] - Whether to style it as an error
+ */
+function setExportStatus(text, isError = false) {
+  elements.exportStatus.textContent = text;
+  elements.exportStatus.classList.toggle('error', isError);
+}
+
+// ============================================================================
+// PROMPT LIBRARY
+// ============================================================================
+
+// Quick actions shipped with the extension - users can edit, reorder or delete them
+const DEFAULT_QUICK_ACTIONS = [
+  { label: '📝 Quick Summary', template: 'Give me a short summary of this page in 2-3 sentences.', mode: 'summarize' },
+  { label: "🎯 What's This About?", template: 'What is this page about? Explain the main topic.' },
+  { label: '📌 Key Points', template: 'List the key points and main takeaways from this page.', mode: 'summarize' },
+  { label: '🖼️ Describe Images', template: 'Describe any images on this page and their relevance.' }
+];
+
+// Identifies PageSage prompt packs (bump the version when the format changes)
+const PROMPT_PACK_FORMAT = 'pagesage-prompts';
+const PROMPT_PACK_VERSION = 1;
+
+// Sync storage allows 8 KB per item, so each quick action is stored on its own
+// (quickAction_0, quickAction_1...) with the count in quickActionCount
+const QUICK_ACTION_KEY_PREFIX = 'quickAction_';
+const QUICK_ACTION_COUNT_KEY = 'quickActionCount';
+
+// Earlier versions stored the whole library in this one item
+const LEGACY_QUICK_ACTIONS_KEY = 'quickActions';
+
+// {{selection}}, {{title}}, {{url}}, {{language}} and {{input:Label}}
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*(selection|title|url|language|input)(?:\s*:\s*([^}]*?))?\s*\}\}/g;
+
+/**
+ * Load quick actions from sync storage (shared by every browser the user signs in to)
+ */
+async function loadQuickActions() {
+  try {
+    quickActions = await readQuickActions();
+  } catch (error) {
+    quickActions = DEFAULT_QUICK_ACTIONS.map(action => ({ ...action }));
+  }
+  
+  renderQuickActions();
+}
+
+/**
+ * Read the stored quick actions, moving a library saved as one item to one item per action
+ * @returns {Promise<Array<Object>>} - Quick actions (the defaults if none are stored)
+ */
+async function readQuickActions() {
+  const {
+    [QUICK_ACTION_COUNT_KEY]: count,
+    [LEGACY_QUICK_ACTIONS_KEY]: legacy
+  } = await chrome.storage.sync.get([QUICK_ACTION_COUNT_KEY, LEGACY_QUICK_ACTIONS_KEY]);
+  
+  if (Number.isInteger(count)) {
+    const keys = getQuickActionKeys(count);
+    const stored = await chrome.storage.sync.get(keys);
+    // An action still syncing from another browser shows up once it arrives
+    return keys.map(key => stored[key]).filter(action => action?.label && action.template);
+  }
+  
+  if (Array.isArray(legacy)) {
+    await writeQuickActions(legacy);
+    await chrome.storage.sync.remove(LEGACY_QUICK_ACTIONS_KEY);
+    return legacy;
+  }
+  
+  return DEFAULT_QUICK_ACTIONS.map(action => ({ ...action }));
+}
+
+/**
+ * Store quick actions one item each, removing the items of actions past the end
+ * @param {Array<Object>} actions - Quick actions in order
+ */
+async function writeQuickActions(actions) {
+  const { [QUICK_ACTION_COUNT_KEY]: previousCount = 0 } = await chrome.storage.sync.get(QUICK_ACTION_COUNT_KEY);
+  
+  const items = { [QUICK_ACTION_COUNT_KEY]: actions.length };
+  actions.forEach((action, index) => {
+    items[QUICK_ACTION_KEY_PREFIX + index] = action;
+  });
+  // One write, so a quota error leaves the stored library as it was
+  await chrome.storage.sync.set(items);
+  
+  const staleKeys = getQuickActionKeys(previousCount).slice(actions.length);
+  if (staleKeys.length > 0) {
+    await chrome.storage.sync.remove(staleKeys);
+  }
+}
+
+/**
+ * Sync storage keys of the first count quick actions
+ * @param {number} count - Number of quick actions
+ * @returns {Array<string>}
+ */
+function getQuickActionKeys(count) {
+  return Array.from({ length: count }, (unused, index) => QUICK_ACTION_KEY_PREFIX + index);
+}
+
+/**
+ * Check whether a sync storage change touches the quick actions
+ * @param {Object} changes - Changes from chrome.storage.onChanged
+ * @returns {boolean}
+ */
+function isQuickActionChange(changes) {
+  return Object.keys(changes).some(key => key === QUICK_ACTION_COUNT_KEY || key.startsWith(QUICK_ACTION_KEY_PREFIX));
+}
+
+/**
+ * Save quick actions to sync storage
+ * @returns {Promise<boolean>} - Whether the save succeeded
+ */
+async function saveQuickActions() {
+  try {
+    await writeQuickActions(quickActions);
+    renderQuickActions();
+    return true;
+  } catch (error) {
+    // Sync storage allows 8 KB per item, about 100 KB and 512 items in all
+    let message = `Unable to save: ${error.message}`;
+    if (/QUOTA_BYTES_PER_ITEM/.test(error.message)) {
+      message = 'This quick action is too long to sync - shorten it';
+    } else if (/QUOTA_BYTES|MAX_ITEMS/.test(error.message)) {
+      message = 'Too many quick actions to sync - shorten or delete some';
+    }
+    setPromptsStatus(message, true);
+    return false;
+  }
+}
+
+/**
+ * Put back the library as it was before a change that couldn't be saved
+ * @param {Array<Object>} previous - Quick actions before the change
+ */
+function restoreQuickActions(previous) {
+  quickActions = previous;
+  renderQuickActions();
+}
+
+/**
+ * Show a button for each quick action, plus the edit button
+ */
+function renderQuickActions() {
+  elements.quickActions.innerHTML = quickActions.map((action, index) => `
+    <button class="quick-btn" data-index="${index}" title="${escapeHtml(action.template)}">${escapeHtml(action.label)}</button>
+  `).join('') + '<button class="quick-btn quick-edit-btn" title="Edit quick actions">✎</button>';
+}
+
+/**
+ * Fill in a quick action's template and ask it
+ * @param {Object} action - { label, template, mode }
+ */
+async function runQuickAction(action) {
+  if (!action || activeStreamPort) return;
+  
+  const query = await fillTemplate(action.template);
+  if (query === null) return;
+  
+  elements.queryInput.value = query;
+  // Summary actions use map-reduce so long pages are covered in full
+  handleSendQuery({ summarize: action.mode === 'summarize' });
+}
+
+/**
+ * Replace template variables with values from the current page, asking the user for
+ * {{input:Label}} values
+ * @param {string} template - Prompt template
+ * @returns {Promise<string|null>} - Filled prompt, or null if cancelled or nothing is selected
+ */
+async function fillTemplate(template) {
+  let selection = '';
+  if (/\{\{\s*selection\s*\}\}/.test(template)) {
+    selection = await getPageSelection();
+    if (!selection) {
+      addChatMessage('Select some text on the page first - this quick action asks about the selection', 'error');
+      return null;
+    }
+  }
+  
+  // Ask once per label, even if the template uses it more than once
+  const inputs = new Map();
+  let cancelled = false;
+  
+  const filled = template.replace(TEMPLATE_VARIABLE_PATTERN, (match, name, label) => {
+    if (cancelled) return match;
+    
+    switch (name) {
+      case 'selection':
+        return selection;
+      case 'title':
+        return pageContent?.title || elements.pageTitle.textContent;
+      case 'url':
+        return currentPageUrl || '';
+      case 'language':
+        return getLanguageName();
+      case 'input': {
+        const question = label || 'Value';
+        if (!inputs.has(question)) {
+          const value = prompt(question);
+          if (value === null) {
+            cancelled = true;
+            return match;
+          }
+          inputs.set(question, value);
+        }
+        return inputs.get(question);
+      }
+      default:
+        return match;
+    }
+  });
+  
+  return cancelled ? null : filled;
+}
+
+/**
+ * Get the text selected on the page (or picked from the context menu)
+ * @returns {Promise<string>} - Selected text, or '' if there is none
+ */
+async function getPageSelection() {
+  if (focusContext?.selection) return focusContext.selection;
+  if (!currentTabId) return '';
+  
+  try {
+    const context = await chrome.tabs.sendMessage(currentTabId, { action: 'getSelectionContext' });
+    return context?.selection || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Name of a language, by default the browser's UI language for {{language}}
+ * @param {string} [code] - Language code such as "de" or "pt-BR"
+ * @returns {string} - e.g. "German" (the code itself if it isn't recognized)
+ */
+function getLanguageName(code = chrome.i18n.getUILanguage()) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Open the prompt library panel
+ */
+function openPromptsPanel() {
+  setPromptsStatus('');
+  elements.promptEditor.style.display = 'none';
+  renderPromptList();
+  elements.promptsPanel.classList.add('visible');
+}
+
+/**
+ * List the quick actions with reorder, edit and delete controls
+ */
+function renderPromptList() {
+  if (quickActions.length === 0) {
+    elements.promptList.innerHTML = '<div class="prompt-empty">No quick actions - add one below</div>';
+    return;
+  }
+  
+  elements.promptList.innerHTML = quickActions.map((action, index) => `
+    <div class="prompt-item" data-index="${index}">
+      <span class="prompt-item-label" title="${escapeHtml(action.template)}">${escapeHtml(action.label)}</span>
+      <button class="prompt-item-btn" data-action="up" title="Move up"${index === 0 ? ' disabled' : ''}>▲</button>
+      <button class="prompt-item-btn" data-action="down" title="Move down"${index === quickActions.length - 1 ? ' disabled' : ''}>▼</button>
+      <button class="prompt-item-btn" data-action="edit" title="Edit">✎</button>
+      <button class="prompt-item-btn" data-action="delete" title="Delete">×</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Handle the reorder, edit and delete buttons in the prompt list
+ * @param {Event} e - Click event
+ */
+async function handlePromptListClick(e) {
+  const btn = e.target.closest('.prompt-item-btn');
+  if (!btn) return;
+  
+  const index = parseInt(btn.closest('.prompt-item').dataset.index, 10);
+  const action = btn.dataset.action;
+  
+  if (action === 'edit') {
+    editPrompt(index);
+    return;
+  }
+  
+  const previous = [...quickActions];
+  if (action === 'delete') {
+    if (!confirm(`Delete "${quickActions[index].label}"?`)) return;
+    quickActions.splice(index, 1);
+  } else {
+    const target = action === 'up' ? index - 1 : index + 1;
+    if (target < 0 || target >= quickActions.length) return;
+    [quickActions[index], quickActions[target]] = [quickActions[target], quickActions[index]];
+  }
+  
+  elements.promptEditor.style.display = 'none';
+  if (!await saveQuickActions()) {
+    restoreQuickActions(previous);
+  }
+  renderPromptList();
+}
+
+/**
+ * Open the editor for a quick action
+ * @param {number} index - Index in quickActions, or -1 for a new one
+ */
+function editPrompt(index) {
+  const action = quickActions[index] || { label: '', template: '' };
+  editingPromptIndex = index;
+  
+  elements.promptLabelInput.value = action.label;
+  elements.promptTemplateInput.value = action.template;
+  elements.promptSummarizeInput.checked = action.mode === 'summarize';
+  elements.promptEditor.style.display = 'block';
+  elements.promptLabelInput.focus();
+}
+
+/**
+ * Save the quick action in the editor
+ */
+async function savePromptEdit() {
+  const label = elements.promptLabelInput.value.trim();
+  const template = elements.promptTemplateInput.value.trim();
+  
+  if (!label || !template) {
+    alert('Please enter a label and a prompt');
+    return;
+  }
+  
+  const action = { label, template };
+  if (elements.promptSummarizeInput.checked) {
+    action.mode = 'summarize';
+  }
+  
+  const previous = [...quickActions];
+  if (editingPromptIndex >= 0) {
+    quickActions[editingPromptIndex] = action;
+  } else {
+    quickActions.push(action);
+  }
+  
+  if (await saveQuickActions()) {
+    elements.promptEditor.style.display = 'none';
+    setPromptsStatus('Saved');
+  } else {
+    // Keep the editor open so the prompt can be shortened and saved again
+    restoreQuickActions(previous);
+  }
+  renderPromptList();
+}
+
+/**
+ * Download the quick actions as a JSON prompt pack
+ */
+function exportPrompts() {
+  const pack = { format: PROMPT_PACK_FORMAT, version: PROMPT_PACK_VERSION, prompts: quickActions };
+  downloadFile('pagesage-quick-actions.json', JSON.stringify(pack, null, 2), 'application/json');
+}
+
+/**
+ * Add the quick actions from a JSON prompt pack (skipping ones already in the library)
+ * @param {File} file - Selected JSON file
+ */
+async function importPrompts(file) {
+  try {
+    const pack = JSON.parse(await file.text());
+    if (pack?.format !== PROMPT_PACK_FORMAT || !Array.isArray(pack.prompts)) {
+      throw new Error('Not a PageSage prompt pack');
+    }
+    if (pack.version > PROMPT_PACK_VERSION) {
+      throw new Error('This pack was made by a newer version of PageSage');
+    }
+    
+    const previous = [...quickActions];
+    const existing = new Set(quickActions.map(action => `${action.label}|${action.template}`));
+    const added = pack.prompts
+      .filter(action => typeof action?.label === 'string' && typeof action.template === 'string')
+      .map(action => ({
+        label: action.label.trim(),
+        template: action.template.trim(),
+        ...(action.mode === 'summarize' && { mode: 'summarize' })
+      }))
+      .filter(action => action.label && action.template && !existing.has(`${action.label}|${action.template}`));
+    
+    quickActions.push(...added);
+    if (await saveQuickActions()) {
+      setPromptsStatus(`Imported ${added.length} ${added.length === 1 ? 'quick action' : 'quick actions'}`);
+    } else {
+      restoreQuickActions(previous);
+    }
+    renderPromptList();
+  } catch (error) {
+    setPromptsStatus(`Import failed: ${error.message}`, true);
+  } finally {
+    elements.importPromptsInput.value = '';
+  }
+}
+
+/**
+ * Replace the library with the built-in quick actions
+ */
+async function resetPrompts() {
+  if (!confirm('Replace your quick actions with the defaults?')) return;
+  
+  const previous = quickActions;
+  quickActions = DEFAULT_QUICK_ACTIONS.map(action => ({ ...action }));
+  elements.promptEditor.style.display = 'none';
+  if (await saveQuickActions()) {
+    setPromptsStatus('Restored the default quick actions');
+  } else {
+    restoreQuickActions(previous);
+  }
+  renderPromptList();
+}
+
+/**
+ * Show a status line in the prompt library panel
+ * @param {string} text - Status text
+ * @param {boolean} [isError] - Show as an error
+ */
+function setPromptsStatus(text, isError = false) {
+  elements.promptsStatus.textContent = text;
+  elements.promptsStatus.classList.toggle('error', isError);
+}
+
+// ============================================================================
+// SETTINGS MANAGEMENT
+// ============================================================================
+
+/**
+ * Save the selected provider and its settings to storage
+ */
+async function saveApiKey() {
+  const apiKey = elements.apiKeyInput.value.trim();
+  const model = elements.modelSelect.value;
+  const config = MODEL_CONFIG[model];
+  
+  if (!apiKey && !config.apiKeyOptional) {
+    alert('Please enter a valid API key');
+    return;
+  }
+  
+  // Validate API key format based on selected model
+  if (apiKey && config.prefix && !apiKey.startsWith(config.prefix)) {
+    alert(`Invalid API key format. ${config.label} should start with "${config.prefix}"`);
+    return;
+  }
+  
+  const settings = {
+    apiKey: apiKey,
+    model: elements.modelInput.value.trim(),
+    temperature: elements.temperatureInput.value,
+    maxTokens: elements.maxTokensInput.value,
+    systemPrompt: elements.systemPromptInput.value.trim()
+  };
+  
+  // Validate generation settings
+  const temperature = parseFloat(settings.temperature);
+  if (!(temperature >= 0 && temperature <= 2)) {
+    alert('Temperature must be between 0 and 2');
+    return;
+  }
+  const maxTokens = parseInt(settings.maxTokens, 10);
+  if (!(maxTokens > 0)) {
+    alert('Max output tokens must be a positive number');
+    return;
+  }
+  
+  const selectionActions = parseSelectionActions(elements.selectionActionsInput.value);
+  if (!selectionActions) {
+    alert('Invalid selection actions. Use one "Title: prompt" pair per line.');
+    return;
+  }
+  
+  // Validate custom endpoint details
+  if (model === 'custom') {
+    settings.baseUrl = elements.customBaseUrlInput.value.trim();
+    settings.headers = parseHeaders(elements.customHeadersInput.value);
+    if (!/^https?:\/\//.test(settings.baseUrl)) {
+      alert('Please enter a base URL starting with http:// or https://');
+      return;
+    }
+    if (!settings.model) {
+      alert('Please enter a model name');
+      return;
+    }
+    if (!settings.headers) {
+      alert('Invalid headers. Use one "Name: value" pair per line.');
+      return;
+    }
+  }
+  
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'saveSelectionActions', actions: selectionActions });
+    if (!result?.success) {
+      alert('Failed to save selection actions: ' + result?.error);
+      return;
+    }
+    
     const response = await chrome.runtime.sendMessage({
       action: 'saveSettings',
       model: model,
-      apiKey: apiKey
+      settings: settings
     });
     
     if (response.success) {
@@ -0,0 +1,26 @@
+/**
+ * Print View - Shows conversations exported from the popup and opens the print dialog
+ * (use "Save as PDF" as the destination for a PDF copy)
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const { printExport } = await chrome.storage.session.get('printExport');
+    
+    if (!printExport) {
+      document.body.textContent = 'Nothing to print. Export a conversation from PageSage first.';
+      return;
+    }
+    
+    // The export is a full HTML document built by the popup (escaped content, no scripts)
+    const exported = new DOMParser().parseFromString(printExport, 'text/html');
+    document.title = exported.title;
+    document.head.append(...exported.head.querySelectorAll('style'));
+    document.body.replaceWith(document.adoptNode(exported.body));
+    
+    // Let the page lay out before opening the dialog
+    setTimeout(() => window.print(), 300);
+  } catch (error) {
+    document.body.textContent = 'Unable to load the conversation: ' + error.message;
+  }
+});
@@ -0,0 +1,145 @@
+/**
+ * Chat storage (chat-storage.js) against an in-memory chrome.storage.local:
+ * keys, the version 1 migration and least-recently-used eviction
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChromeStub, loadScripts } = require('./helpers');
+
+/**
+ * Load chat-storage.js with the given stored items
+ * @param {Object} [storageData] - Initial chrome.storage.local contents
+ * @param {number} [quotaBytes] - chrome.storage.local.QUOTA_BYTES
+ * @returns {{ window: Window, storage: Object }} - storage is the live stored data
+ */
+function loadChatStorage(storageData = {}, quotaBytes) {
+  const chrome = createChromeStub(storageData);
+  if (quotaBytes) chrome.storage.local.QUOTA_BYTES = quotaBytes;
+  
+  const window = loadScripts('<!DOCTYPE html><html><body></body></html>', { scripts: ['chat-storage.js'], chrome });
+  return { window, storage: chrome.storageData };
+}
+
+/**
+ * A chat with one question and answer
+ */
+function makeChat(text, timestamp = 1000) {
+  return {
+    title: text,
+    messages: [
+      { role: 'user', content: `Question about ${text}`, timestamp },
+      { role: 'assistant', content: `Answer about ${text}`, timestamp: timestamp + 1 }
+    ]
+  };
+}
+
+test('URLs that show the same page share a chat key', async () => {
+  const { window } = loadChatStorage();
+  
+  assert.strictEqual(
+    window.normalizeChatUrl('https://Example.com:443/docs?utm_source=x&id=2&fbclid=y#intro'),
+    'https://example.com/docs?id=2'
+  );
+  assert.strictEqual(window.normalizeChatUrl('https://example.com/docs?utm_medium=mail'), 'https://example.com/docs');
+  assert.strictEqual(window.normalizeChatUrl('https://mail.example.com/#!/inbox'), 'https://mail.example.com/#!/inbox');
+  assert.strictEqual(window.normalizeChatUrl('https://app.example.com/#/settings'), 'https://app.example.com/#/settings');
+  assert.strictEqual(window.normalizeChatUrl('not a url'), 'not a url');
+  
+  const key = await window.getChatKey('https://example.com/docs#intro');
+  assert.match(key, /^chat_[0-9a-f]{32}$/);
+  assert.strictEqual(await window.getChatKey('https://example.com/docs?utm_source=x'), key);
+  assert.notStrictEqual(await window.getChatKey('https://example.com/docs/other'), key);
+  assert.match(await window.getChatKey('https://例え.jp/ページ'), /^chat_[0-9a-f]{32}$/);
+});
+
+test('version 1 chats move to hashed keys with an index', async () => {
+  const url = 'https://en.wikipedia.org/wiki/Honey_bee';
+  const other = 'https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API';
+  const legacyKey = url => `chat_${Buffer.from(url, 'latin1').toString('base64').substring(0, 50)}`;
+  
+  const { window, storage } = loadChatStorage({
+    // Chat objects stored their URL
+    [legacyKey(url)]: { ...makeChat('bees'), url, title: 'Honey bee' },
+    // Plain arrays didn't - the old key only holds the URL's first 37 characters
+    [legacyKey(other)]: makeChat('fetch', 5000).messages,
+    [legacyKey('https://example.com/empty')]: [],
+    settings: { model: 'gemini' }
+  });
+  
+  const chats = await window.listChats();
+  assert.strictEqual(storage.chatStorageVersion, 2);
+  assert.strictEqual(storage.settings.model, 'gemini');
+  assert.strictEqual(chats.length, 2);
+  assert.ok(Object.keys(storage).filter(key => key.startsWith('chat_')).every(key => /^chat_[0-9a-f]{32}$/.test(key)));
+  
+  const bees = await window.loadChat(url);
+  assert.strictEqual(bees.title, 'Honey bee');
+  assert.strictEqual(bees.messages[0].content, 'Question about bees');
+  
+  // Indexed for eviction
+  const key = await window.getChatKey(url);
+  assert.strictEqual(storage.chatIndex[key].url, url);
+  assert.ok(storage.chatIndex[key].bytes > 0);
+  
+  // The plain array is found again from its page, and moves to that page's key
+  assert.strictEqual(chats.find(chat => chat.title === '').url, 'https://developer.mozilla.org/en-US/');
+  assert.strictEqual(await window.loadChat('https://developer.mozilla.org/fr/docs/Web/API/Fetch_API'), null);
+  const fetchChat = await window.loadChat(other);
+  assert.strictEqual(fetchChat.messages[0].content, 'Question about fetch');
+  assert.strictEqual(fetchChat.url, other);
+  assert.ok(storage[await window.getChatKey(other)]);
+  assert.strictEqual((await window.listChats()).length, 2);
+  assert.deepStrictEqual({ ...storage.chatLegacyKeys }, {});
+});
+
+test('the least recently used chats are evicted first when storage fills up', async () => {
+  const { window, storage } = loadChatStorage({}, 6000);
+  let now = 1000;
+  window.Date.now = () => now;
+  
+  for (const page of ['a', 'b', 'c']) {
+    now += 1000;
+    await window.saveChat(`https://example.com/${page}`, makeChat(page.repeat(300), now));
+  }
+  
+  // Opening the oldest chat makes it the most recently used
+  now += 1000;
+  await window.loadChat('https://example.com/a');
+  
+  now += 1000;
+  const evicted = await window.saveChat('https://example.com/d', makeChat('d'.repeat(600), now));
+  
+  const keyOf = page => window.getChatKey(`https://example.com/${page}`);
+  assert.deepStrictEqual([...evicted], [await keyOf('b'), await keyOf('c')]);
+  assert.ok(storage[await keyOf('a')]);
+  assert.ok(storage[await keyOf('d')]);
+  assert.ok(!storage[await keyOf('b')] && !storage[await keyOf('c')]);
+  assert.deepStrictEqual(Object.keys(storage.chatIndex).sort(), [await keyOf('a'), await keyOf('d')].sort());
+});
+
+test('concurrent saves keep every chat in the index', async () => {
+  const { window, storage } = loadChatStorage();
+  const pages = ['a', 'b', 'c', 'd'];
+  
+  await Promise.all(pages.map(page => window.saveChat(`https://example.com/${page}`, makeChat(page))));
+  
+  const keys = await Promise.all(pages.map(page => window.getChatKey(`https://example.com/${page}`)));
+  assert.deepStrictEqual(Object.keys(storage.chatIndex).sort(), keys.sort());
+});
+
+test('chats missing from the index can still be evicted', async () => {
+  const { window, storage } = loadChatStorage({}, 6000);
+  let now = 1000;
+  window.Date.now = () => now;
+  
+  await window.saveChat('https://example.com/a', makeChat('a'.repeat(300), now));
+  // Written by another page, whose index update was lost
+  now += 1000;
+  await window.saveChat('https://example.com/b', makeChat('b'.repeat(300), now));
+  delete storage.chatIndex[await window.getChatKey('https://example.com/b')];
+  
+  now += 1000;
+  const evicted = await window.saveChat('https://example.com/c', makeChat('c'.repeat(900), now));
+  assert.deepStrictEqual([...evicted], [await window.getChatKey('https://example.com/b')]);
+});
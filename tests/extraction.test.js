@@ -0,0 +1,106 @@
+/**
+ * Content extraction on saved pages (tests/fixtures): which text is kept and
+ * which is dropped as boilerplate
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractFixture } = require('./helpers');
+
+/**
+ * Assert every phrase is in the extracted text
+ */
+function assertKept(text, phrases) {
+  for (const phrase of phrases) {
+    assert.ok(text.includes(phrase), `expected to keep "${phrase}"`);
+  }
+}
+
+/**
+ * Assert no phrase is in the extracted text
+ */
+function assertDropped(text, phrases) {
+  for (const phrase of phrases) {
+    assert.ok(!text.includes(phrase), `expected to drop "${phrase}"`);
+  }
+}
+
+test('news article keeps the story and drops site furniture', async () => {
+  const content = await extractFixture('news-article.html');
+  
+  assert.strictEqual(content.title, 'City council approves new riverside park | The Daily Ledger');
+  assertKept(content.textContent, [
+    '# City council approves new riverside park',
+    'The city council voted on Tuesday',
+    '## Funding',
+    '- [s', 'Phase two: the floating wetland',
+    '> [s', 'biggest new green space'
+  ]);
+  assertDropped(content.textContent, [
+    'Sport', 'Opinion',
+    'We use cookies',
+    'Share on Twitter',
+    'Local bakery wins',
+    'finally something for the kids',
+    'All rights reserved',
+    'dataLayer'
+  ]);
+});
+
+test('page wrapped in one form (ASP.NET WebForms) keeps its content', async () => {
+  const content = await extractFixture('webforms.html');
+  
+  assertKept(content.textContent, [
+    '# Annual Report 2023',
+    'Reservoir levels across the region',
+    'forty kilometres of ageing pipes',
+    '## Water quality',
+    '| North | 120 | 120 |'
+  ]);
+  assertDropped(content.textContent, [
+    '__VIEWSTATE', '/wEPDwUK',
+    'Contact',
+    'Page last updated'
+  ]);
+});
+
+test('page without known selectors is found by scoring', async () => {
+  const content = await extractFixture('docs-page.html');
+  
+  assertKept(content.textContent, [
+    '# Configuring the cache',
+    'keeps rendered fragments in memory',
+    '```\nconst cache = createCache({ size: 500, ttl: 60000 });\n```',
+    'dropped lazily'
+  ]);
+  assertDropped(content.textContent, [
+    'Introduction',
+    'Get release notes by email',
+    'reverse proxy'
+  ]);
+});
+
+test('Wikipedia article keeps tables, formatting and references', async () => {
+  const content = await extractFixture('wiki-article.html');
+  
+  assertKept(content.textContent, [
+    '| Kingdom | Animalia |',
+    'A **honey bee** is a eusocial flying insect within the genus *Apis*',
+    '## Etymology',
+    '1. [s', 'The taxonomy of recent and fossil honey bees'
+  ]);
+  assertDropped(content.textContent, [
+    'Main page', 'Random article',
+    'Creative Commons'
+  ]);
+});
+
+test('every kept block has a source ID, and IDs survive a reload', async () => {
+  const first = await extractFixture('news-article.html');
+  const second = await extractFixture('news-article.html');
+  
+  const ids = first.textContent.match(/\[s\d+\]/g);
+  assert.ok(ids.length >= 6);
+  assert.strictEqual(new Set(ids).size, ids.length, 'source IDs are unique');
+  assert.deepStrictEqual(second.textContent.match(/\[s\d+\]/g), ids);
+});
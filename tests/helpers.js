@@ -0,0 +1,114 @@
+/**
+ * Test helpers - load the extension's plain scripts into a jsdom window with a
+ * stubbed chrome API, the way the browser loads them from the manifest and popup.html
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Minimal chrome.* API for the scripts under test
+ * @param {Object} [storageData] - Initial chrome.storage.local contents
+ * @returns {Object} - chrome stub; messageListeners collects runtime.onMessage listeners
+ */
+function createChromeStub(storageData = {}) {
+  const messageListeners = [];
+  const local = { ...storageData };
+  
+  // Storage calls complete in a later task and copy values, as they do in the browser
+  const later = () => new Promise(resolve => setTimeout(resolve, 0));
+  const copy = value => JSON.parse(JSON.stringify(value));
+  
+  return {
+    messageListeners,
+    storageData: local,
+    runtime: {
+      onMessage: { addListener: listener => messageListeners.push(listener) },
+      onConnect: { addListener: () => {} },
+      sendMessage: () => Promise.resolve()
+    },
+    storage: {
+      local: {
+        get: async (keys) => {
+          await later();
+          if (keys === null || keys === undefined) return copy(local);
+          const result = {};
+          for (const key of [].concat(keys)) {
+            if (key in local) result[key] = copy(local[key]);
+          }
+          return result;
+        },
+        set: async (items) => {
+          await later();
+          Object.assign(local, copy(items));
+        },
+        remove: async (keys) => {
+          await later();
+          for (const key of [].concat(keys)) delete local[key];
+        },
+        getBytesInUse: async () => {
+          await later();
+          return Buffer.byteLength(JSON.stringify(local));
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Load scripts into a new jsdom page
+ * @param {string} html - Page HTML
+ * @param {Object} options
+ * @param {string[]} options.scripts - Script files, relative to the repository root
+ * @param {string} [options.url] - Page URL
+ * @param {Object} [options.chrome] - chrome stub (see createChromeStub)
+ * @returns {Window}
+ */
+function loadScripts(html, { scripts, url = 'https://example.com/article', chrome = createChromeStub() }) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const window = dom.window;
+  window.chrome = chrome;
+  
+  // Web APIs the extension uses that jsdom doesn't implement
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+  Object.defineProperty(window.crypto, 'subtle', { value: crypto.subtle });
+  
+  for (const script of scripts) {
+    window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+  }
+  
+  return window;
+}
+
+/**
+ * Load a page with content.js, the way the extension injects it
+ * @param {string} html - Page HTML
+ * @returns {{ window: Window, send: Function, extract: Function }} - send(request)
+ *   resolves to the content script's reply to a message; extract() to its reply to extractContent
+ */
+function loadContentScript(html) {
+  const chrome = createChromeStub();
+  const window = loadScripts(html, { scripts: ['content.js'], chrome });
+  
+  const send = (request) => new Promise(resolve => {
+    chrome.messageListeners.forEach(listener => listener(request, {}, resolve));
+  });
+  
+  return { window, send, extract: () => send({ action: 'extractContent' }) };
+}
+
+/**
+ * Load a saved page from tests/fixtures with content.js and return what it extracted
+ * @param {string} name - Fixture file name
+ * @returns {Promise<Object>} - The content script's reply to extractContent
+ */
+function extractFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return loadContentScript(html).extract();
+}
+
+module.exports = { ROOT, createChromeStub, loadScripts, loadContentScript, extractFixture };
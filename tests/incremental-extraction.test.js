@@ -0,0 +1,73 @@
+/**
+ * Incremental extraction: content that changes or arrives after the first pass
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: wait } = require('node:timers/promises');
+const { loadContentScript } = require('./helpers');
+
+// Longer than requestIdle's fallback delay, so queued nodes have been processed
+const IDLE_DELAY = 400;
+
+const PAGE = `<!DOCTYPE html>
+<html><head><title>Live blog</title></head><body>
+  <article>
+    <h1>Election night live</h1>
+    <p>Polls closed at ten, and the first results are expected within the hour from the northern districts.</p>
+    <p>Both main parties have said they expect a close race, with several seats likely to be decided by recounts.</p>
+    <p>Our reporters are at every count centre and will bring you each result as soon as it is declared tonight.</p>
+    <p id="status">Updated <span id="clock">21:00</span> - counting is under way in every district tonight.</p>
+    <ul id="feed"><li>Turnout reported at sixty-two percent</li></ul>
+  </article>
+</body></html>`;
+
+/**
+ * Count the occurrences of a phrase
+ */
+function count(text, phrase) {
+  return text.split(phrase).length - 1;
+}
+
+test('a changing timestamp replaces its paragraph instead of repeating it', async () => {
+  const { window, extract } = loadContentScript(PAGE);
+  const clock = window.document.getElementById('clock');
+  
+  for (const time of ['21:01', '21:02', '21:00']) {
+    clock.firstChild.data = time;
+    await wait(IDLE_DELAY);
+  }
+  
+  const content = await extract();
+  assert.strictEqual(count(content.textContent, 'counting is under way'), 1);
+  assert.ok(content.textContent.includes('Updated 21:00 - counting'));
+  
+  // The paragraph stays in place, under its heading and before the list
+  const order = ['Polls closed', 'counting is under way', 'Turnout reported'].map(phrase => content.textContent.indexOf(phrase));
+  assert.deepStrictEqual(order, [...order].sort((a, b) => a - b));
+  assert.strictEqual(count(content.structuredContent.paragraphs.join('\n'), 'counting is under way'), 1);
+});
+
+test('added list items are appended once', async () => {
+  const { window, extract } = loadContentScript(PAGE);
+  const item = window.document.createElement('li');
+  item.textContent = 'First seat declared in the northern district';
+  window.document.getElementById('feed').appendChild(item);
+  await wait(IDLE_DELAY);
+  
+  const content = await extract();
+  assert.strictEqual(count(content.textContent, 'First seat declared'), 1);
+  assert.strictEqual(count(content.textContent, 'Turnout reported'), 1);
+});
+
+test('source IDs scroll to their element until it leaves the page', async () => {
+  const { window, send, extract } = loadContentScript(PAGE);
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  
+  const content = await extract();
+  const id = content.textContent.match(/\[(s\d+)\] Polls closed/)[1];
+  assert.strictEqual((await send({ action: 'scrollToSource', id })).success, true);
+  
+  window.document.querySelector('article p').remove();
+  assert.strictEqual((await send({ action: 'scrollToSource', id })).success, false);
+});
@@ -0,0 +1,120 @@
+/**
+ * Markdown rendering (markdown.js): model output must never become live HTML -
+ * no tags of its own, no script links and no way out of the attributes built here
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const window = loadScripts('<!DOCTYPE html><html><body></body></html>', { scripts: ['markdown.js'] });
+
+/**
+ * Render Markdown into a detached element
+ * @param {string} markdown - Markdown from the model
+ * @returns {Element}
+ */
+function render(markdown) {
+  const container = window.document.createElement('div');
+  container.innerHTML = window.renderMarkdown(markdown);
+  return container;
+}
+
+/**
+ * Assert the rendered HTML holds only elements and attributes markdown.js builds,
+ * with links limited to the safe protocols
+ */
+function assertSafe(container) {
+  const allowedTags = new Set(['A', 'BR', 'BLOCKQUOTE', 'BUTTON', 'CODE', 'DEL', 'DIV', 'EM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'LI', 'OL', 'P', 'PRE', 'SPAN', 'STRONG', 'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TR', 'UL']);
+  const allowedAttributes = new Set(['href', 'target', 'rel', 'class', 'title', 'style', 'start']);
+  
+  for (const element of container.querySelectorAll('*')) {
+    assert.ok(allowedTags.has(element.tagName), `unexpected <${element.tagName.toLowerCase()}>`);
+    for (const attribute of element.attributes) {
+      assert.ok(allowedAttributes.has(attribute.name), `unexpected ${attribute.name} attribute on <${element.tagName.toLowerCase()}>`);
+    }
+  }
+  for (const link of container.querySelectorAll('a')) {
+    assert.match(link.getAttribute('href'), /^(https?|mailto):/);
+    assert.strictEqual(link.getAttribute('target'), '_blank');
+    assert.strictEqual(link.getAttribute('rel'), 'noopener noreferrer');
+  }
+}
+
+test('raw HTML in answers is shown as text', () => {
+  const payloads = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<svg onload=alert(1)><circle r="1"/></svg>',
+    '<svg><script>alert(1)</script></svg>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<a href="javascript:alert(1)">click</a>',
+    '<style>body { display: none }</style>'
+  ];
+  
+  for (const payload of payloads) {
+    for (const markdown of [payload, `# ${payload}`, `- ${payload}`, `> ${payload}`, `| a |\n|---|\n| ${payload} |`, `**${payload}**`]) {
+      const container = render(markdown);
+      assertSafe(container);
+      assert.ok(container.textContent.includes(payload), `expected "${markdown}" as text`);
+    }
+  }
+});
+
+test('images become links and never load', () => {
+  const container = render('![chart](https://example.com/chart.png) ![x](javascript:alert(1)) ![y](data:image/svg+xml,<svg onload=alert(1)>)');
+  
+  assertSafe(container);
+  assert.strictEqual(container.querySelectorAll('img').length, 0);
+  assert.deepStrictEqual([...container.querySelectorAll('a')].map(link => link.href), ['https://example.com/chart.png']);
+});
+
+test('only http(s) and mailto links are clickable', () => {
+  const container = render([
+    '[ok](https://example.com/a) [mail](mailto:someone@example.com)',
+    '[js](javascript:alert(1)) [JS](JaVaScRiPt:alert(1)) [tab](java\tscript:alert(1))',
+    '[encoded](javascript&#58;alert(1)) [escaped](javascript%3Aalert(1))',
+    '[data](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==) [vb](vbscript:msgbox)',
+    '[relative](/settings) [file](file:///etc/passwd)',
+    '<javascript:alert(1)> <data:text/html,hi> javascript:alert(1)'
+  ].join('\n'));
+  
+  assertSafe(container);
+  assert.deepStrictEqual([...container.querySelectorAll('a')].map(link => link.getAttribute('href')), [
+    'https://example.com/a',
+    'mailto:someone@example.com'
+  ]);
+  assert.ok(container.textContent.includes('js'));
+});
+
+test('link URLs and labels cannot break out of their attributes', () => {
+  const container = render([
+    '[a](https://example.com/"onmouseover="alert(1))',
+    '[b](https://example.com/\'onmouseover=\'alert(1))',
+    '[c](<https://example.com/x"><script>alert(1)</script>>)',
+    '<https://example.com/"><img src=x onerror=alert(1)>>',
+    'https://example.com/?q="><svg/onload=alert(1)>',
+    '[d" onclick="alert(1)](https://example.com/d)',
+    '[![e](x" onerror="alert(1))](https://example.com/e)'
+  ].join('\n\n'));
+  
+  assertSafe(container);
+  for (const link of container.querySelectorAll('a')) {
+    assert.ok(!/["<>\s]/.test(link.getAttribute('href')), `unescaped href ${link.getAttribute('href')}`);
+  }
+});
+
+test('code blocks and their language label stay escaped', () => {
+  const container = render([
+    '```html"><img src=x onerror=alert(1)>',
+    '<script>alert(1)</script>',
+    '<!-- <img src=x onerror=alert(1)> -->',
+    '```',
+    '',
+    '`<svg onload=alert(1)>` and $<img src=x>$'
+  ].join('\n'));
+  
+  assertSafe(container);
+  assert.ok(container.querySelector('pre code').textContent.includes('<script>alert(1)</script>'));
+  assert.strictEqual(container.querySelectorAll('p > code')[0].textContent, '<svg onload=alert(1)>');
+});
@@ -0,0 +1,81 @@
+/**
+ * Popup (popup.js): saving the settings panel
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROOT, createChromeStub, loadScripts } = require('./helpers');
+
+/**
+ * Load popup.html and its scripts, wait for the popup to start, then open the settings panel
+ * @param {Function} reply - Answers runtime messages: reply(message) => response
+ * @returns {Promise<{ window: Window, messages: Array<Object>, alerts: Array<string> }>}
+ */
+async function loadPopup(reply) {
+  const chrome = createChromeStub();
+  const messages = [];
+  const listeners = { addListener: () => {} };
+  let started;
+  const startup = new Promise(resolve => { started = resolve; });
+  
+  chrome.runtime.sendMessage = async (message) => {
+    messages.push(message);
+    return reply(message);
+  };
+  chrome.runtime.getURL = (file) => `chrome-extension://pagesage/${file}`;
+  chrome.storage.sync = { get: async () => ({}), set: async () => {}, remove: async () => {} };
+  chrome.storage.onChanged = listeners;
+  // Startup ends by checking for a context menu selection
+  chrome.storage.session = { get: async () => { started(); return {}; }, remove: async () => {} };
+  chrome.tabs = { query: async () => [], onActivated: listeners, onUpdated: listeners };
+  chrome.i18n = { getUILanguage: () => 'en' };
+  
+  // The scripts are loaded by loadScripts, not by the page
+  const html = fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8').replace(/<script src="[^"]+"><\/script>/g, '');
+  const window = loadScripts(html, {
+    scripts: ['markdown.js', 'chat-storage.js', 'popup.js'],
+    url: 'chrome-extension://pagesage/popup.html',
+    chrome
+  });
+  await startup;
+  messages.length = 0;
+  
+  const alerts = [];
+  window.alert = (message) => alerts.push(message);
+  
+  const document = window.document;
+  document.getElementById('settingsPanel').classList.add('visible');
+  document.getElementById('modelSelect').value = 'groq';
+  document.getElementById('apiKeyInput').value = 'gsk_test';
+  document.getElementById('temperatureInput').value = '0.7';
+  document.getElementById('maxTokensInput').value = '1024';
+  document.getElementById('selectionActionsInput').value = 'Explain: Explain this simply';
+  
+  return { window, messages, alerts };
+}
+
+test('settings are not saved when the selection actions fail to save', async () => {
+  const { window, messages, alerts } = await loadPopup((message) => {
+    if (message.action === 'saveSelectionActions') return { success: false, error: 'Context menu unavailable' };
+    return { success: message.action === 'saveSettings' };
+  });
+  
+  await window.saveApiKey();
+  
+  assert.deepStrictEqual(alerts, ['Failed to save selection actions: Context menu unavailable']);
+  assert.ok(!messages.some(message => message.action === 'saveSettings'));
+  assert.ok(window.document.getElementById('settingsPanel').classList.contains('visible'));
+});
+
+test('settings are saved after the selection actions', async () => {
+  const { window, messages, alerts } = await loadPopup((message) => ({ success: message.action.startsWith('save') }));
+  
+  await window.saveApiKey();
+  
+  assert.deepStrictEqual(messages.map(message => message.action), ['saveSelectionActions', 'saveSettings']);
+  assert.deepStrictEqual([...messages[0].actions].map(action => ({ ...action })), [{ title: 'Explain', prompt: 'Explain this simply' }]);
+  assert.deepStrictEqual(alerts, ['Settings saved successfully!']);
+  assert.ok(!window.document.getElementById('settingsPanel').classList.contains('visible'));
+});
@@ -0,0 +1,86 @@
+/**
+ * Selection context for the context menu, the popup and the overlay: any frame
+ * can hold the selection, and only a frame that has one answers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, createChromeStub, loadScripts } = require('./helpers');
+
+const PAGE = `<!DOCTYPE html>
+<html><head><title>Docs</title></head><body>
+  <p id="intro">The widget cache keeps rendered fragments in memory between requests.</p>
+  <iframe></iframe>
+</body></html>`;
+
+/**
+ * Send a message to one frame's listeners
+ * @returns {Object|undefined} - The response, if the frame answered synchronously
+ */
+function send(chrome, request) {
+  let response;
+  chrome.messageListeners.forEach(listener => listener(request, {}, reply => { response = reply; }));
+  return response;
+}
+
+/**
+ * Select the text of an element
+ */
+function select(window, element) {
+  const range = window.document.createRange();
+  range.selectNodeContents(element);
+  window.getSelection().removeAllRanges();
+  window.getSelection().addRange(range);
+}
+
+/**
+ * Load the page with content.js in the top frame and in its embedded frame
+ */
+function loadPageWithFrame() {
+  const topChrome = createChromeStub();
+  const top = loadScripts(PAGE, { scripts: ['content.js'], chrome: topChrome });
+  
+  const frame = top.document.querySelector('iframe').contentWindow;
+  frame.document.body.innerHTML = '<p id="quote">Entries older than the time to live are dropped lazily.</p>';
+  const frameChrome = createChromeStub();
+  frame.chrome = frameChrome;
+  frame.eval(fs.readFileSync(path.join(ROOT, 'content.js'), 'utf8'));
+  
+  return { top, topChrome, frame, frameChrome };
+}
+
+test('the top frame answers with its selection and the text around it', () => {
+  const { top, topChrome } = loadPageWithFrame();
+  select(top, top.document.getElementById('intro'));
+  
+  const context = send(topChrome, { action: 'getSelectionContext' });
+  assert.strictEqual(context.selection, 'The widget cache keeps rendered fragments in memory between requests.');
+});
+
+test('only the embedded frame holding the selection answers', () => {
+  const { topChrome, frame, frameChrome } = loadPageWithFrame();
+  select(frame, frame.document.getElementById('quote'));
+  
+  assert.strictEqual(send(topChrome, { action: 'getSelectionContext' }), undefined);
+  assert.strictEqual(send(frameChrome, { action: 'getSelectionContext' }).selection,
+    'Entries older than the time to live are dropped lazily.');
+});
+
+test('an embedded frame hands its selection to the overlay', () => {
+  const { frame, frameChrome } = loadPageWithFrame();
+  const sent = [];
+  frameChrome.runtime.sendMessage = (message) => {
+    sent.push(message);
+    return Promise.resolve();
+  };
+  
+  send(frameChrome, { action: 'toggleOverlay' });
+  assert.strictEqual(sent.filter(message => message.action === 'frameSelection').length, 0);
+  
+  select(frame, frame.document.getElementById('quote'));
+  send(frameChrome, { action: 'toggleOverlay' });
+  const relayed = sent.find(message => message.action === 'frameSelection');
+  assert.strictEqual(relayed.focus.selection, 'Entries older than the time to live are dropped lazily.');
+});